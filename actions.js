@@ -0,0 +1,122 @@
+// Action resolution: the roll → judge → describe pipeline behind /attack,
+// /cast, /use and the multi-attack penalty buttons. Every entry point hands
+// over the roller's cumulative penalties and status modifiers and gets back
+// the same verdict and result text, so the paths can't drift apart.
+//
+// Nothing here touches Discord or guild state; the callers own counters,
+// MP payments, embeds and buttons.
+
+const { rollExpression, judgeRoll } = require('./dice');
+const { penaltyGate, modifierMultiplier, penaltySummary } = require('./rules');
+
+// Result embed colours
+const RESULT_COLORS = {
+    fumble: 0x800000,
+    crit: 0xFFD700,
+    hit: 0x00FF00,
+    miss: 0xFF0000
+};
+
+// The classic two-dice roll through the dice engine: both dice count for the
+// gate, the higher one is the result (HighRoll)
+function rollTwoDice(dice1, dice2, random) {
+    return rollExpression(`{d${Math.max(1, dice1)},d${Math.max(1, dice2)}}kh1`, { random });
+}
+
+// Roll an attack or cast and judge it against the gate. Classic actions roll
+// two dice for HighRoll + modifier; expression actions roll their expression
+// with @mod set to the (penalized) modifier. random is the guild's rng.random
+// and critAbove comes from the guild's rules.
+// Returns the verdict, the damage and the dice lines for the result embed, or { error }.
+function rollDamage({ dice1, dice2, expression, gate, baseModifier, modifier, penalized = false, variables = {}, random, critAbove }) {
+    if (expression) {
+        const roll = rollExpression(expression, { variables: { ...variables, mod: modifier }, random });
+        if (roll.error) return { error: `Couldn't roll \`${expression}\`: ${roll.error}` };
+
+        let text = `> \`${roll.expression}\`: ${roll.text}\n`;
+        text += `> Gate: ≤${gate}\n`;
+        text += `> \n`;
+        if (penalized) text += `> Penalized: @mod ${baseModifier} → ${modifier}\n`;
+        text += `> Total = **${roll.total} damage**\n`;
+        return { ...judgeRoll(roll, { gate, critAbove }), damage: roll.total, diceRule: 'All dice', text };
+    }
+
+    const roll = rollTwoDice(dice1, dice2, random);
+    const [roll1, roll2] = roll.dice.map(die => die.value);
+    const damage = roll.total + modifier;
+
+    let text = `> d${dice1}: **${roll1}**  |  d${dice2}: **${roll2}**\n`;
+    text += `> Total: ${roll1 + roll2}  •  Gate: ≤${gate}\n`;
+    text += `> \n`;
+    text += `> HighRoll = **${roll.total}**\n`;
+    if (penalized) {
+        text += `> Original: HR + ${baseModifier}\n`;
+        text += `> Penalized: HR + ${modifier} = **${damage} damage**\n`;
+    } else {
+        text += `> HR + ${modifier} = **${damage} damage**\n`;
+    }
+    return { ...judgeRoll(roll, { gate, critAbove }), damage, diceRule: 'Both dice', text };
+}
+
+// Resolve an attack or cast. penalties are the roller's cumulative penalties
+// (with any newly picked one already applied, see applyPenalty) and
+// statusMods their status effects' { gate, modifier, text }.
+// Returns { gate, baseModifier, modifier, penaltyText, isFumble, isCrit,
+// isHit, damage, diceRule, text } or { error }.
+function resolveAction({ dice1, dice2, expression = null, modifier = 0, penalties, statusMods, rules, variables = {}, random }) {
+    // Blind sets a fixed gate, otherwise base gate + gate penalties; statuses
+    // shift it from there but it never drops below 0
+    const gate = Math.max(0, penaltyGate(penalties, rules) + statusMods.gate);
+    const baseModifier = modifier + statusMods.modifier;
+    const finalModifier = Math.floor(baseModifier * modifierMultiplier(penalties));
+
+    const rolled = rollDamage({
+        dice1,
+        dice2,
+        expression,
+        gate,
+        baseModifier,
+        modifier: finalModifier,
+        penalized: penalties.damageReduction > 0,
+        variables,
+        random,
+        critAbove: rules.critAbove
+    });
+    if (rolled.error) return rolled;
+
+    return { ...rolled, gate, baseModifier, modifier: finalModifier, penaltyText: penaltySummary(penalties, rules) };
+}
+
+// Verdict line and colour for a judged roll
+function verdict({ isFumble, isCrit, isHit, diceRule, gate }) {
+    if (isFumble) return { line: '💀 **FUMBLE!** (Auto-Fail)', color: RESULT_COLORS.fumble };
+    if (isCrit) return { line: '⭐ **CRITICAL!** (Auto-Success)', color: RESULT_COLORS.crit };
+    if (isHit) return { line: `✅ **HIT** (${diceRule} > ${gate})`, color: RESULT_COLORS.hit };
+    return { line: `❌ **MISS** (At least one die ≤ ${gate})`, color: RESULT_COLORS.miss };
+}
+
+// Title, colour and text of the result embed for a resolved action.
+// kind is 'attack' or 'cast'; count is the roller's attack/cast number this
+// round; notes are extra lines (multi-cast surcharge, MP paid) shown above the dice.
+function describeAction(resolution, { kind, characterName, count, actionName = null, statusText = '', notes = [] }) {
+    const isCast = kind === 'cast';
+    let text = `> **${characterName}** ${isCast ? '✨' : '⚔️'} (${isCast ? 'Cast' : 'Attack'} #${count})`;
+    if (actionName) text += ` - **${actionName}**`;
+    text += '\n';
+    if (resolution.penaltyText) text += `> *Cumulative Penalties: ${resolution.penaltyText}*\n`;
+    if (statusText) text += `> *Status: ${statusText}*\n`;
+    for (const note of notes) text += `> ${note}\n`;
+    text += `> \n`;
+    text += resolution.text;
+    text += `> \n`;
+
+    const { line, color } = verdict(resolution);
+    return { title: `🎲 ${isCast ? 'Cast' : 'Attack'} Roll`, color, text: text + `> ${line}` };
+}
+
+module.exports = {
+    rollTwoDice,
+    rollDamage,
+    resolveAction,
+    describeAction
+};
@@ -1,10 +1,18 @@
 require('dotenv').config();
 
-const { Client, GatewayIntentBits, EmbedBuilder, PermissionFlagsBits, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { Client, GatewayIntentBits, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, AttachmentBuilder, RESTJSONErrorCodes } = require('discord.js');
 const { REST, Routes, SlashCommandBuilder } = require('discord.js');
 const fs = require('fs');
 const path = require('path');
 const { Pool } = require('pg');
+const { migrate } = require('./migrations');
+const { rollExpression, validateExpression, judgeRoll } = require('./dice');
+const { rollTwoDice, resolveAction, describeAction } = require('./actions');
+const { createRng, restoreRng, snapshotRng, seedCommitment } = require('./rng');
+const { RULES, PENALTY_OPTIONS, createRules, restoreRules, ruleError, createPenalties, restorePenalties, applyPenalty, penaltyLabel, penaltyChoice, penaltySummary, castSurcharge } = require('./rules');
+const { BUILTIN_RESOURCES, NPC_RESOURCES, MAX_CUSTOM_RESOURCES, createResources, restoreResources, isBuiltinResource, customResources, findResource, resourceNameError, resourceEmojiError, resourceMaxError, fillResources, customResourceValues, resourceBehaviour } = require('./resources');
+const { MIN_FLOOR, MAX_OVERHEAL, setResource, adjustResource, payResource, clippedText, floorError, overhealError } = require('./bounds');
+const { requiresGm, gmOptions, playerTargetOption, mentionTargetOption, isGmMember } = require('./permissions');
 
 // Bot configuration
 const TOKEN = process.env.DISCORD_BOT_TOKEN || 'YOUR_BOT_TOKEN_HERE';
@@ -28,323 +36,2711 @@ if (DATABASE_URL) {
     console.log('⚠️ No DATABASE_URL found, using JSON file storage');
 }
 
-// File path for persistent storage (fallback)
-const DATA_FILE = path.join(__dirname, 'playerData.json');
+// File path for persistent storage (fallback; DATA_FILE moves it, e.g. for tests)
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, 'playerData.json');
+
+// Append-only change log for the JSON storage (one entry per line)
+const HISTORY_FILE = path.join(__dirname, 'history.jsonl');
+
+// Rows saved before data was scoped per guild are kept under this key until claimed
+const LEGACY_GUILD_KEY = '';
+
+// How many changes per guild /undo can go back
+const UNDO_LIMIT = 20;
+
+// Per-guild state: every Discord server runs its own campaign
+const guildStates = new Map(); // guildId -> { playerData, activeEncounter, attackCounters, ... }
+
+// Create an empty encounter
+function createEncounter() {
+    return {
+        active: false,
+        combatants: [], // Array of userIds and NPC ids (npc:<key>)
+        turnsTaken: new Set(), // Track who has taken their turn this round
+        initiative: {}, // combatantId -> initiative value
+        order: [], // Turn order for this round; the first combatant who hasn't acted is up
+        readied: [], // Combatants holding a readied action this round
+        round: 1,
+        downed: {}, // Combatants making death saves: combatantId -> { successes, failures }
+        defeated: [], // Combatants out of the fight; their turns are skipped
+        dashboard: null // Live clash message: { channelId, messageId, pinned }
+    };
+}
+
+// Rebuild an encounter loaded from storage (turnsTaken is stored as an array)
+function restoreEncounter(raw) {
+    if (!raw) return createEncounter();
+    const combatants = raw.combatants || [];
+    return {
+        active: !!raw.active,
+        combatants,
+        turnsTaken: new Set(Array.isArray(raw.turnsTaken) ? raw.turnsTaken : []),
+        initiative: raw.initiative || {},
+        order: raw.order || [...combatants],
+        readied: raw.readied || [],
+        round: raw.round || 1,
+        downed: raw.downed && typeof raw.downed === 'object' ? raw.downed : {},
+        defeated: Array.isArray(raw.defeated) ? raw.defeated : [],
+        dashboard: raw.dashboard && raw.dashboard.channelId && raw.dashboard.messageId
+            ? { channelId: raw.dashboard.channelId, messageId: raw.dashboard.messageId, pinned: !!raw.dashboard.pinned }
+            : null
+    };
+}
+
+// This round's attack/cast counters and penalties and the hits still waiting
+// for an answer, as stored with the encounter
+function snapshotCombatState(state) {
+    return {
+        attackCounters: Object.fromEntries(state.attackCounters),
+        castCounters: Object.fromEntries(state.castCounters),
+        attackPenalties: Object.fromEntries(state.attackPenalties),
+        castPenalties: Object.fromEntries(state.castPenalties),
+        incomingAttacks: [...state.incomingAttacks.values()]
+            .filter(attack => attack.message) // Not sent yet, so nothing to answer
+            .map(({ id, actor, damage, damageType, responses, message, expiresAt }) => ({ id, actor, damage, damageType, responses, message, expiresAt }))
+    };
+}
+
+// Rebuild a waiting hit loaded from storage (null if it isn't valid).
+// armIncomingAttack() restarts its timer.
+function restoreIncomingAttack(guildId, raw) {
+    if (!raw || typeof raw.id !== 'string' || !raw.actor || typeof raw.actor.id !== 'string') return null;
+    if (!Number.isInteger(raw.damage) || !Number.isFinite(raw.expiresAt)) return null;
+    if (!raw.message || !raw.message.channelId || !raw.message.messageId) return null;
+    if (!raw.responses || typeof raw.responses !== 'object') return null;
+    return {
+        id: raw.id,
+        guildId,
+        actor: { id: raw.actor.id, name: String(raw.actor.name || raw.actor.id) },
+        damage: raw.damage,
+        damageType: raw.damageType,
+        responses: raw.responses,
+        message: { channelId: raw.message.channelId, messageId: raw.message.messageId },
+        expiresAt: raw.expiresAt,
+        timer: null
+    };
+}
+
+// Put stored counters, penalties and waiting hits back into a guild's state
+function restoreCombatState(state, raw, guildId) {
+    const counters = entries => new Map(Object.entries(entries || {}).filter(([, count]) => Number.isInteger(count) && count > 0));
+    const penalties = entries => new Map(Object.entries(entries || {}).map(([userId, value]) => [userId, restorePenalties(value)]));
+    state.attackCounters = counters(raw && raw.attackCounters);
+    state.castCounters = counters(raw && raw.castCounters);
+    state.attackPenalties = penalties(raw && raw.attackPenalties);
+    state.castPenalties = penalties(raw && raw.castPenalties);
+    const attacks = Array.isArray(raw && raw.incomingAttacks) ? raw.incomingAttacks : [];
+    state.incomingAttacks = new Map(attacks
+        .map(attack => restoreIncomingAttack(guildId, attack))
+        .filter(Boolean)
+        .map(attack => [attack.id, attack]));
+}
+
+// When statuses in a clash tick on their own: at the end of each combatant's
+// turn, at the start of each round, or only with /tick
+const STATUS_TICKING_MODES = ['turn', 'round', 'off'];
+
+// Default per-guild settings (changed with /settings)
+function createSettings() {
+    return {
+        statusTicking: 'turn',
+        rules: createRules(), // Game rules (/rules)
+        resources: createResources(), // Resource definitions (/resource)
+        gmRole: null // Role id of the server's GMs (/settings gmrole)
+    };
+}
+
+// Rebuild settings loaded from storage or an import, keeping only valid values
+function restoreSettings(raw) {
+    const settings = createSettings();
+    if (raw && STATUS_TICKING_MODES.includes(raw.statusTicking)) settings.statusTicking = raw.statusTicking;
+    settings.rules = restoreRules(raw && raw.rules);
+    settings.resources = restoreResources(raw && raw.resources);
+    if (raw && typeof raw.gmRole === 'string' && /^\d+$/.test(raw.gmRole)) settings.gmRole = raw.gmRole;
+    return settings;
+}
+
+// Get (or create) the state for a guild
+function getGuildState(guildId) {
+    if (!guildStates.has(guildId)) {
+        guildStates.set(guildId, {
+            // In-memory storage for player resources
+            playerData: new Map(),
+            // GM-owned NPC/monster stat blocks
+            npcs: new Map(), // npcKey -> character sheet
+            // Active encounter data
+            activeEncounter: createEncounter(),
+            // GM-configurable options (/settings)
+            settings: createSettings(),
+            // Random number stream every roll draws from (/rng)
+            rng: createRng(),
+            // Attack and Cast counters (resets on /round)
+            attackCounters: new Map(), // userId -> count
+            castCounters: new Map(), // userId -> count
+            // Cumulative penalty tracking
+            attackPenalties: new Map(), // userId -> createPenalties()
+            castPenalties: new Map(), // userId -> createPenalties()
+            // Hits waiting for their targets to Defend or Take Damage
+            incomingAttacks: new Map(), // attackId -> attack (see recordIncomingAttack)
+            // Recent changes for /undo and /redo (newest last, at most UNDO_LIMIT)
+            undoHistory: [],
+            redoHistory: []
+        });
+    }
+    return guildStates.get(guildId);
+}
+
+// Built-in resource types and their emojis (GM-defined ones live in each
+// guild's settings.resources, see resources.js)
+const RESOURCES = BUILTIN_RESOURCES.map(resource => resource.name);
+const RESOURCE_EMOJIS = Object.fromEntries(BUILTIN_RESOURCES.map(resource => [resource.name, resource.emoji]));
+
+// Bring the database schema up to date (see migrations/ and migrate.js).
+// Throws if a migration fails: the bot must not run on a half-migrated schema.
+async function initDatabase() {
+    if (!useDatabase) return;
+
+    await migrate(pool);
+    console.log('✅ Database schema is up to date');
+}
+
+// Load data from database or file
+async function loadData() {
+    guildStates.clear();
+
+    if (useDatabase) {
+        try {
+            // Load players
+            const playersResult = await pool.query('SELECT * FROM players');
+            
+            for (const row of playersResult.rows) {
+                const { playerData } = getGuildState(row.guild_id);
+                if (!playerData.has(row.user_id)) {
+                    playerData.set(row.user_id, { username: row.username, activeCharacter: null, characters: {} });
+                }
+
+                const player = playerData.get(row.user_id);
+                if (row.active || !player.activeCharacter) {
+                    player.activeCharacter = row.character_key;
+                }
+                player.characters[row.character_key] = {
+                    characterName: row.character_name,
+                    HP: row.hp,
+                    MP: row.mp,
+                    IP: row.ip,
+                    Armor: row.armor,
+                    Barrier: row.barrier,
+                    maxHP: row.max_hp,
+                    maxMP: row.max_mp,
+                    maxIP: row.max_ip,
+                    maxArmor: row.max_armor,
+                    maxBarrier: row.max_barrier,
+                    statusEffects: row.status_effects || [],
+                    savedActions: row.saved_actions || {},
+                    ...(row.extra_resources || {})
+                };
+            }
+
+            // Load NPCs
+            const npcsResult = await pool.query('SELECT * FROM npcs');
+            for (const row of npcsResult.rows) {
+                getGuildState(row.guild_id).npcs.set(row.npc_key, {
+                    ...createCharacter(row.name),
+                    HP: row.hp,
+                    MP: row.mp,
+                    Armor: row.armor,
+                    Barrier: row.barrier,
+                    maxHP: row.max_hp,
+                    maxMP: row.max_mp,
+                    maxArmor: row.max_armor,
+                    maxBarrier: row.max_barrier,
+                    statusEffects: row.status_effects || [],
+                    savedActions: row.saved_actions || {}
+                });
+            }
+
+            // Load encounters
+            const encounterResult = await pool.query('SELECT * FROM encounters');
+            for (const row of encounterResult.rows) {
+                const state = getGuildState(row.guild_id);
+                state.activeEncounter = restoreEncounter({ ...row, ...(row.turn_state || {}) });
+                restoreCombatState(state, row.turn_state && row.turn_state.combat, row.guild_id);
+            }
+
+            // Load guild settings
+            const settingsResult = await pool.query('SELECT * FROM guild_settings');
+            for (const row of settingsResult.rows) {
+                const state = getGuildState(row.guild_id);
+                state.settings = restoreSettings(row.settings);
+                state.rng = restoreRng(row.settings && row.settings.rng);
+                savedRngPositions.set(row.guild_id, rngPosition(state.rng));
+            }
+
+            console.log(`✅ Loaded ${playersResult.rows.length} characters across ${guildStates.size} guild(s) from database`);
+        } catch (error) {
+            console.error('❌ Error loading from database:', error);
+        }
+    } else {
+        // Fallback to JSON file
+        try {
+            if (fs.existsSync(DATA_FILE)) {
+                const rawData = fs.readFileSync(DATA_FILE, 'utf8');
+                const parsed = JSON.parse(rawData);
+
+                // Older files hold a single campaign ({ players, encounter } or a bare player map)
+                const guilds = parsed.guilds || {
+                    [LEGACY_GUILD_KEY]: { players: parsed.players || parsed, encounter: parsed.encounter }
+                };
+
+                let playerCount = 0;
+                for (const [guildId, saved] of Object.entries(guilds)) {
+                    const state = getGuildState(guildId);
+                    for (const [userId, data] of Object.entries(saved.players || {})) {
+                        state.playerData.set(userId, restorePlayer(data));
+                        playerCount++;
+                    }
+                    for (const [npcKey, npc] of Object.entries(saved.npcs || {})) {
+                        state.npcs.set(npcKey, npc);
+                    }
+                    state.activeEncounter = restoreEncounter(saved.encounter);
+                    restoreCombatState(state, saved.encounter && saved.encounter.combat, guildId);
+                    state.settings = restoreSettings(saved.settings);
+                    state.rng = restoreRng(saved.settings && saved.settings.rng);
+                }
+                console.log(`Loaded data for ${playerCount} players across ${guildStates.size} guild(s) from ${DATA_FILE}`);
+            } else {
+                console.log('No existing data file found. Starting fresh.');
+            }
+        } catch (error) {
+            console.error('Error loading data:', error);
+            console.log('Starting with empty data.');
+        }
+    }
+}
+
+// Pending writes per guild, waiting for the next flush:
+// guildId -> { all, players: Set<userId>, npcs: Set<npcKey>, encounter, settings, rng }
+const pendingSaves = new Map();
+
+// Flushes run one at a time. Saves requested while a flush is running are
+// merged and written together by the next one.
+let saveChain = Promise.resolve();
+let queuedFlush = null;
+
+// Record what changed in a guild and persist it. Pass the players (user ids),
+// NPCs (npc keys), encounter, settings and/or rng (the random stream's
+// position, stored with the settings; any save writes it if rolls were made
+// since, so only commands that just roll pass it) that changed; with no changes given the
+// whole guild is saved. Resolves once the change has been written.
+// Records missing from memory are deleted from the database.
+function saveData(guildId, changes = null) {
+    queueChanges(guildId, changes);
+    if (touchesClash(guildId, changes)) scheduleDashboardUpdate(guildId);
+
+    if (!queuedFlush) {
+        queuedFlush = saveChain.then(() => {
+            queuedFlush = null;
+            return flushPendingSaves();
+        });
+        saveChain = queuedFlush;
+    }
+    return queuedFlush;
+}
+
+// Merge changes into a guild's pending writes (null = the whole guild)
+function queueChanges(guildId, changes) {
+    if (!pendingSaves.has(guildId)) {
+        pendingSaves.set(guildId, { all: false, players: new Set(), npcs: new Set(), encounter: false, settings: false, rng: false });
+    }
+    const pending = pendingSaves.get(guildId);
+
+    if (!changes) {
+        pending.all = true;
+    } else {
+        for (const userId of changes.players || []) pending.players.add(userId);
+        for (const npcKey of changes.npcs || []) pending.npcs.add(npcKey);
+        if (changes.encounter) pending.encounter = true;
+        if (changes.settings) pending.settings = true;
+        if (changes.rng) pending.rng = true;
+    }
+}
+
+// Changes for a list of combatant ids (players and npc:<key> ids mixed)
+function combatantChanges(combatantIds, encounter = false) {
+    return {
+        players: combatantIds.filter(id => !isNpcCombatant(id)),
+        npcs: combatantIds.filter(isNpcCombatant).map(id => id.slice(NPC_PREFIX.length)),
+        encounter
+    };
+}
+
+// Write everything queued by saveData()
+async function flushPendingSaves() {
+    const batch = new Map(pendingSaves);
+    pendingSaves.clear();
+
+    if (useDatabase) {
+        for (const [guildId, changes] of batch) {
+            try {
+                await writeGuildChanges(guildId, changes);
+            } catch (error) {
+                console.error(`❌ Error saving to database (guild ${guildId}):`, error);
+                // Keep the changes queued so the next save retries them
+                queueChanges(guildId, changes.all ? null : {
+                    players: changes.players,
+                    npcs: changes.npcs,
+                    encounter: changes.encounter,
+                    settings: changes.settings,
+                    rng: changes.rng
+                });
+            }
+        }
+    } else {
+        // Fallback to JSON file
+        try {
+            writeDataFile();
+        } catch (error) {
+            console.error('Error saving data:', error);
+        }
+    }
+}
+
+// Where each guild's random stream stood when its settings row was last
+// written. The stream is stored with the settings, and any flush also writes
+// it if rolls were made since, so the dice never replay after a restart.
+const savedRngPositions = new Map(); // guildId -> rngPosition()
+
+function rngPosition(rng) {
+    return `${rng.seed}:${rng.draws}`;
+}
+
+// Write one guild's changed rows in a single transaction
+async function writeGuildChanges(guildId, changes) {
+    const { playerData, npcs, activeEncounter, settings, rng } = getGuildState(guildId);
+    const position = rngPosition(rng);
+    const userIds = changes.all ? new Set([...playerData.keys(), ...changes.players]) : changes.players;
+    const npcKeys = changes.all ? new Set([...npcs.keys(), ...changes.npcs]) : changes.npcs;
+
+    const db = await pool.connect();
+    try {
+        await db.query('BEGIN');
+
+        for (const userId of userIds) {
+            const player = playerData.get(userId);
+            const keys = player ? Object.keys(player.characters) : [];
+            for (const key of keys) {
+                await upsertCharacter(db, guildId, userId, player, key);
+            }
+            // Drop rows for characters the player no longer has (or the whole player)
+            await db.query(
+                'DELETE FROM players WHERE guild_id = $1 AND user_id = $2 AND NOT (character_key = ANY($3))',
+                [guildId, userId, keys]
+            );
+        }
+
+        for (const npcKey of npcKeys) {
+            if (npcs.has(npcKey)) {
+                await upsertNpc(db, guildId, npcKey, npcs.get(npcKey));
+            } else {
+                await db.query('DELETE FROM npcs WHERE guild_id = $1 AND npc_key = $2', [guildId, npcKey]);
+            }
+        }
+
+        if (changes.all || changes.encounter) {
+            await upsertEncounter(db, guildId, activeEncounter, snapshotCombatState(getGuildState(guildId)));
+        }
+
+        if (changes.all || changes.settings || changes.rng || savedRngPositions.get(guildId) !== position) {
+            await db.query(`
+                INSERT INTO guild_settings (guild_id, settings, updated_at)
+                VALUES ($1, $2, CURRENT_TIMESTAMP)
+                ON CONFLICT (guild_id)
+                DO UPDATE SET settings = $2, updated_at = CURRENT_TIMESTAMP
+            `, [guildId, JSON.stringify({ ...settings, rng: snapshotRng(rng) })]);
+        }
+
+        await db.query('COMMIT');
+        savedRngPositions.set(guildId, position);
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw error;
+    } finally {
+        db.release();
+    }
+}
+
+// Insert or update one character row
+async function upsertCharacter(db, guildId, userId, player, key) {
+    const data = player.characters[key];
+    await db.query(`
+        INSERT INTO players (
+            guild_id, user_id, character_key, active, username, character_name,
+            hp, mp, ip, armor, barrier,
+            max_hp, max_mp, max_ip, max_armor, max_barrier,
+            status_effects, saved_actions, extra_resources, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, CURRENT_TIMESTAMP)
+        ON CONFLICT (guild_id, user_id, character_key) 
+        DO UPDATE SET
+            active = $4,
+            username = $5,
+            character_name = $6,
+            hp = $7,
+            mp = $8,
+            ip = $9,
+            armor = $10,
+            barrier = $11,
+            max_hp = $12,
+            max_mp = $13,
+            max_ip = $14,
+            max_armor = $15,
+            max_barrier = $16,
+            status_effects = $17,
+            saved_actions = $18,
+            extra_resources = $19,
+            updated_at = CURRENT_TIMESTAMP
+    `, [
+        guildId,
+        userId,
+        key,
+        key === player.activeCharacter,
+        player.username,
+        data.characterName,
+        data.HP,
+        data.MP,
+        data.IP,
+        data.Armor,
+        data.Barrier,
+        data.maxHP,
+        data.maxMP,
+        data.maxIP,
+        data.maxArmor,
+        data.maxBarrier,
+        JSON.stringify(data.statusEffects || []),
+        JSON.stringify(data.savedActions || {}),
+        JSON.stringify(customResourceValues(data, getGuildState(guildId).settings.resources))
+    ]);
+}
+
+// Insert or update one NPC row
+async function upsertNpc(db, guildId, npcKey, npc) {
+    await db.query(`
+        INSERT INTO npcs (
+            guild_id, npc_key, name,
+            hp, mp, armor, barrier,
+            max_hp, max_mp, max_armor, max_barrier,
+            status_effects, saved_actions, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP)
+        ON CONFLICT (guild_id, npc_key)
+        DO UPDATE SET
+            name = $3,
+            hp = $4,
+            mp = $5,
+            armor = $6,
+            barrier = $7,
+            max_hp = $8,
+            max_mp = $9,
+            max_armor = $10,
+            max_barrier = $11,
+            status_effects = $12,
+            saved_actions = $13,
+            updated_at = CURRENT_TIMESTAMP
+    `, [
+        guildId,
+        npcKey,
+        npc.characterName,
+        npc.HP,
+        npc.MP,
+        npc.Armor,
+        npc.Barrier,
+        npc.maxHP,
+        npc.maxMP,
+        npc.maxArmor,
+        npc.maxBarrier,
+        JSON.stringify(npc.statusEffects || []),
+        JSON.stringify(npc.savedActions || {})
+    ]);
+}
+
+// Insert or update a guild's encounter row. combat holds the round's
+// counters, penalties and waiting hits (snapshotCombatState).
+async function upsertEncounter(db, guildId, encounter, combat) {
+    const { initiative, order, readied, round, downed, defeated, dashboard } = encounter;
+    const turnsTaken = [...encounter.turnsTaken];
+    await db.query(`
+        INSERT INTO encounters (guild_id, active, combatants, turn_state, updated_at)
+        VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+        ON CONFLICT (guild_id)
+        DO UPDATE SET active = $2, combatants = $3, turn_state = $4, updated_at = CURRENT_TIMESTAMP
+    `, [
+        guildId,
+        encounter.active,
+        JSON.stringify(encounter.combatants),
+        JSON.stringify({ initiative, order, readied, round, turnsTaken, downed, defeated, dashboard, combat })
+    ]);
+}
+
+// Write all guilds to the JSON file. The data goes to a temp file first and is
+// renamed over the old one, so a crash mid-write never leaves a truncated file.
+function writeDataFile() {
+    const guilds = {};
+    for (const [id, state] of guildStates) {
+        guilds[id] = {
+            players: Object.fromEntries(state.playerData),
+            npcs: Object.fromEntries(state.npcs),
+            encounter: {
+                ...state.activeEncounter,
+                turnsTaken: Array.from(state.activeEncounter.turnsTaken),
+                combat: snapshotCombatState(state)
+            },
+            settings: { ...state.settings, rng: snapshotRng(state.rng) }
+        };
+    }
+
+    const tempFile = `${DATA_FILE}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify({ guilds }, null, 2), 'utf8');
+    fs.renameSync(tempFile, DATA_FILE);
+    console.log(`Data saved for ${guildStates.size} guild(s)`);
+}
+
+// A player's characters for the history log, e.g. "Aria, Bram"
+function playerLabel(record, userId) {
+    return Object.values(record.characters).map(c => c.characterName).join(', ') || record.username || userId;
+}
+
+// Delete a player (all their characters)
+async function deletePlayer(guildId, userId) {
+    getGuildState(guildId).playerData.delete(userId);
+    await saveData(guildId, { players: [userId] });
+}
+
+// Delete an NPC stat block and take it out of the clash
+async function deleteNpc(guildId, npcKey) {
+    const { npcs, activeEncounter } = getGuildState(guildId);
+    npcs.delete(npcKey);
+    removeCombatant(activeEncounter, npcCombatantId(npcKey));
+    await saveData(guildId, { npcs: [npcKey], encounter: true });
+}
+
+// Values tracked in the history log for a character sheet
+function snapshotSheet(data, resources) {
+    const snapshot = {};
+    for (const { name: resource } of resources) {
+        if (data[`max${resource}`] === undefined) continue; // NPCs have no custom resources
+        snapshot[resource] = data[resource];
+        snapshot[`max${resource}`] = data[`max${resource}`];
+    }
+    snapshot.statusEffects = JSON.parse(JSON.stringify(data.statusEffects || []));
+    return snapshot;
+}
+
+// Values tracked in the history log for a clash
+function snapshotEncounter(encounter) {
+    return {
+        active: encounter.active,
+        combatants: [...encounter.combatants],
+        round: encounter.round,
+        turnsTaken: [...encounter.turnsTaken],
+        order: [...encounter.order],
+        initiative: { ...encounter.initiative }
+    };
+}
+
+// Whole records tracked in the history log besides sheet values: a player
+// with all their characters or an NPC stat block (kept as is, so a deletion
+// can be undone and the sheets in older changes are found again), and a
+// player's attack and cast counters and penalties (copied). get() returns null
+// when there is none and set() with null deletes it.
+const PENALTY_MAPS = ['attackCounters', 'castCounters', 'attackPenalties', 'castPenalties'];
+const HISTORY_RECORDS = {
+    player: {
+        field: 'deleted',
+        targetId: userId => userId,
+        get: (state, userId) => state.playerData.get(userId) || null,
+        set: (state, userId, record) => record ? state.playerData.set(userId, record) : state.playerData.delete(userId)
+    },
+    npc: {
+        field: 'deleted',
+        targetId: npcKey => npcCombatantId(npcKey),
+        get: (state, npcKey) => state.npcs.get(npcKey) || null,
+        set: (state, npcKey, record) => record ? state.npcs.set(npcKey, record) : state.npcs.delete(npcKey)
+    },
+    penalties: {
+        field: 'penalties',
+        targetId: userId => userId,
+        get: (state, userId) => {
+            const maps = PENALTY_MAPS.filter(map => state[map].has(userId));
+            return maps.length > 0 ? Object.fromEntries(maps.map(map => [map, structuredClone(state[map].get(userId))])) : null;
+        },
+        set: (state, userId, record) => {
+            for (const map of PENALTY_MAPS) {
+                if (record && map in record) state[map].set(userId, structuredClone(record[map]));
+                else state[map].delete(userId);
+            }
+        }
+    }
+};
+
+// The history log value of a tracked record
+function recordValue(field, record) {
+    if (field === 'deleted') return record === null;
+    return record ? Object.fromEntries(PENALTY_MAPS.map(map => [map, record[map] ?? null])) : {};
+}
+
+// Source label for a history entry, e.g. "/status add"
+function commandSource(interaction) {
+    const subcommand = interaction.options.getSubcommand(false);
+    return `/${interaction.commandName}${subcommand ? ` ${subcommand}` : ''}`;
+}
+
+// Record the changes a command makes for the history log. Call track() with
+// each sheet before changing it (trackEncounter() for the clash, trackRecord()
+// for a whole record, see HISTORY_RECORDS), then commit() once done to append
+// every value that actually changed.
+// Committed changes can be reverted with /undo as one unit unless
+// commit({ undoable: false }) is used. HP crossing the guild's downedAt rule
+// is handled here too (see updateDowned). Returns the logged entries.
+function startHistory(interaction, source = commandSource(interaction)) {
+    const guildId = interaction.guildId;
+    const { resources } = getGuildState(guildId).settings;
+    const sheets = [];
+    const records = [];
+    let encounterBefore = null;
+
+    return {
+        track(combatantId, data) {
+            if (data && !sheets.some(sheet => sheet.data === data)) {
+                sheets.push({ combatantId, data, before: snapshotSheet(data, resources) });
+            }
+            return data;
+        },
+
+        trackEncounter() {
+            if (!encounterBefore) {
+                encounterBefore = snapshotEncounter(getGuildState(guildId).activeEncounter);
+            }
+        },
+
+        // kind is a HISTORY_RECORDS key, name what the log calls the target
+        trackRecord(kind, key, name) {
+            if (!records.some(record => record.kind === kind && record.key === key)) {
+                records.push({ kind, key, name, before: HISTORY_RECORDS[kind].get(getGuildState(guildId), key) });
+            }
+        },
+
+        commit({ undoable = true } = {}) {
+            const actor = {
+                actorId: interaction.user.id,
+                actorName: interaction.member ? interaction.member.displayName : interaction.user.username,
+                source
+            };
+            const entries = [];
+            const addChanges = (targetId, targetName, before, after) => {
+                for (const field of Object.keys(after)) {
+                    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+                        entries.push({ ...actor, targetId, targetName, field, before: before[field], after: after[field] });
+                    }
+                }
+            };
+
+            const changedSheets = [];
+            for (const { combatantId, data, before } of sheets) {
+                const after = snapshotSheet(data, resources);
+                const count = entries.length;
+                addChanges(combatantId, data.characterName, before, after);
+                if (entries.length > count) changedSheets.push({ combatantId, data, before, after });
+            }
+
+            const changedRecords = [];
+            for (const { kind, key, name, before } of records) {
+                const { field, targetId, get } = HISTORY_RECORDS[kind];
+                const after = get(getGuildState(guildId), key);
+                const entry = { ...actor, targetId: targetId(key), targetName: name, field, before: recordValue(field, before), after: recordValue(field, after) };
+                if (JSON.stringify(entry.before) === JSON.stringify(entry.after)) continue;
+                entries.push(entry);
+                changedRecords.push({ kind, key, name, targetId: entry.targetId, before, after });
+            }
+
+            let encounterChange = null;
+            if (encounterBefore) {
+                const after = snapshotEncounter(getGuildState(guildId).activeEncounter);
+                const count = entries.length;
+                addChanges(null, 'Clash', encounterBefore, after);
+                if (entries.length > count) encounterChange = { before: encounterBefore, after };
+            }
+
+            if (undoable && entries.length > 0) {
+                recordUndo(guildId, {
+                    actorId: actor.actorId,
+                    source,
+                    sheets: changedSheets,
+                    records: changedRecords,
+                    encounter: encounterChange
+                });
+            }
+
+            appendHistory(guildId, entries);
+            queueDownedNotices(interaction, updateDowned(guildId, changedSheets));
+            return entries;
+        }
+    };
+}
+
+// Remember a committed change for /undo. Any new change clears /redo.
+function recordUndo(guildId, change) {
+    const { undoHistory, redoHistory } = getGuildState(guildId);
+    undoHistory.push(change);
+    if (undoHistory.length > UNDO_LIMIT) undoHistory.shift();
+    redoHistory.length = 0;
+}
+
+// Fields that differ between two snapshots
+function changedFields(before, after) {
+    return Object.keys(after).filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+}
+
+// Put a recorded change back to its 'before' (undo) or 'after' (redo) values.
+// Only the fields the change touched are restored, so later changes to other
+// values survive. Sheets deleted since are skipped. Returns the history entries logged for it.
+function revertChange(interaction, change, side) {
+    const guildId = interaction.guildId;
+    const state = getGuildState(guildId);
+    const { npcs, playerData, activeEncounter } = state;
+    const history = startHistory(interaction);
+
+    // Deleted players and NPCs come back first, so their sheets are found below
+    for (const { kind, key, name, [side]: record } of change.records) {
+        history.trackRecord(kind, key, name);
+        HISTORY_RECORDS[kind].set(state, key, record);
+    }
+
+    for (const sheet of change.sheets) {
+        const stillExists = isNpcCombatant(sheet.combatantId)
+            ? [...npcs.values()].includes(sheet.data)
+            : Object.values((playerData.get(sheet.combatantId) || { characters: {} }).characters).includes(sheet.data);
+        if (!stillExists) continue;
+
+        history.track(sheet.combatantId, sheet.data);
+        for (const field of changedFields(sheet.before, sheet.after)) {
+            sheet.data[field] = JSON.parse(JSON.stringify(sheet[side][field]));
+        }
+    }
+
+    if (change.encounter) {
+        history.trackEncounter();
+        for (const field of changedFields(change.encounter.before, change.encounter.after)) {
+            const value = JSON.parse(JSON.stringify(change.encounter[side][field]));
+            activeEncounter[field] = field === 'turnsTaken' ? new Set(value) : value;
+        }
+    }
+
+    return history.commit({ undoable: false });
+}
+
+// Append entries to the history log (never updated or deleted)
+async function appendHistory(guildId, entries) {
+    if (entries.length === 0) return;
+
+    if (useDatabase) {
+        try {
+            const values = [];
+            const rows = entries.map((entry, i) => {
+                values.push(
+                    guildId, entry.actorId, entry.actorName, entry.source, entry.targetId,
+                    entry.targetName, entry.field, JSON.stringify(entry.before), JSON.stringify(entry.after)
+                );
+                const n = i * 9;
+                return `($${n + 1}, $${n + 2}, $${n + 3}, $${n + 4}, $${n + 5}, $${n + 6}, $${n + 7}, $${n + 8}, $${n + 9})`;
+            });
+            await pool.query(`
+                INSERT INTO history (
+                    guild_id, actor_id, actor_name, source, target_id,
+                    target_name, field, before_value, after_value
+                ) VALUES ${rows.join(', ')}
+            `, values);
+        } catch (error) {
+            console.error('❌ Error writing history to database:', error);
+        }
+    } else {
+        try {
+            const timestamp = new Date().toISOString();
+            const lines = entries.map(entry => JSON.stringify({ guildId, timestamp, ...entry }));
+            fs.appendFileSync(HISTORY_FILE, lines.join('\n') + '\n', 'utf8');
+        } catch (error) {
+            console.error('Error writing history:', error);
+        }
+    }
+}
+
+// Most recent history entries for a guild, oldest first. Pass combatant ids to
+// only get changes to those players/NPCs.
+async function readHistory(guildId, targetIds = null, limit = 10) {
+    if (useDatabase) {
+        const result = await pool.query(`
+            SELECT * FROM history
+            WHERE guild_id = $1 AND ($2::text[] IS NULL OR target_id = ANY($2))
+            ORDER BY id DESC
+            LIMIT $3
+        `, [guildId, targetIds, limit]);
+        return result.rows.reverse().map(row => ({
+            timestamp: row.created_at.toISOString(),
+            actorId: row.actor_id,
+            actorName: row.actor_name,
+            source: row.source,
+            targetId: row.target_id,
+            targetName: row.target_name,
+            field: row.field,
+            before: row.before_value,
+            after: row.after_value
+        }));
+    }
+
+    if (!fs.existsSync(HISTORY_FILE)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(HISTORY_FILE, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            const entry = JSON.parse(line);
+            if (entry.guildId === guildId && (!targetIds || targetIds.includes(entry.targetId))) {
+                entries.push(entry);
+            }
+        } catch (error) {
+            // A line cut short by a crash mid-append; skip it
+        }
+    }
+    return entries.slice(-limit);
+}
+
+// Whether the member behind an interaction is a GM (see permissions.js)
+function isGm(interaction) {
+    const roles = interaction.member ? interaction.member.roles : [];
+    const roleIds = Array.isArray(roles) ? roles : [...roles.cache.keys()];
+    return isGmMember(interaction.memberPermissions, roleIds, getGuildState(interaction.guildId).settings.gmRole);
+}
+
+// User ids mentioned in a string option (/damage players:@a @b)
+function mentionedUserIds(text) {
+    return (text.match(/<@!?(\d+)>/g) || []).map(mention => mention.match(/\d+/)[0]);
+}
+
+// Why a command can't be run by its member, or null if it can:
+// { reason, targetIds } with the other players it would have changed
+function permissionDenial(interaction) {
+    if (isGm(interaction)) return null;
+
+    const { commandName } = interaction;
+    const subcommand = interaction.options.getSubcommand(false);
+    if (requiresGm(commandName, subcommand)) {
+        return { reason: `Only GMs can use \`${commandSource(interaction)}\`.`, targetIds: [] };
+    }
+
+    // A boolean option set to false (reroll:false) asks for nothing
+    const gmOption = gmOptions(commandName, subcommand).find(name => {
+        const given = interaction.options.get(name);
+        return given && given.value !== false && given.value !== '';
+    });
+    if (gmOption) {
+        return { reason: `Only GMs can use the \`${gmOption}\` option of \`${commandSource(interaction)}\`.`, targetIds: [] };
+    }
+
+    const option = playerTargetOption(commandName, subcommand);
+    const player = option ? interaction.options.getUser(option) : null;
+    const mentionOption = mentionTargetOption(commandName, subcommand);
+    const targetIds = mentionOption
+        ? mentionedUserIds(interaction.options.getString(mentionOption) || '')
+        : player ? [player.id] : [];
+    const others = [...new Set(targetIds)].filter(userId => userId !== interaction.user.id);
+    if (others.length > 0) {
+        return { reason: 'Only GMs can change another player\'s characters.', targetIds: others };
+    }
+    return null;
+}
+
+// Why a member can't /clash delay or ready the current turn, or null if they
+// can: only the combatant who is up (or a GM) may hold or move it
+function turnDenial(interaction, current) {
+    if (current === interaction.user.id || isGm(interaction)) return null;
+    return { reason: 'Only the combatant who is up (or a GM) can delay or ready this turn.', targetIds: isNpcCombatant(current) ? [] : [current] };
+}
+
+// Refuse an interaction the member isn't allowed to run. The attempt goes
+// to the console and the history log (under each player it targeted).
+async function refuse(interaction, { reason, targetIds = [] }) {
+    const guildId = interaction.guildId;
+    const source = interaction.isButton() ? `${interaction.customId.split('_')[0]} button` : commandSource(interaction);
+    console.warn(`🚫 Refused ${source} for ${interaction.user.tag} (${interaction.user.id}) in guild ${guildId}: ${reason}`);
+
+    const actor = {
+        actorId: interaction.user.id,
+        actorName: interaction.member ? interaction.member.displayName : interaction.user.username,
+        source
+    };
+    const targets = targetIds.length > 0
+        ? targetIds.map(userId => {
+            const data = getActiveCharacter(guildId, userId);
+            return { targetId: userId, targetName: data ? data.characterName : `<@${userId}>` };
+        })
+        : [{ targetId: null, targetName: 'Server' }];
+    appendHistory(guildId, targets.map(target => ({ ...actor, ...target, field: 'refused', before: null, after: reason })));
+
+    await interaction.reply({ content: reason, ephemeral: true });
+}
+
+// Human-readable description of a history entry's change
+function describeHistoryChange(guildId, entry) {
+    const { field, before, after } = entry;
+    const statusText = effects => effects.length > 0
+        ? effects.map(s => `${s.name} (${s.duration})`).join(', ')
+        : 'none';
+    const nameOf = combatantId => {
+        const data = getCombatant(guildId, combatantId);
+        return data ? combatantLabel(combatantId, data) : 'Unknown';
+    };
+
+    if (field === 'refused') return `🚫 Refused: ${after}`;
+
+    const resource = findResource(getGuildState(guildId).settings.resources, field);
+    if (resource) {
+        return `${resource.emoji} ${resource.name} ${before} → ${after}`;
+    }
+    if (field.startsWith('max')) {
+        return `📈 Max ${field.slice(3)} ${before} → ${after}`;
+    }
+
+    switch (field) {
+        case 'statusEffects':
+            return `🔮 Status: ${statusText(before)} → ${statusText(after)}`;
+        case 'active':
+            return after ? '⚔️ Clash started' : '🏁 Clash ended';
+        case 'round':
+            return `🔄 Round ${before} → ${after}`;
+        case 'deleted':
+            return after ? '🗑️ Deleted' : '♻️ Restored';
+        case 'penalties': {
+            const counts = record => `attack ${record.attackCounters || 0}, cast ${record.castCounters || 0}`;
+            return `⚠️ Penalty counts: ${counts(before)} → ${counts(after)}`;
+        }
+        case 'combatants': {
+            const joined = after.filter(id => !before.includes(id)).map(nameOf);
+            const left = before.filter(id => !after.includes(id)).map(nameOf);
+            return [
+                joined.length > 0 ? `➕ ${joined.join(', ')} joined` : '',
+                left.length > 0 ? `➖ ${left.join(', ')} left` : ''
+            ].filter(Boolean).join(' | ') || '⚔️ Combatants changed';
+        }
+        case 'turnsTaken': {
+            const finished = after.filter(id => !before.includes(id)).map(nameOf);
+            return finished.length > 0 ? `✅ ${finished.join(', ')} ended their turn` : '⬜ Turns reset';
+        }
+        case 'order':
+            return `🎯 Turn order: ${after.map(nameOf).join(' → ')}`;
+        case 'initiative': {
+            const changed = [...new Set([...Object.keys(before), ...Object.keys(after)])]
+                .filter(id => before[id] !== after[id]);
+            return `🎲 Initiative: ${changed.map(id => `${nameOf(id)} ${id in after ? after[id] : '–'}`).join(', ')}`;
+        }
+        default:
+            return `${field}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`;
+    }
+}
+
+// Hand data saved before per-guild scoping to the guild that created it.
+// The old bot kept one shared campaign, so it belongs to the only guild the bot
+// is in, or to LEGACY_GUILD_ID when the bot has since joined more servers.
+async function claimLegacyData() {
+    const legacy = guildStates.get(LEGACY_GUILD_KEY);
+    if (!legacy) return;
+
+    const targetGuildId = process.env.LEGACY_GUILD_ID
+        || (client.guilds.cache.size === 1 ? client.guilds.cache.first().id : null);
+
+    if (!targetGuildId) {
+        console.warn('⚠️ Found data saved before per-guild storage, but the bot is in several servers. Set LEGACY_GUILD_ID to choose which one owns it.');
+        return;
+    }
+
+    const target = getGuildState(targetGuildId);
+
+    if (useDatabase) {
+        const db = await pool.connect();
+        try {
+            await db.query('BEGIN');
+            await db.query(`
+                UPDATE players SET guild_id = $1
+                WHERE guild_id = $2 AND user_id NOT IN (SELECT user_id FROM players WHERE guild_id = $1)
+            `, [targetGuildId, LEGACY_GUILD_KEY]);
+            await db.query('DELETE FROM players WHERE guild_id = $1', [LEGACY_GUILD_KEY]);
+            // A running legacy clash moves whole (turn order, round and round
+            // state too) unless the guild is running its own
+            await db.query(`
+                INSERT INTO encounters (guild_id, active, combatants, turn_state, updated_at)
+                SELECT $1, active, combatants, turn_state, CURRENT_TIMESTAMP FROM encounters WHERE guild_id = $2 AND active
+                ON CONFLICT (guild_id)
+                DO UPDATE SET active = EXCLUDED.active, combatants = EXCLUDED.combatants, turn_state = EXCLUDED.turn_state, updated_at = CURRENT_TIMESTAMP
+                WHERE NOT encounters.active
+            `, [targetGuildId, LEGACY_GUILD_KEY]);
+            await db.query('DELETE FROM encounters WHERE guild_id = $1', [LEGACY_GUILD_KEY]);
+            await db.query('COMMIT');
+        } catch (error) {
+            await db.query('ROLLBACK');
+            console.error('❌ Error claiming legacy data:', error);
+            return;
+        } finally {
+            db.release();
+        }
+    }
+
+    // Existing per-guild rows win over legacy ones
+    for (const [userId, data] of legacy.playerData) {
+        if (!target.playerData.has(userId)) {
+            target.playerData.set(userId, data);
+        }
+    }
+    const takesEncounter = !target.activeEncounter.active && legacy.activeEncounter.active;
+    if (takesEncounter) {
+        target.activeEncounter = legacy.activeEncounter;
+        // The round's counters, penalties and waiting hits go with it
+        for (const map of [...PENALTY_MAPS, 'incomingAttacks']) {
+            for (const [key, value] of legacy[map]) {
+                if (!target[map].has(key)) target[map].set(key, value);
+            }
+        }
+        for (const attack of target.incomingAttacks.values()) attack.guildId = targetGuildId;
+    }
+    guildStates.delete(LEGACY_GUILD_KEY);
+
+    if (!useDatabase) {
+        await saveData(targetGuildId);
+    } else if (takesEncounter) {
+        await saveData(targetGuildId, { encounter: true }); // With the guild's own round state merged in
+    }
+
+    console.log(`✅ Moved ${legacy.playerData.size} legacy player(s) into guild ${targetGuildId}`);
+}
+
+// Campaign export format. Bump CAMPAIGN_VERSION when the layout changes and
+// teach parseCampaign() to read the older versions.
+const CAMPAIGN_FORMAT = 'discord-resource-tracker-campaign';
+const CAMPAIGN_VERSION = 1;
+
+// Imports waiting for the GM to confirm: importId -> { guildId, userId, mode, campaign, expires }
+const pendingImports = new Map();
+const IMPORT_CONFIRM_MS = 10 * 60 * 1000;
+
+// Everything a guild's campaign needs, as plain JSON
+function exportCampaign(guildId) {
+    const { playerData, npcs, activeEncounter, settings } = getGuildState(guildId);
+    return {
+        format: CAMPAIGN_FORMAT,
+        version: CAMPAIGN_VERSION,
+        exportedAt: new Date().toISOString(),
+        players: Object.fromEntries(playerData),
+        npcs: Object.fromEntries(npcs),
+        encounter: {
+            ...activeEncounter,
+            turnsTaken: Array.from(activeEncounter.turnsTaken),
+            dashboard: null // Points at this server's channel
+        },
+        settings: { ...settings, gmRole: null } // The GM role is this server's
+    };
+}
+
+// Check the resource definitions in an import file's settings. Custom ones are
+// held to the same rules as /resource add. Returns a list of error messages.
+function validateResources(raw) {
+    if (raw === undefined) return [];
+    if (!Array.isArray(raw)) return ['settings.resources must be a list'];
+
+    const errors = [];
+    const resources = createResources();
+    for (const entry of raw) {
+        if (!entry || typeof entry !== 'object') {
+            errors.push('settings.resources has an entry that is not a resource');
+            continue;
+        }
+        if (isBuiltinResource(entry.name)) continue; // Only their valid options are taken
+        const error = resourceNameError(entry.name, resources, commands.map(command => command.name))
+            || resourceEmojiError(entry.emoji) || resourceMaxError(entry.max)
+            || (entry.floor !== undefined && floorError(entry.floor)) || (entry.overheal !== undefined && overhealError(entry.overheal));
+        if (error) errors.push(`Resource "${entry.name}": ${error}`);
+        else resources.push(entry);
+    }
+    if (customResources(resources).length > MAX_CUSTOM_RESOURCES) {
+        errors.push(`A server can have at most ${MAX_CUSTOM_RESOURCES} custom resources`);
+    }
+    return errors;
+}
+
+// Check a character sheet from an import file against the resources it will
+// be used with. Returns an error message or null.
+function validateSheet(sheet, label, resources) {
+    if (!sheet || typeof sheet !== 'object') return `${label} is not a character sheet`;
+    if (typeof sheet.characterName !== 'string' || !sheet.characterName.trim()) return `${label} has no characterName`;
+    for (const { name: resource } of resources) {
+        for (const field of [resource, `max${resource}`]) {
+            if (sheet[field] !== undefined && !Number.isInteger(sheet[field])) return `${label}: ${field} must be a whole number`;
+        }
+    }
+    if (sheet.statusEffects !== undefined && (!Array.isArray(sheet.statusEffects)
+        || sheet.statusEffects.some(s => !s || typeof s.name !== 'string' || !Number.isInteger(s.duration)))) {
+        return `${label}: statusEffects must be a list of { name, duration }`;
+    }
+    for (const status of sheet.statusEffects || []) {
+        if (status.type !== undefined && !(status.type in STATUS_TYPES)) return `${label}: status ${status.name} has an unknown type "${status.type}"`;
+        if (status.type && status.type !== 'stun' && !Number.isInteger(status.amount)) return `${label}: status ${status.name} needs a whole-number amount`;
+        if (status.unit !== undefined && status.unit !== 'turns' && status.unit !== 'rounds') return `${label}: status ${status.name} must count "turns" or "rounds"`;
+    }
+    if (sheet.savedActions !== undefined && (typeof sheet.savedActions !== 'object' || Array.isArray(sheet.savedActions))) {
+        return `${label}: savedActions must be an object`;
+    }
+    return null;
+}
+
+// Validate an uploaded campaign file and turn it into guild data. resources are
+// the guild's, which the sheets keep unless the file brings its own settings.
+// Returns { campaign: { players, npcs, encounter, settings } } or { errors: [...] }.
+// settings is null when the file has none (exports from before /settings).
+function parseCampaign(raw, resources) {
+    if (!raw || raw.format !== CAMPAIGN_FORMAT) {
+        return { errors: ['This is not a campaign export from this bot.'] };
+    }
+    if (!Number.isInteger(raw.version) || raw.version > CAMPAIGN_VERSION) {
+        return { errors: [`Unsupported export version ${raw.version}; this bot reads up to version ${CAMPAIGN_VERSION}.`] };
+    }
+
+    const errors = raw.settings ? validateResources(raw.settings.resources) : [];
+    const settings = raw.settings ? restoreSettings(raw.settings) : null;
+    const sheetResources = settings ? settings.resources : resources;
+
+    const players = new Map();
+    for (const [userId, record] of Object.entries(raw.players || {})) {
+        if (!/^\d+$/.test(userId)) {
+            errors.push(`Player id "${userId}" is not a Discord user id`);
+            continue;
+        }
+        const player = record && restorePlayer(record);
+        if (!player || typeof player.characters !== 'object') {
+            errors.push(`Player ${userId} has no characters`);
+            continue;
+        }
+
+        const characters = {};
+        for (const [key, sheet] of Object.entries(player.characters)) {
+            const error = validateSheet(sheet, `Player ${userId}, character "${key}"`, sheetResources);
+            if (error) errors.push(error);
+            else characters[characterKey(sheet.characterName)] = { ...createCharacter(sheet.characterName), ...sheet };
+        }
+        const keys = Object.keys(characters);
+        if (keys.length === 0) continue;
+
+        players.set(userId, {
+            username: player.username || userId,
+            activeCharacter: keys.includes(player.activeCharacter) ? player.activeCharacter : keys[0],
+            characters
+        });
+    }
+
+    const npcs = new Map();
+    for (const [npcKey, sheet] of Object.entries(raw.npcs || {})) {
+        const error = validateSheet(sheet, `NPC "${npcKey}"`, sheetResources);
+        if (error) errors.push(error);
+        else npcs.set(characterKey(sheet.characterName), { ...createCharacter(sheet.characterName), ...sheet });
+    }
+
+    const encounter = restoreEncounter(raw.encounter);
+    const known = id => isNpcCombatant(id) ? npcs.has(id.slice(NPC_PREFIX.length)) : players.has(id);
+    const unknown = encounter.combatants.filter(id => !known(id));
+    if (unknown.length > 0) {
+        errors.push(`The clash lists ${unknown.length} combatant(s) that aren't in the file`);
+    }
+
+    if (errors.length > 0) return { errors };
+    return { campaign: { players, npcs, encounter, settings } };
+}
+
+// Summary of what an import would change, for the confirmation preview
+function previewImport(guildId, campaign, mode) {
+    const { playerData, npcs, activeEncounter } = getGuildState(guildId);
+    const nameList = names => names.length > 0 ? names.join(', ') : 'none';
+    const characterNames = record => Object.values(record.characters).map(c => c.characterName);
+
+    const added = [];
+    const updated = [];
+    for (const [userId, record] of campaign.players) {
+        (playerData.has(userId) ? updated : added).push(...characterNames(record));
+    }
+    const removed = mode === 'replace'
+        ? [...playerData].filter(([userId]) => !campaign.players.has(userId)).flatMap(([, record]) => characterNames(record))
+        : [];
+
+    const npcAdded = [...campaign.npcs.keys()].filter(key => !npcs.has(key)).map(key => campaign.npcs.get(key).characterName);
+    const npcUpdated = [...campaign.npcs.keys()].filter(key => npcs.has(key)).map(key => campaign.npcs.get(key).characterName);
+    const npcRemoved = mode === 'replace'
+        ? [...npcs].filter(([key]) => !campaign.npcs.has(key)).map(([, npc]) => npc.characterName)
+        : [];
+
+    let clashText = 'Unchanged';
+    if (mode === 'replace' || (campaign.encounter.active && !activeEncounter.active)) {
+        clashText = campaign.encounter.active
+            ? `Set to round ${campaign.encounter.round} with ${campaign.encounter.combatants.length} combatant(s)`
+            : (activeEncounter.active ? 'Current clash ends' : 'No clash');
+    } else if (campaign.encounter.active) {
+        clashText = 'Unchanged (a clash is already running here)';
+    }
+
+    return [
+        { name: '➕ New characters', value: nameList(added), inline: false },
+        { name: '✏️ Overwritten characters', value: nameList(updated), inline: false },
+        { name: '🗑️ Removed characters', value: nameList(removed), inline: false },
+        { name: '👹 NPCs', value: `New: ${nameList(npcAdded)}\nOverwritten: ${nameList(npcUpdated)}\nRemoved: ${nameList(npcRemoved)}`, inline: false },
+        { name: '⚔️ Clash', value: clashText, inline: false },
+        { name: '⚙️ Settings', value: campaign.settings ? 'Taken from the file' : 'Unchanged', inline: false }
+    ].map(field => ({ ...field, value: field.value.length > 1024 ? `${field.value.slice(0, 1020)}...` : field.value }));
+}
+
+// Apply a validated import. 'merge' overwrites matching players (per character)
+// and NPCs and keeps everything else; 'replace' makes the guild match the file,
+// which also drops the round's counters, penalties and waiting hits and the
+// /undo and /redo changes (they point at the sheets being replaced).
+async function applyImport(guildId, campaign, mode) {
+    const state = getGuildState(guildId);
+    const { playerData, npcs, activeEncounter } = state;
+    const userIds = new Set([...playerData.keys(), ...campaign.players.keys()]);
+    const npcKeys = new Set([...npcs.keys(), ...campaign.npcs.keys()]);
+
+    if (mode === 'replace') {
+        playerData.clear();
+        npcs.clear();
+        for (const map of PENALTY_MAPS) state[map].clear();
+        for (const attack of state.incomingAttacks.values()) clearTimeout(attack.timer);
+        state.incomingAttacks.clear();
+        state.undoHistory.length = 0;
+        state.redoHistory.length = 0;
+    }
+
+    for (const [userId, record] of campaign.players) {
+        const existing = playerData.get(userId);
+        if (existing) {
+            Object.assign(existing.characters, record.characters);
+            existing.activeCharacter = record.activeCharacter;
+        } else {
+            playerData.set(userId, record);
+        }
+    }
+    for (const [npcKey, npc] of campaign.npcs) {
+        npcs.set(npcKey, npc);
+    }
+
+    if (mode === 'replace' || (campaign.encounter.active && !activeEncounter.active)) {
+        Object.assign(activeEncounter, campaign.encounter, { dashboard: activeEncounter.dashboard });
+    }
+
+    const { settings } = getGuildState(guildId);
+    if (campaign.settings) {
+        // The GM role belongs to this server, not the campaign
+        Object.assign(settings, campaign.settings, { gmRole: settings.gmRole });
+    }
+    // Imported sheets may predate (or miss) this guild's custom resources
+    for (const player of playerData.values()) {
+        for (const data of Object.values(player.characters)) fillResources(data, settings.resources);
+    }
+
+    await saveData(guildId, { players: [...userIds], npcs: [...npcKeys], encounter: true, settings: !!campaign.settings });
+    if (campaign.settings) await registerResourceCommands(guildId);
+}
+
+// Lookup key for a character name (names are matched case-insensitively)
+function characterKey(name) {
+    return name.trim().toLowerCase();
+}
+
+// Create an empty character sheet
+function createCharacter(characterName) {
+    return {
+        characterName,
+        HP: 0,
+        MP: 0,
+        IP: 0,
+        Armor: 0,
+        Barrier: 0,
+        maxHP: 0,
+        maxMP: 0,
+        maxIP: 0,
+        maxArmor: 0,
+        maxBarrier: 0,
+        statusEffects: [],  // Array of {name: string, duration: number}
+        savedActions: {}    // Object of {actionName: {type, dice1, dice2, expression?, modifier, mpCost}}
+    };
+}
+
+// A sheet nobody has filled in yet (auto-created before the first /set)
+function isBlankCharacter(data) {
+    return RESOURCES.every(resource => !data[`max${resource}`])
+        && Object.keys(data.savedActions || {}).length === 0;
+}
+
+// The resources a sheet shows, in the guild's order: all of them for a
+// player character, the combat ones for an NPC
+function sheetResources(guildId, { npc = false } = {}) {
+    const { resources } = getGuildState(guildId).settings;
+    return npc ? resources.filter(resource => NPC_RESOURCES.includes(resource.name)) : resources;
+}
+
+// Inline embed fields for a sheet's resources
+function resourceFields(resources, data) {
+    return resources.map(({ name, emoji }) => ({ name: `${emoji} ${name}`, value: `${data[name]}/${data[`max${name}`]}`, inline: true }));
+}
+
+// Compact resource summary, e.g. "❤️ HP: 8/10 | 💧 MP: 5/5" (or "❤️ 8/10 | ..." without labels)
+function resourceLine(resources, data, { labels = true } = {}) {
+    return resources
+        .map(({ name, emoji }) => `${emoji}${labels ? ` ${name}:` : ''} ${data[name]}/${data[`max${name}`]}`)
+        .join(' | ');
+}
+
+// "HP, MP, and Armor"
+function nameList(names) {
+    if (names.length <= 2) return names.join(' and ');
+    return `${names.slice(0, -1).join(', ')}, and ${names[names.length - 1]}`;
+}
+
+// "HP, MP, Armor, and Barrier restored to max. IP preserved." for /set and /rest
+function refillSummary(refilled, kept, refilledText, keptText) {
+    const parts = [];
+    if (refilled.length > 0) parts.push(`${nameList(refilled.map(r => r.name))} ${refilledText}.`);
+    if (kept.length > 0) parts.push(`${nameList(kept.map(r => r.name))} ${keptText}.`);
+    return parts.join(' ');
+}
+
+// Rebuild a player loaded from file (older files hold a single flat sheet)
+function restorePlayer(raw) {
+    if (raw.characters) return raw;
+
+    const { username, ...sheet } = raw;
+    const key = characterKey(sheet.characterName || username);
+    return {
+        username,
+        activeCharacter: key,
+        characters: { [key]: { ...createCharacter(sheet.characterName || username), ...sheet } }
+    };
+}
+
+// Get a user's active character sheet (undefined if they have none)
+function getActiveCharacter(guildId, userId) {
+    const player = getGuildState(guildId).playerData.get(userId);
+    return player ? player.characters[player.activeCharacter] : undefined;
+}
+
+// Initialize player data and return the character sheet to act on.
+// With a character name (from /set) that sheet is created or updated,
+// otherwise the player's active character is used.
+function initPlayer(guildId, userId, displayName, characterName = null) {
+    const { playerData, settings } = getGuildState(guildId);
+
+    if (!playerData.has(userId)) {
+        playerData.set(userId, {
+            username: displayName,
+            activeCharacter: null,
+            characters: {}
+        });
+    }
+
+    const player = playerData.get(userId);
+    // Update display name in case it changed
+    player.username = displayName;
+
+    if (characterName) {
+        const key = characterKey(characterName);
+        const active = player.characters[player.activeCharacter];
+
+        if (!player.characters[key] && active && isBlankCharacter(active)) {
+            // Name the placeholder sheet instead of leaving an empty one behind
+            delete player.characters[player.activeCharacter];
+            player.characters[key] = active;
+            player.activeCharacter = key;
+        } else if (!player.characters[key]) {
+            player.characters[key] = createCharacter(characterName);
+            fillResources(player.characters[key], settings.resources);
+        }
+
+        player.characters[key].characterName = characterName;
+        if (!player.characters[player.activeCharacter]) {
+            player.activeCharacter = key;
+        }
+        return player.characters[key];
+    }
+
+    if (!player.characters[player.activeCharacter]) {
+        // First command from this player: give them a sheet named after them
+        const key = characterKey(displayName);
+        if (!player.characters[key]) {
+            player.characters[key] = createCharacter(displayName);
+            fillResources(player.characters[key], settings.resources);
+        }
+        player.activeCharacter = key;
+    }
+
+    const data = player.characters[player.activeCharacter];
+    // Initialize savedActions if it doesn't exist (for existing players)
+    if (!data.savedActions) {
+        data.savedActions = {};
+    }
+    return data;
+}
+
+// Resolve the character a command acts on: the named sheet when a GM picks one,
+// otherwise the player's active character. Returns null if the name is unknown.
+function resolveCharacter(guildId, userId, displayName, characterName) {
+    if (!characterName) return initPlayer(guildId, userId, displayName);
+
+    const player = getGuildState(guildId).playerData.get(userId);
+    return (player && player.characters[characterKey(characterName)]) || null;
+}
+
+// Clash combatant ids: a Discord user id for players, npc:<key> for NPCs
+const NPC_PREFIX = 'npc:';
+
+function npcCombatantId(npcKey) {
+    return `${NPC_PREFIX}${npcKey}`;
+}
+
+function isNpcCombatant(combatantId) {
+    return combatantId.startsWith(NPC_PREFIX);
+}
+
+// Get the sheet behind a combatant id (a player's active character or an NPC)
+function getCombatant(guildId, combatantId) {
+    if (isNpcCombatant(combatantId)) {
+        return getGuildState(guildId).npcs.get(combatantId.slice(NPC_PREFIX.length));
+    }
+    return getActiveCharacter(guildId, combatantId);
+}
+
+// Display name for a combatant (NPCs get a monster marker)
+function combatantLabel(combatantId, data) {
+    return isNpcCombatant(combatantId) ? `👹 ${data.characterName}` : data.characterName;
+}
+
+// Parse a comma-separated list of NPC names into lookup keys
+function parseNpcNames(input) {
+    if (!input) return [];
+    return input.split(',').map(name => characterKey(name)).filter(key => key.length > 0);
+}
+
+// Apply damage to a sheet: Armor or Barrier absorbs first, the rest hits HP
+// (down to its floor, see bounds.js). protectionResource is 'Armor', 'Barrier'
+// or null for true damage; resources are the guild's definitions.
+// Returns { protectionUsed, hpLost, hp } with hp the HP change (adjustResource).
+function applyDamage(data, damageAmount, protectionResource, resources) {
+    let protectionUsed = 0;
+    let hpLost = damageAmount;
+
+    // Protection absorbs what it can, the rest goes to HP
+    if (protectionResource && data[protectionResource] > 0) {
+        protectionUsed = Math.min(data[protectionResource], damageAmount);
+        adjustResource(data, findResource(resources, protectionResource), -protectionUsed);
+        hpLost -= protectionUsed;
+    }
+    const hp = adjustResource(data, findResource(resources, 'HP'), -hpLost);
+
+    return { protectionUsed, hpLost, hp };
+}
+
+// " *(3 over the cap (12) lost)*" after a value whose change was clipped
+// ('' if it wasn't), see bounds.js
+function clippedNote(change) {
+    const text = clippedText(change);
+    return text ? ` *(${text})*` : '';
+}
+
+// MP for a cast: the spell's base cost plus the multi-cast surcharge
+// (by default 2nd cast in a round +10 MP, 3rd and later +20 MP)
+function castCost(baseCost, castNumber, rules) {
+    const surcharge = castSurcharge(castNumber, rules);
+    return { surcharge, total: baseCost + surcharge };
+}
+
+// Whether the count-th attack in a round has to pick a multi-attack penalty
+function needsPenaltyPrompt(count, rules) {
+    return count >= rules.penaltyFrom && rules.penalties.length > 0;
+}
+
+// A penalty button carries the attack number it was shown for. Once that
+// attack is no longer the player's latest (a new round, /resetpenalty, another
+// attack) or the button predates the number, the choice can't be made.
+function penaltyChoiceExpired(attackCounters, userId, countStr, penalty) {
+    return attackCounters.get(userId) !== Number(countStr) || !PENALTY_OPTIONS.includes(penalty);
+}
+
+const PENALTY_EXPIRED = {
+    content: '⌛ This penalty choice has expired (a new round started, penalties were reset or you attacked again). Roll the attack again.',
+    embeds: [],
+    components: []
+};
+
+const PENALTY_STYLES = { gate: ButtonStyle.Primary, damage50: ButtonStyle.Danger, damage100: ButtonStyle.Danger, blind: ButtonStyle.Secondary };
+const PENALTY_EMOJIS = { gate: '🎯', damage50: '⚔️', damage100: '⚔️', blind: '👁️' };
+
+// The multi-attack penalty prompt: one button per penalty the rules allow,
+// with ids `${idPrefix}_${option}_${idSuffix}`
+function penaltyPrompt({ description, currentCount, penalties, rules, idPrefix, idSuffix }) {
+    const row = new ActionRowBuilder().addComponents(rules.penalties.map(option => new ButtonBuilder()
+        .setCustomId(`${idPrefix}_${option}_${idSuffix}`)
+        .setLabel(`${PENALTY_EMOJIS[option]} ${penaltyLabel(option, rules)}`)
+        .setStyle(PENALTY_STYLES[option])
+        .setDisabled(option === 'blind' && penalties.blind))); // Blind can only apply once
+
+    const explanations = {
+        gate: `Adds +${rules.gatePenalty} to gate (cumulative)`,
+        damage50: `Reduces modifier by ${rules.modifierPenalty}%`,
+        damage100: 'Removes all modifier',
+        blind: `Sets gate to ${rules.blindGate} (once only)`
+    };
+
+    const current = penaltySummary(penalties, rules);
+    if (current) description += `\n\n**Current Penalties:** ${current}`;
+
+    const embed = new EmbedBuilder()
+        .setColor(0xFFAA00)
+        .setTitle(`⚠️ Multi-Attack Penalty (${currentCount}${currentCount === 2 ? 'nd' : currentCount === 3 ? 'rd' : 'th'} Attack)`)
+        .setDescription(description)
+        .addFields(rules.penalties.map(option => ({
+            name: `${PENALTY_EMOJIS[option]} ${penaltyLabel(option, rules)}`,
+            value: explanations[option],
+            inline: true
+        })))
+        .setFooter({ text: `Attack #${currentCount} • Penalties are cumulative` })
+        .setTimestamp();
+
+    return { embeds: [embed], components: [row] };
+}
+
+// Reply shown when a character can't pay for a cast
+function notEnoughMpMessage(data, baseCost, surcharge) {
+    const breakdown = surcharge > 0 ? ` (${baseCost} + ${surcharge} multi-cast)` : '';
+    return `**${data.characterName}** doesn't have enough MP: this cast costs **${baseCost + surcharge}**${breakdown}, you have **${data.MP}**. Add \`overdraw:True\` to cast anyway.`;
+}
+
+// Variables a dice expression can use for a sheet: @HP, @maxHP, @MP, ...
+// (custom resources included)
+function sheetVariables(data, resources) {
+    const variables = {};
+    for (const { name: resource } of resources) {
+        variables[resource] = data[resource] || 0;
+        variables[`max${resource}`] = data[`max${resource}`] || 0;
+    }
+    return variables;
+}
+
+// Variable names a saved action's expression may use (@mod is its modifier)
+function actionVariables(resources) {
+    return ['mod', ...resources.flatMap(({ name }) => [name, `max${name}`])];
+}
+
+// Check the dice of a new saved action (or a /gmattack): an expression, or
+// both dice sizes. Returns an error message or null.
+function actionDiceError({ dice1, dice2, expression }, variableNames) {
+    if (expression) {
+        const invalid = validateExpression(expression, variableNames);
+        return invalid ? `Invalid dice expression \`${expression}\`: ${invalid}` : null;
+    }
+    if (!dice1 || !dice2) return 'Give the action either an `expression` (e.g. `2d10kh1+@mod`) or both `dice1` and `dice2`.';
+    if (dice1 < 1 || dice2 < 1) return 'Dice sizes must be at least 1.';
+    return null;
+}
+
+// How a saved action rolls, for lists: "d10+d8, +3 mod" or "`3d10kh2+@mod`, +3 mod"
+function actionDiceText(action, modifierWord = 'mod') {
+    const dice = action.expression ? `\`${action.expression}\`` : `d${action.dice1}+d${action.dice2}`;
+    return `${dice}, +${action.modifier || 0} ${modifierWord}`;
+}
+
+// Mechanical status effects. A status is { name, duration } plus optional
+// type, amount and damageType; statuses without a type are plain labels.
+const STATUS_TYPES = {
+    dot: 'Damage over time',
+    regen: 'Regeneration',
+    gate: 'Gate modifier',
+    modifier: 'Damage modifier',
+    stun: 'Stunned'
+};
+
+// Protection resource a damage type hits first (null for true damage)
+function protectionFor(damageType) {
+    return damageType === 'armor' ? 'Armor' : damageType === 'barrier' ? 'Barrier' : null;
+}
+
+function signed(amount) {
+    return amount >= 0 ? `+${amount}` : `${amount}`;
+}
+
+// Short description of what a status does, e.g. "3 HP damage per tick"
+function statusEffectText(status) {
+    switch (status.type) {
+        case 'dot':
+            return `${status.amount} ${protectionFor(status.damageType) || 'HP'} damage per tick`;
+        case 'regen':
+            return `+${status.amount} HP per tick`;
+        case 'gate':
+            return `Gate ${signed(status.amount)}`;
+        case 'modifier':
+            return `Modifier ${signed(status.amount)}`;
+        case 'stun':
+            return 'Skips turn';
+        default:
+            return '';
+    }
+}
+
+// Status list line for embeds: **Poison** (3 turns) - 2 HP damage per tick
+function statusLine(status) {
+    const effect = statusEffectText(status);
+    return `**${status.name}** (${status.duration} ${status.unit || 'turns'})${effect ? ` - ${effect}` : ''}`;
+}
+
+// Whether a status counts down in 'turns' (at the end of its bearer's turn) or
+// 'rounds' (at the start of each round). Statuses saved without a unit follow
+// the guild's ticking setting.
+function statusUnit(status, settings) {
+    return status.unit || (settings.statusTicking === 'round' ? 'rounds' : 'turns');
+}
+
+function isStunned(data) {
+    return (data.statusEffects || []).some(s => s.type === 'stun');
+}
+
+// Gate and modifier adjustments a sheet's statuses give its attacks and casts.
+// text lists the contributing statuses for the roll embed ('' if none).
+function statusRollModifiers(data) {
+    let gate = 0;
+    let modifier = 0;
+    const sources = [];
+    for (const status of (data && data.statusEffects) || []) {
+        if (status.type === 'gate') {
+            gate += status.amount;
+            sources.push(`${status.name} (Gate ${signed(status.amount)})`);
+        } else if (status.type === 'modifier') {
+            modifier += status.amount;
+            sources.push(`${status.name} (Mod ${signed(status.amount)})`);
+        }
+    }
+    return { gate, modifier, text: sources.join(', ') };
+}
+
+// Resolve one tick of a sheet's statuses: damage over time and regeneration
+// trigger, then every duration drops by 1 and finished statuses expire.
+// resources are the guild's definitions (for HP's bounds); shouldTick limits
+// the tick to some statuses (the others are left alone).
+// Returns { triggered: [lines], expired: [statuses] }.
+function tickStatusEffects(data, resources, shouldTick = () => true) {
+    const triggered = [];
+
+    for (const status of data.statusEffects) {
+        if (!shouldTick(status)) continue;
+        if (status.type === 'dot') {
+            const protection = protectionFor(status.damageType);
+            const { protectionUsed, hp } = applyDamage(data, status.amount, protection, resources);
+            let line = `☠️ **${status.name}**: ${status.amount} damage`;
+            if (protectionUsed > 0) line += ` (${RESOURCE_EMOJIS[protection]} ${protection} -${protectionUsed})`;
+            triggered.push(`${line} → ${RESOURCE_EMOJIS.HP} HP ${hp.before} → ${data.HP}/${data.maxHP}${clippedNote(hp)}`);
+        } else if (status.type === 'regen') {
+            // Regeneration heals up to HP's cap but never takes away overheal
+            const hp = adjustResource(data, findResource(resources, 'HP'), status.amount);
+            triggered.push(`💚 **${status.name}**: +${hp.after - hp.before} → ${RESOURCE_EMOJIS.HP} HP ${hp.before} → ${data.HP}/${data.maxHP}${clippedNote(hp)}`);
+        }
+        status.duration -= 1;
+    }
+
+    const expired = data.statusEffects.filter(s => s.duration <= 0);
+    data.statusEffects = data.statusEffects.filter(s => s.duration > 0);
+    return { triggered, expired };
+}
+
+// Add the result of tickStatusEffects() to an embed
+function addTickFields(embed, data, { triggered, expired }, { showExpired = true, showRemaining = true } = {}) {
+    if (triggered.length > 0) {
+        embed.addFields({ name: '⚙️ Status Effects Triggered', value: triggered.join('\n'), inline: false });
+    }
+    if (showExpired && expired.length > 0) {
+        embed.addFields({ name: '💨 Expired Status Effects', value: expired.map(s => s.name).join(', '), inline: false });
+    }
+    if (showRemaining && data.statusEffects.length > 0) {
+        embed.addFields({ name: '🔮 Remaining Status Effects', value: data.statusEffects.map(statusLine).join('\n'), inline: false });
+    }
+}
+
+// Turn order for a round: highest initiative first; ties and combatants
+// without an initiative value are ordered by name
+function buildTurnOrder(guildId) {
+    const { activeEncounter } = getGuildState(guildId);
+    const { initiative } = activeEncounter;
+
+    const named = activeEncounter.combatants
+        .map(combatantId => ({ combatantId, data: getCombatant(guildId, combatantId) }))
+        .filter(c => c.data);
+
+    return named
+        .sort((a, b) => {
+            const hasA = a.combatantId in initiative;
+            const hasB = b.combatantId in initiative;
+            if (hasA !== hasB) return hasA ? -1 : 1;
+            if (hasA && initiative[a.combatantId] !== initiative[b.combatantId]) {
+                return initiative[b.combatantId] - initiative[a.combatantId];
+            }
+            return a.data.characterName.localeCompare(b.data.characterName);
+        })
+        .map(c => c.combatantId);
+}
+
+// Whose turn it is: the first combatant in the order who hasn't acted yet
+function getCurrentTurn(encounter) {
+    return encounter.order.find(combatantId => !encounter.turnsTaken.has(combatantId)) || null;
+}
+
+// Move a combatant within this round's turn order: before or after another
+// combatant, or to the end of the round when neither is given
+function moveInTurnOrder(encounter, combatantId, { before = null, after = null } = {}) {
+    encounter.order = encounter.order.filter(id => id !== combatantId);
+    let index = encounter.order.length;
+    if (before) index = encounter.order.indexOf(before);
+    else if (after) index = encounter.order.indexOf(after) + 1;
+    encounter.order.splice(index, 0, combatantId);
+}
+
+// Combatant id picked by a player option or an NPC-name option (null if neither is set)
+function combatantFromOptions(interaction, playerOption, npcOption) {
+    const npcName = interaction.options.getString(npcOption);
+    if (npcName) return npcCombatantId(characterKey(npcName));
+    const user = interaction.options.getUser(playerOption);
+    return user ? user.id : null;
+}
+
+// Turn marker for a combatant: ☠️ defeated, ✅ acted, ▶️ current turn, ⏳ readied, ⬜ waiting
+function turnMarker(encounter, combatantId, current = getCurrentTurn(encounter)) {
+    return encounter.defeated.includes(combatantId) ? '☠️'
+        : encounter.turnsTaken.has(combatantId) ? '✅'
+        : combatantId === current ? '▶️'
+        : encounter.readied.includes(combatantId) ? '⏳'
+        : '⬜';
+}
+
+// Initiative tracker lines, one per combatant in turn order
+function turnOrderText(guildId) {
+    const { activeEncounter } = getGuildState(guildId);
+    const current = getCurrentTurn(activeEncounter);
+
+    let text = '';
+    for (const combatantId of activeEncounter.order) {
+        const data = getCombatant(guildId, combatantId);
+        if (!data) continue;
+
+        const marker = turnMarker(activeEncounter, combatantId, current);
+        const initiative = combatantId in activeEncounter.initiative
+            ? activeEncounter.initiative[combatantId]
+            : '–';
+        text += `${marker} \`${String(initiative).padStart(2)}\` ${combatantLabel(combatantId, data)}\n`;
+    }
+    return text;
+}
+
+// One embed field per combatant in turn order: turn marker, resources and
+// statuses (at most 25, Discord's limit)
+function combatantFields(guildId) {
+    const { activeEncounter } = getGuildState(guildId);
+    const current = getCurrentTurn(activeEncounter);
+
+    const fields = [];
+    for (const combatantId of activeEncounter.order) {
+        const data = getCombatant(guildId, combatantId);
+        if (!data) continue;
+
+        let value = `${turnMarker(activeEncounter, combatantId, current)} ${resourceLine(sheetResources(guildId, { npc: isNpcCombatant(combatantId) }), data)}`;
+        const downed = downedText(guildId, combatantId, data);
+        if (downed) value += `\n${downed}`;
+        if (data.statusEffects && data.statusEffects.length > 0) {
+            value += `\n🔮 ${data.statusEffects.map(s => `${s.name} (${s.duration})`).join(', ')}`;
+        }
+        fields.push({ name: combatantLabel(combatantId, data), value, inline: false });
+    }
+    return fields.slice(0, 25);
+}
+
+// Edits to the live clash dashboard wait this long, so a burst of changes
+// (a /damage on the whole party, a round rolling over) becomes one edit
+const DASHBOARD_DELAY_MS = 1000;
+const dashboardTimers = new Map(); // guildId -> pending edit
+
+// The live dashboard: the whole clash in one embed
+function clashDashboard(guildId) {
+    const { activeEncounter } = getGuildState(guildId);
+    if (!activeEncounter.active) {
+        return new EmbedBuilder()
+            .setColor(0x00FF00)
+            .setTitle('🏁 Clash Ended')
+            .setDescription('Use `/clash start` to begin a new one.')
+            .setTimestamp();
+    }
+
+    const fields = combatantFields(guildId);
+    return new EmbedBuilder()
+        .setColor(0xFF6B6B)
+        .setTitle(`⚔️ Clash - Round ${activeEncounter.round}`)
+        .setDescription(fields.length > 0 ? null : 'No combatants yet. Use `/clash add` to add players and NPCs.')
+        .addFields(...fields)
+        .setFooter({ text: `${activeEncounter.turnsTaken.size}/${activeEncounter.order.length} turns complete | ⏳ = readied | Updates live` })
+        .setTimestamp();
+}
+
+// Reply for /clash list and /clash init. With a live dashboard up the
+// snapshot is only shown to the caller, so stale copies don't pile up.
+function clashSnapshotReply(guildId, embed) {
+    const { dashboard } = getGuildState(guildId).activeEncounter;
+    if (!dashboard) return { embeds: [embed] };
+    return { content: `Live dashboard: ${dashboardUrl(guildId, dashboard)}`, embeds: [embed], ephemeral: true };
+}
 
-// In-memory storage for player resources
-let playerData = new Map();
+// Link to a guild's dashboard message
+function dashboardUrl(guildId, dashboard) {
+    return `https://discord.com/channels/${guildId}/${dashboard.channelId}/${dashboard.messageId}`;
+}
 
-// Active encounter data
-let activeEncounter = {
-    active: false,
-    combatants: [], // Array of userIds
-    turnsTaken: new Set() // Track who has taken their turn this round
-};
+// Whether changes passed to saveData() can show on the guild's dashboard
+function touchesClash(guildId, changes) {
+    const { activeEncounter } = getGuildState(guildId);
+    if (!activeEncounter.dashboard) return false;
+    if (!changes || changes.encounter || changes.settings) return true;
+    const changedIds = [...(changes.players || []), ...(changes.npcs || []).map(npcCombatantId)];
+    return changedIds.some(combatantId => activeEncounter.combatants.includes(combatantId));
+}
 
-// Attack and Cast counters (resets on /round)
-let attackCounters = new Map(); // userId -> count
-let castCounters = new Map(); // userId -> count
+// Refresh the dashboard shortly (see DASHBOARD_DELAY_MS)
+function scheduleDashboardUpdate(guildId) {
+    if (dashboardTimers.has(guildId)) return;
+    dashboardTimers.set(guildId, setTimeout(() => {
+        dashboardTimers.delete(guildId);
+        updateDashboard(guildId);
+    }, DASHBOARD_DELAY_MS));
+}
 
-// Cumulative penalty tracking
-let attackPenalties = new Map(); // userId -> { gate: 0, damageReduction: 0, blind: false }
-let castPenalties = new Map(); // userId -> { gate: 0, damageReduction: 0, blind: false }
+// A message the bot posted ({ channelId, messageId }), or null if it (or its
+// channel) has been deleted
+async function fetchChannelMessage({ channelId, messageId }) {
+    try {
+        const channel = await client.channels.fetch(channelId);
+        return await channel.messages.fetch(messageId);
+    } catch (error) {
+        if (error.code === RESTJSONErrorCodes.UnknownChannel || error.code === RESTJSONErrorCodes.UnknownMessage) return null;
+        throw error;
+    }
+}
 
-// Resource types
-const RESOURCES = ['HP', 'MP', 'IP', 'Armor', 'Barrier'];
+// Edit the dashboard to show the clash as it is now. A dashboard whose
+// message was deleted is forgotten (/clash dashboard posts a new one).
+async function updateDashboard(guildId) {
+    const { activeEncounter } = getGuildState(guildId);
+    const { dashboard } = activeEncounter;
+    if (!dashboard) return;
 
-// Resource emojis
-const RESOURCE_EMOJIS = {
-    HP: '❤️',
-    MP: '💧',
-    IP: '💰',
-    Armor: '💥',
-    Barrier: '🛡️'
-};
+    try {
+        const message = await fetchChannelMessage(dashboard);
+        if (message) {
+            await message.edit({ embeds: [clashDashboard(guildId)] });
+        } else if (activeEncounter.dashboard === dashboard) {
+            activeEncounter.dashboard = null;
+            saveData(guildId, { encounter: true });
+        }
+    } catch (error) {
+        console.error(`❌ Error updating the clash dashboard (guild ${guildId}):`, error);
+    }
+}
 
-// Initialize database tables
-async function initDatabase() {
-    if (!useDatabase) return;
+// Post a new dashboard in the interaction's channel, replacing the old one,
+// and pin it if asked. Returns a warning for the GM, or null.
+async function postDashboard(interaction, pin = false) {
+    const guildId = interaction.guildId;
+    const { activeEncounter } = getGuildState(guildId);
+    const old = activeEncounter.dashboard;
 
+    let message;
     try {
-        // Create players table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS players (
-                user_id TEXT PRIMARY KEY,
-                username TEXT NOT NULL,
-                character_name TEXT NOT NULL,
-                hp INTEGER DEFAULT 0,
-                mp INTEGER DEFAULT 0,
-                ip INTEGER DEFAULT 0,
-                armor INTEGER DEFAULT 0,
-                barrier INTEGER DEFAULT 0,
-                max_hp INTEGER DEFAULT 0,
-                max_mp INTEGER DEFAULT 0,
-                max_ip INTEGER DEFAULT 0,
-                max_armor INTEGER DEFAULT 0,
-                max_barrier INTEGER DEFAULT 0,
-                status_effects JSONB DEFAULT '[]'::jsonb,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Create encounters table
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS encounters (
-                id SERIAL PRIMARY KEY,
-                active BOOLEAN DEFAULT false,
-                combatants JSONB DEFAULT '[]'::jsonb,
-                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-
-        // Ensure there's at least one encounter row
-        await pool.query(`
-            INSERT INTO encounters (id, active, combatants)
-            VALUES (1, false, '[]'::jsonb)
-            ON CONFLICT DO NOTHING
-        `);
-
-        console.log('✅ Database tables initialized');
+        message = await interaction.channel.send({ embeds: [clashDashboard(guildId)] });
     } catch (error) {
-        console.error('❌ Error initializing database:', error);
+        console.error(`❌ Error posting the clash dashboard (guild ${guildId}):`, error);
+        return '⚠️ Couldn\'t post the live dashboard in this channel. Check that the bot can send messages here.';
     }
-}
 
-// Load data from database or file
-async function loadData() {
-    if (useDatabase) {
-        try {
-            // Load players
-            const playersResult = await pool.query('SELECT * FROM players');
-            playerData.clear();
-            
-            for (const row of playersResult.rows) {
-                playerData.set(row.user_id, {
-                    username: row.username,
-                    characterName: row.character_name,
-                    HP: row.hp,
-                    MP: row.mp,
-                    IP: row.ip,
-                    Armor: row.armor,
-                    Barrier: row.barrier,
-                    maxHP: row.max_hp,
-                    maxMP: row.max_mp,
-                    maxIP: row.max_ip,
-                    maxArmor: row.max_armor,
-                    maxBarrier: row.max_barrier,
-                    statusEffects: row.status_effects || []
-                });
-            }
+    const dashboard = { channelId: message.channelId, messageId: message.id, pinned: false };
+    activeEncounter.dashboard = dashboard;
+    saveData(guildId, { encounter: true });
 
-            // Load encounter
-            const encounterResult = await pool.query('SELECT * FROM encounters WHERE id = 1');
-            if (encounterResult.rows.length > 0) {
-                activeEncounter = {
-                    active: encounterResult.rows[0].active,
-                    combatants: encounterResult.rows[0].combatants || [],
-                    turnsTaken: new Set() // Always initialize as Set
-                };
-            } else {
-                activeEncounter = {
-                    active: false,
-                    combatants: [],
-                    turnsTaken: new Set()
-                };
-            }
+    if (old) await retireDashboard(old);
 
-            console.log(`✅ Loaded ${playerData.size} players from database`);
-        } catch (error) {
-            console.error('❌ Error loading from database:', error);
-        }
-    } else {
-        // Fallback to JSON file
+    if (pin) {
         try {
-            if (fs.existsSync(DATA_FILE)) {
-                const rawData = fs.readFileSync(DATA_FILE, 'utf8');
-                const parsed = JSON.parse(rawData);
-                playerData = new Map(Object.entries(parsed.players || parsed));
-                activeEncounter = parsed.encounter || { active: false, combatants: [], turnsTaken: new Set() };
-                // Ensure turnsTaken is a Set (in case loaded from JSON as array)
-                if (activeEncounter.turnsTaken && !activeEncounter.turnsTaken.has) {
-                    activeEncounter.turnsTaken = new Set(activeEncounter.turnsTaken);
-                } else if (!activeEncounter.turnsTaken) {
-                    activeEncounter.turnsTaken = new Set();
-                }
-                console.log(`Loaded data for ${playerData.size} players from ${DATA_FILE}`);
-            } else {
-                console.log('No existing data file found. Starting fresh.');
-            }
+            await message.pin();
+            dashboard.pinned = true;
+            saveData(guildId, { encounter: true });
         } catch (error) {
-            console.error('Error loading data:', error);
-            console.log('Starting with empty data.');
+            return '⚠️ Couldn\'t pin the dashboard. The bot needs the Pin Messages permission in this channel.';
         }
     }
+    return null;
 }
 
-// Save data to database or file
-async function saveData() {
-    if (useDatabase) {
-        try {
-            // Save all players
-            for (const [userId, data] of playerData) {
-                await pool.query(`
-                    INSERT INTO players (
-                        user_id, username, character_name,
-                        hp, mp, ip, armor, barrier,
-                        max_hp, max_mp, max_ip, max_armor, max_barrier,
-                        status_effects, updated_at
-                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CURRENT_TIMESTAMP)
-                    ON CONFLICT (user_id) 
-                    DO UPDATE SET
-                        username = $2,
-                        character_name = $3,
-                        hp = $4,
-                        mp = $5,
-                        ip = $6,
-                        armor = $7,
-                        barrier = $8,
-                        max_hp = $9,
-                        max_mp = $10,
-                        max_ip = $11,
-                        max_armor = $12,
-                        max_barrier = $13,
-                        status_effects = $14,
-                        updated_at = CURRENT_TIMESTAMP
-                `, [
-                    userId,
-                    data.username,
-                    data.characterName,
-                    data.HP,
-                    data.MP,
-                    data.IP,
-                    data.Armor,
-                    data.Barrier,
-                    data.maxHP,
-                    data.maxMP,
-                    data.maxIP,
-                    data.maxArmor,
-                    data.maxBarrier,
-                    JSON.stringify(data.statusEffects || [])
-                ]);
-            }
-
-            // Save encounter
-            await pool.query(`
-                UPDATE encounters 
-                SET active = $1, combatants = $2, updated_at = CURRENT_TIMESTAMP
-                WHERE id = 1
-            `, [activeEncounter.active, JSON.stringify(activeEncounter.combatants)]);
+// Delete a replaced dashboard message (it may already be gone)
+async function retireDashboard(dashboard) {
+    try {
+        const message = await fetchChannelMessage(dashboard);
+        if (message) await message.delete();
+    } catch (error) {
+        console.error('❌ Error removing an old clash dashboard:', error);
+    }
+}
 
-            console.log(`✅ Saved ${playerData.size} players to database`);
-        } catch (error) {
-            console.error('❌ Error saving to database:', error);
-        }
-    } else {
-        // Fallback to JSON file
-        try {
-            const dataObject = {
-                players: Object.fromEntries(playerData),
-                encounter: activeEncounter
-            };
-            fs.writeFileSync(DATA_FILE, JSON.stringify(dataObject, null, 2), 'utf8');
-            console.log(`Data saved for ${playerData.size} players`);
-        } catch (error) {
-            console.error('Error saving data:', error);
+// Show the clash as ended on its dashboard and unpin it. Call once the
+// encounter has been reset, with the dashboard it had.
+async function closeDashboard(guildId, dashboard) {
+    clearTimeout(dashboardTimers.get(guildId));
+    dashboardTimers.delete(guildId);
+
+    try {
+        const message = await fetchChannelMessage(dashboard);
+        if (!message) return;
+        await message.edit({ embeds: [clashDashboard(guildId)] });
+        if (dashboard.pinned) await message.unpin();
+    } catch (error) {
+        console.error(`❌ Error closing the clash dashboard (guild ${guildId}):`, error);
+    }
+}
+
+// Take a combatant out of the clash and its turn tracking
+function removeCombatant(encounter, combatantId) {
+    encounter.combatants = encounter.combatants.filter(id => id !== combatantId);
+    encounter.order = encounter.order.filter(id => id !== combatantId);
+    encounter.readied = encounter.readied.filter(id => id !== combatantId);
+    encounter.turnsTaken.delete(combatantId);
+    delete encounter.initiative[combatantId];
+    delete encounter.downed[combatantId];
+    encounter.defeated = encounter.defeated.filter(id => id !== combatantId);
+}
+
+// Announcements of characters going down or getting back up, posted once the
+// interaction that caused them has replied (see postDownedNotices)
+const downedNotices = new Map(); // interaction id -> [embeds]
+
+// Whether a sheet (or a snapshot of one) is Downed. A sheet without max HP
+// hasn't been filled in yet, so it never is.
+function isDowned(data, rules) {
+    return data.maxHP > 0 && data.HP <= rules.downedAt;
+}
+
+// Take a combatant out of the fight: no more death saves, turns skipped
+function defeatCombatant(encounter, combatantId) {
+    delete encounter.downed[combatantId];
+    encounter.readied = encounter.readied.filter(id => id !== combatantId);
+    if (!encounter.defeated.includes(combatantId)) encounter.defeated.push(combatantId);
+}
+
+// Put a combatant who just went down into the clash's tracking. Players make
+// death saves when the rules ask for them; NPCs (and everyone without death
+// saves) are defeated at once. Returns what happens next, for the announcement.
+function downCombatant(guildId, combatantId) {
+    const { activeEncounter: encounter, settings: { rules } } = getGuildState(guildId);
+    if (!isNpcCombatant(combatantId) && rules.deathSaves > 0) {
+        encounter.downed[combatantId] = { successes: 0, failures: 0 };
+        return `Death saves start on their next turn: ${rules.deathSaves} success(es) to stabilize, ${rules.deathSaves} failure(s) and they are defeated.`;
+    }
+    defeatCombatant(encounter, combatantId);
+    return 'They are **defeated** and their turns are skipped for the rest of the clash.';
+}
+
+// Downed / Defeated / Stable line for the dashboard ('' while standing)
+function downedText(guildId, combatantId, data) {
+    const { activeEncounter: encounter, settings: { rules } } = getGuildState(guildId);
+    if (encounter.defeated.includes(combatantId)) return '☠️ Defeated';
+    if (!isDowned(data, rules)) return '';
+    const saves = encounter.downed[combatantId];
+    if (!saves) return '💀 Downed';
+    if (saves.successes >= rules.deathSaves) return '💀 Downed (stable)';
+    return `💀 Downed (death saves ✅ ${saves.successes}/${rules.deathSaves} ❌ ${saves.failures}/${rules.deathSaves})`;
+}
+
+// Go through sheets whose committed changes moved HP across the downedAt rule
+// ([{ combatantId, data, before, after }] from history.commit). Going down is
+// announced and, for a combatant in the clash, starts death saves or defeats
+// them; getting back above it ends both. Sheets being filled in or emptied
+// (no max HP before or after) are left alone. Returns the announcement embeds.
+function updateDowned(guildId, changedSheets) {
+    const { activeEncounter: encounter, settings: { rules } } = getGuildState(guildId);
+    const embeds = [];
+    let encounterChanged = false;
+
+    for (const { combatantId, data, before, after } of changedSheets) {
+        if (before.HP === undefined || before.HP === after.HP) continue;
+        if (!(before.maxHP > 0) || !(after.maxHP > 0)) continue;
+        const wasDowned = isDowned(before, rules);
+        if (wasDowned === isDowned(data, rules)) continue;
+
+        const label = combatantLabel(combatantId, data);
+        const inClash = encounter.active && encounter.combatants.includes(combatantId) && getCombatant(guildId, combatantId) === data;
+        if (!wasDowned) {
+            let description = `**${label}** drops to ${RESOURCE_EMOJIS.HP} ${data.HP}/${data.maxHP} HP and is **Downed**!`;
+            if (inClash) {
+                description += `\n\n${downCombatant(guildId, combatantId)}`;
+                encounterChanged = true;
+            }
+            embeds.push(new EmbedBuilder()
+                .setColor(0x800000)
+                .setTitle('💀 Downed!')
+                .setDescription(description)
+                .setTimestamp());
+        } else {
+            if (inClash && (combatantId in encounter.downed || encounter.defeated.includes(combatantId))) {
+                delete encounter.downed[combatantId];
+                encounter.defeated = encounter.defeated.filter(id => id !== combatantId);
+                encounterChanged = true;
+            }
+            embeds.push(new EmbedBuilder()
+                .setColor(0x00FF00)
+                .setTitle('💚 Back on Their Feet!')
+                .setDescription(`**${label}** is back up at ${RESOURCE_EMOJIS.HP} ${data.HP}/${data.maxHP} HP.`)
+                .setTimestamp());
         }
     }
+
+    if (encounterChanged) saveData(guildId, { encounter: true });
+    return embeds;
 }
 
-// NEW: Only save character sheet (MAX values) to database - much faster!
-async function saveCharacterSheet(userId) {
-    if (!useDatabase) return; // Skip if not using database
-    
-    const data = playerData.get(userId);
-    if (!data) return;
+function queueDownedNotices(interaction, embeds) {
+    if (embeds.length === 0) return;
+    downedNotices.set(interaction.id, [...(downedNotices.get(interaction.id) || []), ...embeds]);
+}
+
+// Post an interaction's queued Downed announcements in its channel
+async function postDownedNotices(interaction) {
+    const embeds = downedNotices.get(interaction.id);
+    if (!embeds) return;
+    downedNotices.delete(interaction.id);
 
     try {
-        await pool.query(`
-            INSERT INTO players (
-                user_id, username, character_name,
-                hp, mp, ip, armor, barrier,
-                max_hp, max_mp, max_ip, max_armor, max_barrier,
-                status_effects, updated_at
-            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, CURRENT_TIMESTAMP)
-            ON CONFLICT (user_id) 
-            DO UPDATE SET
-                username = $2,
-                character_name = $3,
-                max_hp = $9,
-                max_mp = $10,
-                max_ip = $11,
-                max_armor = $12,
-                max_barrier = $13,
-                updated_at = CURRENT_TIMESTAMP
-        `, [
-            userId,
-            data.username,
-            data.characterName,
-            data.HP,
-            data.MP,
-            data.IP,
-            data.Armor,
-            data.Barrier,
-            data.maxHP,
-            data.maxMP,
-            data.maxIP,
-            data.maxArmor,
-            data.maxBarrier,
-            JSON.stringify(data.statusEffects || [])
-        ]);
+        for (let i = 0; i < embeds.length; i += 10) {
+            await interaction.channel.send({ embeds: embeds.slice(i, i + 10) });
+        }
     } catch (error) {
-        console.error('❌ Error saving character sheet:', error);
+        console.error(`❌ Error announcing a downed character (guild ${interaction.guildId}):`, error);
     }
 }
 
-// Delete player from database
-async function deletePlayer(userId) {
-    if (useDatabase) {
-        try {
-            await pool.query('DELETE FROM players WHERE user_id = $1', [userId]);
-            console.log(`✅ Deleted player ${userId} from database`);
-        } catch (error) {
-            console.error('❌ Error deleting player from database:', error);
+// A Downed combatant's turn goes to a death save: a /check with the guild's
+// death save dice and gate. A critical stabilizes them at once and a fumble
+// counts as two failures. Enough successes leave them stable (still Downed,
+// but done rolling); enough failures defeat them. Returns the result embed.
+function rollDeathSave(guildId, combatantId, data) {
+    const { activeEncounter: encounter, settings: { rules }, rng } = getGuildState(guildId);
+    const saves = encounter.downed[combatantId];
+    const roll = rollTwoDice(rules.deathSaveDie, rules.deathSaveDie, rng.random);
+    const [roll1, roll2] = roll.dice.map(die => die.value);
+    const { isFumble, isCrit, isHit } = judgeRoll(roll, { gate: rules.deathSaveGate, critAbove: rules.critAbove });
+
+    if (isCrit) saves.successes = rules.deathSaves;
+    else if (isHit) saves.successes += 1;
+    else saves.failures += isFumble ? 2 : 1;
+
+    let text = `> **${combatantLabel(combatantId, data)}** is Downed and rolls a death save instead of acting\n`;
+    text += `> \n`;
+    text += `> d${rules.deathSaveDie}: **${roll1}**  |  d${rules.deathSaveDie}: **${roll2}**\n`;
+    text += `> Total: ${roll1 + roll2}  •  Gate: ≤${rules.deathSaveGate}\n`;
+    text += `> \n`;
+    text += isFumble ? `> 💀 **FUMBLE!** (Two failures)`
+        : isCrit ? `> ⭐ **CRITICAL SUCCESS!** (Stabilized)`
+        : isHit ? `> ✅ **SUCCESS** (Both dice > ${rules.deathSaveGate})`
+        : `> ❌ **FAIL** (At least one die ≤ ${rules.deathSaveGate})`;
+    text += `\n\n✅ Successes: ${Math.min(saves.successes, rules.deathSaves)}/${rules.deathSaves}  •  ❌ Failures: ${Math.min(saves.failures, rules.deathSaves)}/${rules.deathSaves}`;
+
+    if (saves.failures >= rules.deathSaves) {
+        defeatCombatant(encounter, combatantId);
+        text += `\n\n☠️ **${data.characterName}** is defeated.`;
+    } else if (saves.successes >= rules.deathSaves) {
+        text += `\n\n🩹 **${data.characterName}** is stable, but stays Downed until healed.`;
+    }
+
+    return new EmbedBuilder()
+        .setColor(isFumble ? 0x800000 : isCrit ? 0xFFD700 : isHit ? 0x00FF00 : 0xFF0000)
+        .setTitle('💀 Death Save')
+        .setDescription(text)
+        .setTimestamp();
+}
+
+// Whether a combatant sits out their turns: defeated, or Downed and stable
+function sitsOutTurn(guildId, combatantId) {
+    const { activeEncounter: encounter, settings: { rules } } = getGuildState(guildId);
+    const saves = encounter.downed[combatantId];
+    return encounter.defeated.includes(combatantId) || (!!saves && saves.successes >= rules.deathSaves);
+}
+
+// Line announcing whose turn it is (pings players, names NPCs)
+function turnPing(guildId, combatantId) {
+    if (!combatantId) return '';
+    if (isNpcCombatant(combatantId)) {
+        const npc = getCombatant(guildId, combatantId);
+        return `👹 **${npc ? npc.characterName : combatantId}** is up! (GM)`;
+    }
+    return `<@${combatantId}>, it's your turn!`;
+}
+
+// Start a new round: reset penalties, counters and the turn tracker, and
+// rebuild the turn order from initiative
+function startNewRound(guildId) {
+    const state = getGuildState(guildId);
+    const encounter = state.activeEncounter;
+
+    // Reset attack and cast counters and penalties for all players
+    state.attackCounters.clear();
+    state.castCounters.clear();
+    state.attackPenalties.clear();
+    state.castPenalties.clear();
+
+    // Reset turn tracking
+    encounter.turnsTaken.clear();
+    encounter.readied = [];
+    encounter.round += 1;
+    encounter.order = buildTurnOrder(guildId);
+}
+
+// Embed announcing a new round
+function newRoundEmbed(guildId) {
+    const { activeEncounter } = getGuildState(guildId);
+    const first = getCurrentTurn(activeEncounter);
+    const firstData = first ? getCombatant(guildId, first) : null;
+
+    let description = `✅ Attack & Cast penalties reset\n✅ Turn tracker reset`;
+    if (firstData) description += `\n\n▶️ First up: **${combatantLabel(first, firstData)}**`;
+    description += `\n\nUse \`/clash list\` to see current stats`;
+
+    return new EmbedBuilder()
+        .setColor(0x00FF00)
+        .setTitle(`🔄 Round ${activeEncounter.round} Started!`)
+        .setDescription(description)
+        .setFooter({ text: 'Good luck in the new round!' })
+        .setTimestamp();
+}
+
+// End a combatant's turn: mark it taken, use up a readied action and tick
+// their statuses that count turns (unless automatic ticking is off). A turn
+// already taken this round is left alone, so statuses tick once per turn.
+// Returns the tick result, or null when nothing ticked.
+function endTurn(guildId, combatantId, history) {
+    const { activeEncounter: encounter, settings } = getGuildState(guildId);
+    if (encounter.turnsTaken.has(combatantId)) return null;
+    encounter.turnsTaken.add(combatantId);
+    encounter.readied = encounter.readied.filter(id => id !== combatantId);
+
+    const data = getCombatant(guildId, combatantId);
+    const countsTurns = status => statusUnit(status, settings) === 'turns';
+    if (!data || settings.statusTicking === 'off' || !data.statusEffects.some(countsTurns)) return null;
+
+    history.track(combatantId, data);
+    return tickStatusEffects(data, settings.resources, countsTurns);
+}
+
+// Start a new round and tick every combatant's statuses that count rounds.
+// Returns { embed, ticks } with the new-round embed and [{ combatantId, data, tick }].
+function beginRound(guildId, history) {
+    const { activeEncounter, settings } = getGuildState(guildId);
+    startNewRound(guildId);
+
+    const ticks = [];
+    const countsRounds = status => statusUnit(status, settings) === 'rounds';
+    if (settings.statusTicking !== 'off') {
+        for (const combatantId of activeEncounter.combatants) {
+            const data = getCombatant(guildId, combatantId);
+            if (!data || !data.statusEffects.some(countsRounds)) continue;
+            history.track(combatantId, data);
+            ticks.push({ combatantId, data, tick: tickStatusEffects(data, settings.resources, countsRounds) });
         }
     }
-    // Also delete from memory
-    playerData.delete(userId);
+
+    const embed = newRoundEmbed(guildId);
+    const triggered = ticks.flatMap(({ combatantId, data, tick }) =>
+        tick.triggered.map(line => `${combatantLabel(combatantId, data)} · ${line}`));
+    if (triggered.length > 0) {
+        const text = triggered.join('\n');
+        embed.addFields({ name: '⚙️ Status Effects Triggered', value: text.length > 1024 ? `${text.slice(0, 1020)}...` : text, inline: false });
+    }
+    return { embed, ticks };
 }
 
-// Initialize player data
-function initPlayer(userId, displayName, characterName = null) {
-    if (!playerData.has(userId)) {
-        playerData.set(userId, {
-            username: displayName,
-            characterName: characterName || displayName,
-            HP: 0,
-            MP: 0,
-            IP: 0,
-            Armor: 0,
-            Barrier: 0,
-            maxHP: 0,
-            maxMP: 0,
-            maxIP: 0,
-            maxArmor: 0,
-            maxBarrier: 0,
-            statusEffects: [],  // Array of {name: string, duration: number}
-            savedActions: {}    // Object of {actionName: {type, dice1, dice2, modifier, mpCost}}
+// Move on to the next combatant, starting a new round once everyone has acted.
+// Stunned combatants lose their turn, Downed ones roll a death save instead
+// and defeated or stable ones are passed over. Returns { nextTurn, embeds, ticks }
+// where embeds announce skipped turns, death saves and new rounds and ticks
+// lists the status ticks that happened on the way ([{ combatantId, data, tick }]).
+function advanceTurn(guildId, history) {
+    const { activeEncounter: encounter, settings: { rules } } = getGuildState(guildId);
+    const embeds = [];
+    const ticks = [];
+
+    let nextTurn = getCurrentTurn(encounter);
+    // Bounded so a clash where everyone is stunned can't loop for long
+    for (let skips = 0; skips <= encounter.order.length; skips++) {
+        if (!nextTurn && encounter.order.length > 0) {
+            const round = beginRound(guildId, history);
+            embeds.push(round.embed);
+            ticks.push(...round.ticks);
+            nextTurn = getCurrentTurn(encounter);
+        }
+
+        const data = nextTurn ? getCombatant(guildId, nextTurn) : null;
+        if (!data) break;
+
+        // Already Downed when they joined the clash
+        if (isDowned(data, rules) && !(nextTurn in encounter.downed) && !encounter.defeated.includes(nextTurn)) {
+            downCombatant(guildId, nextTurn);
+        }
+
+        if (sitsOutTurn(guildId, nextTurn)) {
+            encounter.turnsTaken.add(nextTurn);
+            encounter.readied = encounter.readied.filter(id => id !== nextTurn);
+            nextTurn = getCurrentTurn(encounter);
+            continue;
+        }
+
+        let embed;
+        if (nextTurn in encounter.downed) {
+            embed = rollDeathSave(guildId, nextTurn, data);
+        } else if (isStunned(data)) {
+            embed = new EmbedBuilder()
+                .setColor(0x9B59B6)
+                .setTitle('💫 Turn Skipped')
+                .setDescription(`**${combatantLabel(nextTurn, data)}** is stunned and loses their turn!`)
+                .setTimestamp();
+        } else {
+            break;
+        }
+
+        const tick = endTurn(guildId, nextTurn, history);
+        if (tick) {
+            addTickFields(embed, data, tick, { showExpired: false, showRemaining: false });
+            ticks.push({ combatantId: nextTurn, data, tick });
+        }
+        embeds.push(embed);
+
+        nextTurn = getCurrentTurn(encounter);
+    }
+
+    return { nextTurn, embeds, ticks };
+}
+
+// Channel announcement for statuses that wore off during automatic ticking
+// (pings the players affected). Returns null when nothing expired.
+function expiryAnnouncement(ticks) {
+    const lines = [];
+    const mentions = new Set();
+    for (const { combatantId, data, tick } of ticks) {
+        if (tick.expired.length === 0) continue;
+        lines.push(`**${combatantLabel(combatantId, data)}**: ${tick.expired.map(s => s.name).join(', ')}`);
+        if (!isNpcCombatant(combatantId)) mentions.add(`<@${combatantId}>`);
+    }
+    if (lines.length === 0) return null;
+
+    const embed = new EmbedBuilder()
+        .setColor(0x95A5A6)
+        .setTitle('💨 Status Effects Expired')
+        .setDescription(lines.join('\n'))
+        .setTimestamp();
+    return { content: mentions.size > 0 ? [...mentions].join(' ') : undefined, embeds: [embed] };
+}
+
+// Resolve the sheet a command targets: an NPC (npc option), a specific
+// character (character option) or the player's active character.
+// Returns { data, combatantId } or { error } with a message for the user.
+async function resolveTargetSheet(interaction) {
+    const guildId = interaction.guildId;
+    const npcName = interaction.options.getString('npc');
+    if (npcName) {
+        const npc = getGuildState(guildId).npcs.get(characterKey(npcName));
+        return npc ? { data: npc, combatantId: npcCombatantId(characterKey(npcName)) } : { error: `No NPC named **${npcName}**. Use \`/npc list\` to see them.` };
+    }
+
+    const player = interaction.options.getUser('player') || interaction.user;
+    const playerMember = player.id === interaction.user.id 
+        ? interaction.member 
+        : await interaction.guild.members.fetch(player.id);
+    const requestedCharacter = interaction.options.getString('character');
+    const data = resolveCharacter(guildId, player.id, playerMember.displayName, requestedCharacter);
+    return data ? { data, combatantId: player.id } : { error: `${player.username} has no character named **${requestedCharacter}**.` };
+}
+
+// Resolve the optional target / target_npc options of /attack, /cast and /use.
+// Returns { targetId } (null when no target was given) or { error }.
+function resolveAttackTarget(interaction) {
+    const targetId = combatantFromOptions(interaction, 'target', 'target_npc');
+    if (targetId && isNpcCombatant(targetId) && !getCombatant(interaction.guildId, targetId)) {
+        return { error: `No NPC named **${interaction.options.getString('target_npc')}**. Use \`/npc list\` to see them.` };
+    }
+    return { targetId };
+}
+
+// Hits waiting for their targets to Defend or Take Damage are kept per guild
+// (state.incomingAttacks) by attack id, the id of the interaction that rolled
+// the hit. responses holds each target's line for the Responses field once it
+// has answered (null while pending). Sent hits are saved with the encounter,
+// so their timers start again after a restart.
+
+const MAX_ATTACK_TARGETS = 10; // Two Defend / Take Damage pairs per button row
+const RESPONSES_FIELD = '📋 Responses';
+
+// Record a hit on targetIds (user ids and npc:<key> ids). Build the message
+// with responsesField() and incomingAttackRows(), then call
+// watchIncomingAttack() once it is sent.
+function recordIncomingAttack(interaction, { damage, damageType, targetIds }) {
+    const attack = {
+        id: interaction.id,
+        guildId: interaction.guildId,
+        // Timed-out hits are logged as the attacker's changes
+        actor: { id: interaction.user.id, name: interaction.member ? interaction.member.displayName : interaction.user.username },
+        damage,
+        damageType,
+        responses: Object.fromEntries(targetIds.map(targetId => [targetId, null])),
+        message: null, // { channelId, messageId }
+        expiresAt: null, // When unanswered targets take the hit (ms)
+        timer: null
+    };
+    getGuildState(interaction.guildId).incomingAttacks.set(attack.id, attack);
+    return attack;
+}
+
+// How a hit's target is named on its buttons and in its Responses field
+function attackTargetLabel(guildId, targetId) {
+    const data = getCombatant(guildId, targetId);
+    if (isNpcCombatant(targetId)) return data ? combatantLabel(targetId, data) : 'Unknown NPC';
+    return data ? data.characterName : `<@${targetId}>`;
+}
+
+function responsesField(attack) {
+    const lines = Object.entries(attack.responses)
+        .map(([targetId, response]) => response || `⏳ ${attackTargetLabel(attack.guildId, targetId)} - waiting`);
+    return { name: RESPONSES_FIELD, value: lines.join('\n'), inline: false };
+}
+
+// A Defend / Take Damage pair for every target that hasn't answered
+function incomingAttackRows(attack) {
+    const buttons = Object.keys(attack.responses)
+        .filter(targetId => !attack.responses[targetId])
+        .flatMap(targetId => {
+            const name = attackTargetLabel(attack.guildId, targetId).replace(/^<@\d+>$/, 'Player').slice(0, 30);
+            return [
+                new ButtonBuilder()
+                    .setCustomId(`gmattack_defend_${attack.id}_${targetId}`)
+                    .setLabel(`🛡️ Defend: ${name}`)
+                    .setStyle(ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId(`gmattack_take_${attack.id}_${targetId}`)
+                    .setLabel(`💔 Take: ${name}`)
+                    .setStyle(ButtonStyle.Danger)
+            ];
         });
-    } else {
-        // Update display name in case it changed
-        playerData.get(userId).username = displayName;
-        // Update character name if provided
-        if (characterName) {
-            playerData.get(userId).characterName = characterName;
+
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 4) {
+        rows.push(new ActionRowBuilder().addComponents(...buttons.slice(i, i + 4)));
+    }
+    return rows;
+}
+
+// The attack message with its Responses field and buttons brought up to date
+function incomingAttackUpdate(attack, embed) {
+    const updated = EmbedBuilder.from(embed);
+    const fields = (updated.data.fields || []).filter(field => field.name !== RESPONSES_FIELD);
+    return { embeds: [updated.setFields(...fields, responsesField(attack))], components: incomingAttackRows(attack) };
+}
+
+// Start the answer timer of the hit an interaction has just sent, if it
+// rolled one. Targets who don't answer in time take the hit undefended.
+async function watchIncomingAttack(interaction) {
+    const attack = getGuildState(interaction.guildId).incomingAttacks.get(interaction.id);
+    if (!attack) return;
+
+    const message = interaction.isButton() ? interaction.message : await interaction.fetchReply();
+    attack.message = { channelId: message.channelId, messageId: message.id };
+    const { defendTimeout } = getGuildState(attack.guildId).settings.rules;
+    attack.expiresAt = Date.now() + defendTimeout * 1000;
+    armIncomingAttack(attack);
+    saveData(attack.guildId, { encounter: true });
+}
+
+// (Re)start a sent hit's answer timer; one that ran out while the bot was
+// down expires right away
+function armIncomingAttack(attack) {
+    clearTimeout(attack.timer);
+    attack.timer = setTimeout(() => expireIncomingAttack(attack), Math.max(0, attack.expiresAt - Date.now()));
+}
+
+// Apply a hit to a sheet. Defending first adds max Armor and Barrier (up to
+// their caps); the damage then goes through the matching protection (none
+// for true damage) and the rest to HP, down to its floor. resources are the
+// guild's definitions. Returns the result text.
+function resolveIncomingHit(data, resources, { damage, damageType, defend }) {
+    const old = { Armor: data.Armor, Barrier: data.Barrier };
+    const raised = {};
+    if (defend) {
+        for (const resource of ['Armor', 'Barrier']) {
+            raised[resource] = adjustResource(data, findResource(resources, resource), data[`max${resource}`]);
+        }
+    }
+
+    const protection = protectionFor(damageType);
+    const { hpLost, hp } = applyDamage(data, damage, protection, resources);
+
+    const lines = [];
+    for (const resource of ['Armor', 'Barrier']) {
+        const label = `${RESOURCE_EMOJIS[resource]} ${resource}`;
+        if (defend) {
+            const raisedText = `${old[resource]} +${data[`max${resource}`]} = ${raised[resource].after}${clippedNote(raised[resource])}`;
+            if (!protection) lines.push(`${label}: ${raisedText}`);
+            else lines.push(`${label}: ${raisedText} ${protection === resource ? `→ ${data[resource]}` : '(untouched)'}`);
+        } else if (protection === resource) {
+            lines.push(`${label}: ${old[resource]} → ${data[resource]}`);
         }
-        // Initialize savedActions if it doesn't exist (for existing players)
-        if (!playerData.get(userId).savedActions) {
-            playerData.get(userId).savedActions = {};
+    }
+    if (!protection) lines.push(`💔 True Damage: ${damage} → HP: ${hp.before} → ${data.HP}/${data.maxHP}${clippedNote(hp)}`);
+    else if (hpLost > 0) lines.push(`💔 HP damage: ${hpLost} → HP: ${hp.before} → ${data.HP}/${data.maxHP}${clippedNote(hp)}`);
+
+    return `**${data.characterName}** ${defend ? 'DEFENDED!' : 'took the hit!'}\n\n${lines.join('\n')}`;
+}
+
+// Record one target's answer to a hit and apply it. Returns the result text.
+function answerIncomingAttack(attack, targetId, data, { defend, history, timedOut = false }) {
+    history.track(targetId, data);
+    const { resources } = getGuildState(attack.guildId).settings;
+    const text = resolveIncomingHit(data, resources, { damage: attack.damage, damageType: attack.damageType, defend });
+    const label = attackTargetLabel(attack.guildId, targetId);
+    const hp = `(HP ${data.HP}/${data.maxHP})`;
+    attack.responses[targetId] = timedOut ? `⏰ ${label} didn't answer and took the hit ${hp}`
+        : defend ? `🛡️ ${label} defended ${hp}`
+        : `💔 ${label} took the hit ${hp}`;
+    if (Object.values(attack.responses).every(Boolean)) {
+        clearTimeout(attack.timer);
+        getGuildState(attack.guildId).incomingAttacks.delete(attack.id);
+    }
+    return text;
+}
+
+// Time's up: everyone who hasn't answered takes the hit undefended
+async function expireIncomingAttack(attack) {
+    const { incomingAttacks } = getGuildState(attack.guildId);
+    if (incomingAttacks.get(attack.id) !== attack) return;
+    incomingAttacks.delete(attack.id);
+
+    // The attacker's interaction may be gone (sent before a restart): log the
+    // changes as theirs and post Downed notices under the attack's message
+    const origin = {
+        id: attack.id,
+        guildId: attack.guildId,
+        user: { id: attack.actor.id, username: attack.actor.name },
+        member: null,
+        channel: null
+    };
+    const pending = Object.keys(attack.responses).filter(targetId => !attack.responses[targetId]);
+    const history = startHistory(origin, 'gmattack: timed out');
+    const results = [];
+    for (const targetId of pending) {
+        const data = getCombatant(attack.guildId, targetId);
+        if (!data) {
+            attack.responses[targetId] = `❔ ${attackTargetLabel(attack.guildId, targetId)} has no character`;
+            continue;
         }
+        results.push(answerIncomingAttack(attack, targetId, data, { defend: false, history, timedOut: true }));
+    }
+    history.commit();
+    saveData(attack.guildId, combatantChanges(pending, true));
+
+    try {
+        const message = await fetchChannelMessage(attack.message);
+        if (!message) return;
+        origin.channel = message.channel;
+        await message.edit(incomingAttackUpdate(attack, message.embeds[0]));
+        if (results.length > 0) await message.reply({ content: `⏰ **Time's up!** No answer, no defense.\n\n${results.join('\n\n')}` });
+    } catch (error) {
+        console.error(`❌ Error closing an attack that timed out (guild ${attack.guildId}):`, error);
+    } finally {
+        if (origin.channel) await postDownedNotices(origin);
+        else downedNotices.delete(origin.id);
+    }
+}
+
+// Reply payload for a player's attack roll. On a hit against a target the
+// target is pinged and gets the Defend / Take Damage buttons.
+function attackRollReply(interaction, embed, { isHit, damage, damageType, targetId }) {
+    if (!targetId || !isHit) return { embeds: [embed], components: [] };
+
+    const data = getCombatant(interaction.guildId, targetId);
+    const mention = isNpcCombatant(targetId) ? combatantLabel(targetId, data) : `<@${targetId}>`;
+    const attack = recordIncomingAttack(interaction, { damage, damageType, targetIds: [targetId] });
+    embed
+        .addFields({ name: 'Target', value: mention, inline: false }, responsesField(attack))
+        .setFooter({ text: `${damage} ${damageType} damage incoming!` });
+
+    return {
+        content: isNpcCombatant(targetId)
+            ? `⚔️ **${mention}** is hit! GM, choose how it reacts.`
+            : `${mention} ⚔️ **INCOMING ATTACK!**`,
+        embeds: [embed],
+        components: incomingAttackRows(attack)
+    };
+}
+
+// A player's cumulative attack or cast penalties for this round
+function penaltiesFor(penaltyMap, userId) {
+    if (!penaltyMap.has(userId)) penaltyMap.set(userId, createPenalties());
+    return penaltyMap.get(userId);
+}
+
+// Resolve a player's attack or cast (see actions.js) and build the result
+// embed. Returns { embed, resolution } or { error }.
+function rollAction(guildId, data, { kind, dice1, dice2, expression = null, modifier = 0, penalties, count, actionName = null, notes = [] }) {
+    const { settings, rng } = getGuildState(guildId);
+    const statusMods = statusRollModifiers(data);
+    const resolution = resolveAction({
+        dice1,
+        dice2,
+        expression,
+        modifier,
+        penalties,
+        statusMods,
+        rules: settings.rules,
+        variables: sheetVariables(data, settings.resources),
+        random: rng.random
+    });
+    if (resolution.error) return resolution;
+
+    const { title, color, text } = describeAction(resolution, { kind, characterName: data.characterName, count, actionName, statusText: statusMods.text, notes });
+    const embed = new EmbedBuilder()
+        .setColor(color)
+        .setTitle(title)
+        .setDescription(text)
+        .setTimestamp();
+    return { embed, resolution };
+}
+
+// Result lines for the MP a cast just paid (mp is the change from adjustResource)
+function castNotes(data, { mp, mpCost, surcharge }) {
+    const notes = [];
+    if (surcharge > 0) notes.push(`*Multi-Cast Penalty: Extra ${surcharge} MP*`);
+    notes.push(`${RESOURCE_EMOJIS.MP} MP: ${mp.before} - ${mpCost} = **${data.MP}/${data.maxMP}**${clippedNote(mp)}`);
+    return notes;
+}
+
+// Roll a GM-side attack (from /gmattack or an NPC's saved action) and offer
+// the targets Defend / Take Damage buttons on a hit. Rolls the expression if
+// one is given, otherwise dice1 and dice2. Expects a deferred reply.
+async function runGmAttack(interaction, { attackerName, attacker = null, actionName, dice1, dice2, expression = null, modifier, penalty, targetsString, damageType }) {
+    const { rng, settings } = getGuildState(interaction.guildId);
+
+    if (penalty && !settings.rules.penalties.includes(penalty)) {
+        await interaction.editReply({ content: `The ${penaltyLabel(penalty, settings.rules)} penalty is turned off on this server (see \`/rules penalty\`).` });
+        return;
+    }
+
+    // The picked penalty counts as it would for a player's attack (see
+    // applyPenalty); an NPC attacker's status effects shift the gate and the modifier
+    const penalties = createPenalties();
+    if (penalty) applyPenalty(penalties, penalty, settings.rules);
+    const statusMods = statusRollModifiers(attacker);
+
+    // Roll the dice and judge them against the gate
+    const rolled = resolveAction({
+        dice1,
+        dice2,
+        expression,
+        modifier,
+        penalties,
+        statusMods,
+        rules: settings.rules,
+        variables: attacker ? sheetVariables(attacker, settings.resources) : {},
+        random: rng.random
+    });
+    saveData(interaction.guildId, { rng: true }); // A miss changes nothing else
+    if (rolled.error) {
+        await interaction.editReply({ content: rolled.error });
+        return;
+    }
+    const { isFumble, isCrit, isHit, damage, gate } = rolled;
+
+    // Parse targets
+    const targetIds = [...new Set(mentionedUserIds(targetsString))];
+    const targetMentions = targetIds.map(userId => `<@${userId}>`);
+
+    if (targetIds.length === 0) {
+        await interaction.editReply({ content: 'No valid targets found. Please mention players with @player.' });
+        return;
+    }
+    if (targetIds.length > MAX_ATTACK_TARGETS) {
+        await interaction.editReply({ content: `An attack can hit at most ${MAX_ATTACK_TARGETS} targets.` });
+        return;
+    }
+
+    // Build initial result
+    let resultText = actionName
+        ? `> **${attackerName}** ⚔️ - **${actionName}**\n`
+        : `> **${attackerName}** ⚔️\n`;
+    if (rolled.penaltyText) resultText += `> *Penalty: ${rolled.penaltyText}*\n`;
+    if (statusMods.text) resultText += `> *Status: ${statusMods.text}*\n`;
+    resultText += `> \n`;
+    resultText += rolled.text;
+    resultText += `> \n`;
+    
+    if (isFumble) {
+        resultText += `> 💀 **FUMBLE!** (Auto-Miss)\n`;
+        resultText += `> No damage dealt.`;
+        
+        const embed = new EmbedBuilder()
+            .setColor(0x800000)
+            .setTitle(`🎲 ${attackerName}`)
+            .setDescription(resultText)
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
+    } else if (isCrit) {
+        resultText += `> ⭐ **CRITICAL!** (Auto-Hit)`;
+    } else if (isHit) {
+        resultText += `> ✅ **HIT** (${rolled.diceRule} > ${gate})`;
+    } else {
+        resultText += `> ❌ **MISS** (At least one die ≤ ${gate})\n`;
+        resultText += `> No damage dealt.`;
+        
+        const embed = new EmbedBuilder()
+            .setColor(0xFF0000)
+            .setTitle(`🎲 ${attackerName}`)
+            .setDescription(resultText)
+            .setTimestamp();
+
+        await interaction.editReply({ embeds: [embed] });
+        return;
     }
+
+    // Attack hit - each target defends or takes the damage
+    const attack = recordIncomingAttack(interaction, { damage, damageType, targetIds });
+    const embed = new EmbedBuilder()
+        .setColor(isCrit ? 0xFFD700 : 0x00FF00)
+        .setTitle(`🎲 ${attackerName} - HIT!`)
+        .setDescription(resultText)
+        .addFields({
+            name: 'Targets',
+            value: targetMentions.join(' '),
+            inline: false
+        }, responsesField(attack))
+        .setFooter({ text: `${damage} ${damageType} damage incoming!` })
+        .setTimestamp();
+
+    await interaction.editReply({
+        content: `${targetMentions.join(' ')} ⚔️ **INCOMING ATTACK!**`,
+        embeds: [embed],
+        components: incomingAttackRows(attack)
+    });
+    await watchIncomingAttack(interaction);
 }
 
 // Create the bot client
@@ -366,7 +2762,7 @@ const commands = [
                 .setRequired(true))
         .addStringOption(option =>
             option.setName('name')
-                .setDescription('Character name (for display)')
+                .setDescription('Character name (creates the character if the player doesn\'t have it yet)')
                 .setRequired(true))
         .addIntegerOption(option =>
             option.setName('hp')
@@ -395,6 +2791,10 @@ const commands = [
         .addUserOption(option =>
             option.setName('player')
                 .setDescription('The player to view (leave empty for yourself)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('character')
+                .setDescription('Which of the player\'s characters (default: their active one)')
                 .setRequired(false)),
 
     new SlashCommandBuilder()
@@ -402,15 +2802,8 @@ const commands = [
         .setDescription('Add or subtract from a resource')
         .addStringOption(option =>
             option.setName('resource')
-                .setDescription('The resource to update')
-                .setRequired(true)
-                .addChoices(
-                    { name: 'HP', value: 'HP' },
-                    { name: 'MP', value: 'MP' },
-                    { name: 'IP', value: 'IP' },
-                    { name: 'Armor', value: 'Armor' },
-                    { name: 'Barrier', value: 'Barrier' }
-                ))
+                .setDescription('The resource to update: HP, MP, IP, Armor, Barrier or one your GM added')
+                .setRequired(true))
         .addIntegerOption(option =>
             option.setName('amount')
                 .setDescription('Amount to add (positive) or subtract (negative)')
@@ -418,6 +2811,10 @@ const commands = [
         .addUserOption(option =>
             option.setName('player')
                 .setDescription('The player to update (leave empty for yourself)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('character')
+                .setDescription('Which of the player\'s characters (default: their active one)')
                 .setRequired(false)),
 
     new SlashCommandBuilder()
@@ -435,9 +2832,49 @@ const commands = [
                     option.setName('duration')
                         .setDescription('Duration in turns')
                         .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('What the status does (default: just a label)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Damage over time (poison, burn)', value: 'dot' },
+                            { name: 'Regeneration (heals HP)', value: 'regen' },
+                            { name: 'Gate modifier (+ harder, - easier)', value: 'gate' },
+                            { name: 'Damage modifier (buff/debuff)', value: 'modifier' },
+                            { name: 'Stunned (skips turn)', value: 'stun' }
+                        ))
+                .addIntegerOption(option =>
+                    option.setName('amount')
+                        .setDescription('Damage/healing per tick, or the gate/modifier change')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('damage_type')
+                        .setDescription('For damage over time: what it hits first (default: HP)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Armor', value: 'armor' },
+                            { name: 'Barrier', value: 'barrier' },
+                            { name: 'True Damage (HP)', value: 'true' }
+                        ))
+                .addStringOption(option =>
+                    option.setName('unit')
+                        .setDescription('Whether the duration counts turns or rounds (default: server setting)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Turns (ticks at the end of their turn)', value: 'turns' },
+                            { name: 'Rounds (ticks at the start of each round)', value: 'rounds' }
+                        ))
                 .addUserOption(option =>
                     option.setName('player')
                         .setDescription('Player to apply status to (leave empty for yourself)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('character')
+                        .setDescription('Which of the player\'s characters (default: their active one)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('npc')
+                        .setDescription('NPC to target instead of a player (GM)')
                         .setRequired(false)))
         .addSubcommand(subcommand =>
             subcommand
@@ -450,6 +2887,14 @@ const commands = [
                 .addUserOption(option =>
                     option.setName('player')
                         .setDescription('Player to remove status from (leave empty for yourself)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('character')
+                        .setDescription('Which of the player\'s characters (default: their active one)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('npc')
+                        .setDescription('NPC to target instead of a player (GM)')
                         .setRequired(false))),
 
     new SlashCommandBuilder()
@@ -458,60 +2903,279 @@ const commands = [
         .addUserOption(option =>
             option.setName('player')
                 .setDescription('Player to advance turn for (leave empty for yourself)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('character')
+                .setDescription('Which of the player\'s characters (default: their active one)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('npc')
+                .setDescription('NPC to advance turn for instead of a player (GM)')
                 .setRequired(false)),
 
+    // Quick updates for the built-in resources (custom ones get guild commands)
+    ...BUILTIN_RESOURCES.map(resourceCommand),
+
     new SlashCommandBuilder()
-        .setName('hp')
-        .setDescription('Update your HP quickly')
-        .addStringOption(option =>
-            option.setName('amount')
-                .setDescription('Amount to change (use "full" to max, "zero" to set 0)')
-                .setRequired(true)),
+        .setName('rest')
+        .setDescription('Restore all your resources to maximum'),
 
     new SlashCommandBuilder()
-        .setName('mp')
-        .setDescription('Update your MP quickly')
-        .addStringOption(option =>
-            option.setName('amount')
-                .setDescription('Amount to change (use "full" to max, "zero" to set 0)')
-                .setRequired(true)),
+        .setName('reset')
+        .setDescription('Reset all player data (GM only)'),
 
     new SlashCommandBuilder()
-        .setName('ip')
-        .setDescription('Update your IP quickly')
-        .addStringOption(option =>
-            option.setName('amount')
-                .setDescription('Amount to change (use "full" to max, "zero" to set 0)')
-                .setRequired(true)),
+        .setName('viewall')
+        .setDescription('View all players and their resources in detail'),
 
     new SlashCommandBuilder()
-        .setName('armor')
-        .setDescription('Update your Armor quickly')
-        .addStringOption(option =>
-            option.setName('amount')
-                .setDescription('Amount to change (use "full" to max, "zero" to set 0)')
-                .setRequired(true)),
+        .setName('campaign')
+        .setDescription('Back up or restore this server\'s campaign (GM only)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('export')
+                .setDescription('Download characters, NPCs, statuses, saved actions, the clash and settings as a file'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('import')
+                .setDescription('Load a campaign export (shows a preview first)')
+                .addAttachmentOption(option =>
+                    option.setName('file')
+                        .setDescription('A .json file from /campaign export')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('Merge into the current data or replace it (default: merge)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Merge (overwrite matching characters, keep the rest)', value: 'merge' },
+                            { name: 'Replace (everything here becomes the file)', value: 'replace' }
+                        ))),
 
     new SlashCommandBuilder()
-        .setName('barrier')
-        .setDescription('Update your Barrier quickly')
-        .addStringOption(option =>
-            option.setName('amount')
-                .setDescription('Amount to change (use "full" to max, "zero" to set 0)')
-                .setRequired(true)),
+        .setName('settings')
+        .setDescription('View or change this server\'s bot settings')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Show the current settings'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('statusticking')
+                .setDescription('Choose when status durations count down during a clash')
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('When statuses tick on their own')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'End of each combatant\'s turn (/eot)', value: 'turn' },
+                            { name: 'Start of each round', value: 'round' },
+                            { name: 'Off (only /tick)', value: 'off' }
+                        )))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('gmrole')
+                .setDescription('Choose the role whose members are GMs (GM only)')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The GM role (leave empty to go back to Manage Messages)')
+                        .setRequired(false))),
 
     new SlashCommandBuilder()
-        .setName('rest')
-        .setDescription('Restore all your resources to maximum'),
+        .setName('rng')
+        .setDescription('Check, seed or reveal the random numbers behind every roll')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show the published hash of the current seed and how many draws it has made'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('seed')
+                .setDescription('Start a new seed and publish its hash (GM only)')
+                .addStringOption(option =>
+                    option.setName('value')
+                        .setDescription('Seed for a reproducible playtest (default: a secret random seed)')
+                        .setRequired(false)
+                        .setMaxLength(100)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reveal')
+                .setDescription('Reveal the current seed so its rolls can be checked, then start a new one (GM only)'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('verify')
+                .setDescription('Check a revealed seed against the hash published for it')
+                .addStringOption(option =>
+                    option.setName('seed')
+                        .setDescription('The revealed seed')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('hash')
+                        .setDescription('The hash published before the session')
+                        .setRequired(true))),
 
     new SlashCommandBuilder()
-        .setName('reset')
-        .setDescription('Reset all player data (GM only)')
-        .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+        .setName('rules')
+        .setDescription('View or change this server\'s game rules: gates, crits, penalties, cast costs')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Show the current rules'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set')
+                .setDescription('Change one rule (GM only)')
+                .addStringOption(option =>
+                    option.setName('rule')
+                        .setDescription('Rule to change')
+                        .setRequired(true)
+                        .addChoices(...Object.entries(RULES).map(([name, rule]) => ({ name: `${name}: ${rule.description}`, value: name }))))
+                .addIntegerOption(option =>
+                    option.setName('value')
+                        .setDescription('New value')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('penalty')
+                .setDescription('Turn a multi-attack penalty option on or off (GM only)')
+                .addStringOption(option =>
+                    option.setName('option')
+                        .setDescription('Penalty option')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Gate +', value: 'gate' },
+                            { name: 'Reduced Modifier', value: 'damage50' },
+                            { name: 'No Modifier', value: 'damage100' },
+                            { name: 'Blind', value: 'blind' }
+                        ))
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Offer this penalty')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reset')
+                .setDescription('Go back to the default rules (GM only)')),
 
     new SlashCommandBuilder()
-        .setName('viewall')
-        .setDescription('View all players and their resources in detail'),
+        .setName('resource')
+        .setDescription('View or change the resources this server tracks on character sheets')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('Show every resource and how /rest and /set treat it'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Add a custom resource with its own /command (GM only)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Resource name, e.g. Stamina (letters and digits)')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('emoji')
+                        .setDescription('Emoji shown next to it')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('max')
+                        .setDescription('Max every character gets')
+                        .setRequired(true)
+                        .setMinValue(0))
+                .addBooleanOption(option =>
+                    option.setName('rest')
+                        .setDescription('Refill it on /rest (default: yes)')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('preserve')
+                        .setDescription('Keep its current value on /set, like IP (default: no)')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('floor')
+                        .setDescription('Lowest value it can drop to, 0 or below (default: 0)')
+                        .setRequired(false)
+                        .setMinValue(MIN_FLOOR)
+                        .setMaxValue(0))
+                .addIntegerOption(option =>
+                    option.setName('overheal')
+                        .setDescription('How far past its max it can go, in % of the max (default: 0)')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(MAX_OVERHEAL)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('edit')
+                .setDescription('Change a resource (GM only; built-ins: rest, preserve, floor and overheal only)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Resource to change')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('emoji')
+                        .setDescription('New emoji')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('max')
+                        .setDescription('New max for every character (current values are kept)')
+                        .setRequired(false)
+                        .setMinValue(0))
+                .addBooleanOption(option =>
+                    option.setName('rest')
+                        .setDescription('Refill it on /rest')
+                        .setRequired(false))
+                .addBooleanOption(option =>
+                    option.setName('preserve')
+                        .setDescription('Keep its current value on /set')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('floor')
+                        .setDescription('Lowest value it can drop to, 0 or below (e.g. -10 for negative HP)')
+                        .setRequired(false)
+                        .setMinValue(MIN_FLOOR)
+                        .setMaxValue(0))
+                .addIntegerOption(option =>
+                    option.setName('overheal')
+                        .setDescription('How far past its max it can go, in % of the max (0 = never past max)')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(MAX_OVERHEAL)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Remove a custom resource from every character (GM only)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Resource to remove')
+                        .setRequired(true))),
+
+    new SlashCommandBuilder()
+        .setName('undo')
+        .setDescription('Undo your last change (GMs: the last change to a player)')
+        .addUserOption(option =>
+            option.setName('player')
+                .setDescription('Undo the last change to this player (GM only)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('redo')
+        .setDescription('Redo the last change you undid'),
+
+    new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('Show recent resource, status and clash changes')
+        .addUserOption(option =>
+            option.setName('player')
+                .setDescription('Only show changes to this player')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('npc')
+                .setDescription('Only show changes to this NPC')
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('limit')
+                .setDescription('Number of entries to show (default: 10)')
+                .setRequired(false)
+                .setMinValue(1)
+                .setMaxValue(25)),
 
     new SlashCommandBuilder()
         .setName('delete')
@@ -540,6 +3204,10 @@ const commands = [
         .addStringOption(option =>
             option.setName('players')
                 .setDescription('Players to damage (mention multiple: @player1 @player2, or leave empty for self)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('npcs')
+                .setDescription('NPCs to damage (comma-separated names, GM)')
                 .setRequired(false)),
 
     new SlashCommandBuilder()
@@ -562,15 +3230,32 @@ const commands = [
                 .setDescription('Optional: Apply penalties manually (e.g., "gate" or "damage")')
                 .setRequired(false)
                 .addChoices(
-                    { name: 'Gate +1', value: 'gate' },
-                    { name: '-50% Modifier', value: 'damage50' },
+                    { name: 'Gate +', value: 'gate' },
+                    { name: 'Reduced Modifier', value: 'damage50' },
                     { name: 'No Modifier', value: 'damage100' },
-                    { name: 'Blind (Gate 3)', value: 'blind' }
+                    { name: 'Blind', value: 'blind' }
+                ))
+        .addUserOption(option =>
+            option.setName('target')
+                .setDescription('Player being attacked (gets Defend / Take Damage buttons on a hit)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('target_npc')
+                .setDescription('NPC being attacked (GM resolves the hit)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('damage_type')
+                .setDescription('Damage type against the target (default: armor)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Armor', value: 'armor' },
+                    { name: 'Barrier', value: 'barrier' },
+                    { name: 'True Damage (HP)', value: 'true' }
                 )),
 
     new SlashCommandBuilder()
         .setName('cast')
-        .setDescription('Roll cast dice with damage calculation (MP penalty on 2nd+ cast)')
+        .setDescription('Roll cast dice and pay the MP cost (surcharge on 2nd+ cast)')
         .addIntegerOption(option =>
             option.setName('dice1')
                 .setDescription('First dice size (e.g., 10 for d10)')
@@ -588,10 +3273,36 @@ const commands = [
                 .setDescription('Optional: Apply penalties manually')
                 .setRequired(false)
                 .addChoices(
-                    { name: 'Gate +1', value: 'gate' },
-                    { name: '-50% Modifier', value: 'damage50' },
+                    { name: 'Gate +', value: 'gate' },
+                    { name: 'Reduced Modifier', value: 'damage50' },
                     { name: 'No Modifier', value: 'damage100' },
-                    { name: 'Blind (Gate 3)', value: 'blind' }
+                    { name: 'Blind', value: 'blind' }
+                ))
+        .addIntegerOption(option =>
+            option.setName('mpcost')
+                .setDescription('Base MP cost of the spell (multi-cast surcharge is added)')
+                .setRequired(false)
+                .setMinValue(0))
+        .addBooleanOption(option =>
+            option.setName('overdraw')
+                .setDescription('Cast even without enough MP (MP goes negative, past its floor)')
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('target')
+                .setDescription('Player being attacked (gets Defend / Take Damage buttons on a hit)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('target_npc')
+                .setDescription('NPC being attacked (GM resolves the hit)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('damage_type')
+                .setDescription('Damage type against the target (default: armor)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Armor', value: 'armor' },
+                    { name: 'Barrier', value: 'barrier' },
+                    { name: 'True Damage (HP)', value: 'true' }
                 )),
 
     new SlashCommandBuilder()
@@ -612,6 +3323,34 @@ const commands = [
         .addUserOption(option =>
             option.setName('player')
                 .setDescription('Who is making this check? (leave empty for yourself)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('character')
+                .setDescription('Which of the player\'s characters (default: their active one)')
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('roll')
+        .setDescription('Roll a dice expression (e.g., 2d10kh1+5, 3d10kh2, d6!+@mod)')
+        .addStringOption(option =>
+            option.setName('expression')
+                .setDescription('Dice expression: NdS, kh/kl/dh/dl, ! (explode), {a,b}kh1, @HP, @mod, + - * /')
+                .setRequired(true))
+        .addIntegerOption(option =>
+            option.setName('gate')
+                .setDescription('Judge the roll: fails if ANY kept die ≤ gate')
+                .setRequired(false))
+        .addIntegerOption(option =>
+            option.setName('modifier')
+                .setDescription('Value of @mod (default: 0)')
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('player')
+                .setDescription('Whose sheet @HP, @MP, ... come from (leave empty for yourself)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('character')
+                .setDescription('Which of the player\'s characters (default: their active one)')
                 .setRequired(false)),
 
     new SlashCommandBuilder()
@@ -636,18 +3375,22 @@ const commands = [
                 .addIntegerOption(option =>
                     option.setName('dice1')
                         .setDescription('First dice size (e.g., 10 for d10)')
-                        .setRequired(true))
+                        .setRequired(false))
                 .addIntegerOption(option =>
                     option.setName('dice2')
                         .setDescription('Second dice size (e.g., 8 for d8)')
-                        .setRequired(true))
+                        .setRequired(false))
                 .addIntegerOption(option =>
                     option.setName('modifier')
-                        .setDescription('For Attack: weapon modifier | For Cast: spell damage bonus')
-                        .setRequired(true))
+                        .setDescription('For Attack: weapon modifier | For Cast: spell damage bonus (default: 0)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('expression')
+                        .setDescription('Dice expression instead of dice1/dice2 (e.g., 3d10kh2+@mod, d8!+@mod)')
+                        .setRequired(false))
                 .addIntegerOption(option =>
                     option.setName('mpcost')
-                        .setDescription('For Cast only: base MP cost (multicast adds +10/+20)')
+                        .setDescription('For Cast only: base MP cost (multicast adds a surcharge, see /rules)')
                         .setRequired(false)))
         .addSubcommand(subcommand =>
             subcommand
@@ -668,38 +3411,57 @@ const commands = [
         .addStringOption(option =>
             option.setName('action')
                 .setDescription('Name of the saved action to use')
-                .setRequired(true)),
+                .setRequired(true))
+        .addBooleanOption(option =>
+            option.setName('overdraw')
+                .setDescription('Cast even without enough MP (MP goes negative, past its floor)')
+                .setRequired(false))
+        .addUserOption(option =>
+            option.setName('target')
+                .setDescription('Player being attacked (gets Defend / Take Damage buttons on a hit)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('target_npc')
+                .setDescription('NPC being attacked (GM resolves the hit)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('damage_type')
+                .setDescription('Damage type against the target (default: armor)')
+                .setRequired(false)
+                .addChoices(
+                    { name: 'Armor', value: 'armor' },
+                    { name: 'Barrier', value: 'barrier' },
+                    { name: 'True Damage (HP)', value: 'true' }
+                )),
 
     new SlashCommandBuilder()
         .setName('gmattack')
         .setDescription('GM attack with instant damage application (GM only)')
+        .addStringOption(option =>
+            option.setName('targets')
+                .setDescription('Target players (mention: @player1 @player2)')
+                .setRequired(true))
         .addIntegerOption(option =>
             option.setName('dice1')
                 .setDescription('First dice size (e.g., 10 for d10)')
-                .setRequired(true))
+                .setRequired(false))
         .addIntegerOption(option =>
             option.setName('dice2')
                 .setDescription('Second dice size (e.g., 8 for d8)')
-                .setRequired(true))
+                .setRequired(false))
         .addIntegerOption(option =>
             option.setName('modifier')
-                .setDescription('Damage modifier')
-                .setRequired(true))
+                .setDescription('Damage modifier (default: 0)')
+                .setRequired(false))
         .addStringOption(option =>
-            option.setName('targets')
-                .setDescription('Target players (mention: @player1 @player2)')
-                .setRequired(true))
+            option.setName('expression')
+                .setDescription('Dice expression instead of dice1/dice2 (e.g., 2d10kh1+@mod)')
+                .setRequired(false))
         .addStringOption(option =>
             option.setName('penalty')
-                .setDescription('Optional penalty (no stacking)')
+                .setDescription('Optional penalty, by this server\'s /rules (no stacking)')
                 .setRequired(false)
-                .addChoices(
-                    { name: 'Gate 1', value: 'gate1' },
-                    { name: 'Gate 2', value: 'gate2' },
-                    { name: 'Gate 3', value: 'gate3' },
-                    { name: '-50% Modifier', value: 'mod50' },
-                    { name: 'No Modifier', value: 'mod100' }
-                ))
+                .addChoices(...PENALTY_OPTIONS.map(penaltyChoice)))
         .addStringOption(option =>
             option.setName('damage_type')
                 .setDescription('Damage type (default: armor)')
@@ -708,8 +3470,7 @@ const commands = [
                     { name: 'Armor', value: 'armor' },
                     { name: 'Barrier', value: 'barrier' },
                     { name: 'True Damage (HP)', value: 'true' }
-                ))
-        .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+                )),
 
     new SlashCommandBuilder()
         .setName('eot')
@@ -717,12 +3478,15 @@ const commands = [
         .addUserOption(option =>
             option.setName('player')
                 .setDescription('Player who finished their turn (GM can specify, defaults to self)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('npc')
+                .setDescription('NPC who finished their turn (GM)')
                 .setRequired(false)),
 
     new SlashCommandBuilder()
         .setName('round')
-        .setDescription('Start new round - resets penalties and turn tracker (GM only)')
-        .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+        .setDescription('Start new round - resets penalties and turn tracker (GM only)'),
 
     new SlashCommandBuilder()
         .setName('turn')
@@ -730,6 +3494,10 @@ const commands = [
         .addUserOption(option =>
             option.setName('player')
                 .setDescription('Player to reset (default: yourself)')
+                .setRequired(false))
+        .addStringOption(option =>
+            option.setName('character')
+                .setDescription('Which of the player\'s characters (default: their active one)')
                 .setRequired(false)),
 
     new SlashCommandBuilder()
@@ -738,7 +3506,7 @@ const commands = [
 
     new SlashCommandBuilder()
         .setName('resetpenalty')
-        .setDescription('Reset penalties (defaults to both attack & cast for yourself)')
+        .setDescription('Reset penalties (defaults to both attack & cast for yourself, GM only)')
         .addStringOption(option =>
             option.setName('type')
                 .setDescription('Which penalty to reset (default: both)')
@@ -751,44 +3519,287 @@ const commands = [
         .addUserOption(option =>
             option.setName('player')
                 .setDescription('Player to reset (default: yourself)')
-                .setRequired(false))
-        .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
+                .setRequired(false)),
+
+    new SlashCommandBuilder()
+        .setName('clash')
+        .setDescription('Manage combat encounters')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('start')
+                .setDescription('Start a new encounter and post its live dashboard (GM only)')
+                .addBooleanOption(option =>
+                    option.setName('pin')
+                        .setDescription('Pin the dashboard in this channel (default: no)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('end')
+                .setDescription('End the current encounter (GM only)'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Add players and NPCs to the encounter')
+                .addStringOption(option =>
+                    option.setName('players')
+                        .setDescription('Players to add (mention: @player1 @player2, or leave empty for yourself)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('npcs')
+                        .setDescription('NPCs to add (comma-separated names, GM)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Remove players and NPCs from the encounter')
+                .addStringOption(option =>
+                    option.setName('players')
+                        .setDescription('Players to remove (mention: @player1 @player2)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('npcs')
+                        .setDescription('NPCs to remove (comma-separated names, GM)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List all combatants in the active encounter'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('init')
+                .setDescription('Show initiative order and whose turn it is'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('dashboard')
+                .setDescription('Move the live dashboard to this channel (GM only)')
+                .addBooleanOption(option =>
+                    option.setName('pin')
+                        .setDescription('Pin the dashboard in this channel (default: no)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('roll')
+                .setDescription('Roll initiative for combatants and set the turn order')
+                .addIntegerOption(option =>
+                    option.setName('dice')
+                        .setDescription('Initiative die size (default: 20)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(1000))
+                .addBooleanOption(option =>
+                    option.setName('reroll')
+                        .setDescription('Reroll combatants who already have initiative (GM, default: no)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('setinit')
+                .setDescription('Set a combatant\'s initiative value (GM)')
+                .addIntegerOption(option =>
+                    option.setName('value')
+                        .setDescription('Initiative value (higher goes first)')
+                        .setRequired(true))
+                .addUserOption(option =>
+                    option.setName('player')
+                        .setDescription('Player to set (default: yourself)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('npc')
+                        .setDescription('NPC to set instead of a player (GM)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('delay')
+                .setDescription('Delay the current turn until after another combatant')
+                .addUserOption(option =>
+                    option.setName('after_player')
+                        .setDescription('Act after this player (default: end of the round)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('after_npc')
+                        .setDescription('Act after this NPC (default: end of the round)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('ready')
+                .setDescription('Ready an action: hold the current turn until triggered'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('trigger')
+                .setDescription('A readied combatant acts now, interrupting the current turn')
+                .addUserOption(option =>
+                    option.setName('player')
+                        .setDescription('Readied player (default: yourself)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('npc')
+                        .setDescription('Readied NPC instead of a player (GM)')
+                        .setRequired(false))),
 
     new SlashCommandBuilder()
-        .setName('clash')
-        .setDescription('Manage combat encounters')
+        .setName('npc')
+        .setDescription('Manage NPC and monster stat blocks (GM only)')
         .addSubcommand(subcommand =>
             subcommand
-                .setName('start')
-                .setDescription('Start a new encounter (GM only)'))
+                .setName('create')
+                .setDescription('Create or update an NPC (refills all resources)')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('NPC name')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('hp')
+                        .setDescription('Max HP value')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('mp')
+                        .setDescription('Max MP value')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('armor')
+                        .setDescription('Max Armor value')
+                        .setRequired(true))
+                .addIntegerOption(option =>
+                    option.setName('barrier')
+                        .setDescription('Max Barrier value')
+                        .setRequired(true)))
         .addSubcommand(subcommand =>
             subcommand
-                .setName('end')
-                .setDescription('End the current encounter (GM only)'))
+                .setName('view')
+                .setDescription('View an NPC\'s stat block')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('NPC name')
+                        .setRequired(true)))
         .addSubcommand(subcommand =>
             subcommand
-                .setName('add')
-                .setDescription('Add players to the encounter')
+                .setName('list')
+                .setDescription('List all NPCs'))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('delete')
+                .setDescription('Delete an NPC')
                 .addStringOption(option =>
-                    option.setName('players')
-                        .setDescription('Players to add (mention: @player1 @player2, or leave empty for yourself)')
+                    option.setName('name')
+                        .setDescription('NPC name')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('action')
+                .setDescription('Save an attack/cast action for an NPC')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('NPC name')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('Action name (e.g., "claw", "fire_breath")')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('Action type')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'Attack', value: 'attack' },
+                            { name: 'Cast', value: 'cast' }
+                        ))
+                .addIntegerOption(option =>
+                    option.setName('dice1')
+                        .setDescription('First dice size (e.g., 10 for d10)')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('dice2')
+                        .setDescription('Second dice size (e.g., 8 for d8)')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('modifier')
+                        .setDescription('Damage modifier (default: 0)')
+                        .setRequired(false))
+                .addStringOption(option =>
+                    option.setName('expression')
+                        .setDescription('Dice expression instead of dice1/dice2 (e.g., 2d10kh1+@mod)')
+                        .setRequired(false))
+                .addIntegerOption(option =>
+                    option.setName('mpcost')
+                        .setDescription('For Cast only: base MP cost')
                         .setRequired(false)))
         .addSubcommand(subcommand =>
             subcommand
-                .setName('remove')
-                .setDescription('Remove players from the encounter')
+                .setName('attack')
+                .setDescription('Attack players with one of an NPC\'s saved actions')
                 .addStringOption(option =>
-                    option.setName('players')
-                        .setDescription('Players to remove (mention: @player1 @player2)')
+                    option.setName('name')
+                        .setDescription('NPC name')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('Saved action to use')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('targets')
+                        .setDescription('Target players (mention: @player1 @player2)')
+                        .setRequired(true))
+                .addStringOption(option =>
+                    option.setName('penalty')
+                        .setDescription('Optional penalty, by this server\'s /rules (no stacking)')
+                        .setRequired(false)
+                        .addChoices(...PENALTY_OPTIONS.map(penaltyChoice)))
+                .addStringOption(option =>
+                    option.setName('damage_type')
+                        .setDescription('Damage type (default: armor)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Armor', value: 'armor' },
+                            { name: 'Barrier', value: 'barrier' },
+                            { name: 'True Damage (HP)', value: 'true' }
+                        ))),
+
+    new SlashCommandBuilder()
+        .setName('character')
+        .setDescription('Manage your characters (alts, summons, other arcs)')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('create')
+                .setDescription('Create a new character and make it active')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Character name')
+                        .setRequired(true))
+                .addUserOption(option =>
+                    option.setName('player')
+                        .setDescription('Player to create the character for (leave empty for yourself)')
+                        .setRequired(false)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('switch')
+                .setDescription('Switch the active character')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Character to switch to')
+                        .setRequired(true))
+                .addUserOption(option =>
+                    option.setName('player')
+                        .setDescription('Player to switch (leave empty for yourself)')
                         .setRequired(false)))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('list')
-                .setDescription('List all combatants in the active encounter'))
+                .setDescription('List characters')
+                .addUserOption(option =>
+                    option.setName('player')
+                        .setDescription('Player whose characters to list (leave empty for yourself)')
+                        .setRequired(false)))
         .addSubcommand(subcommand =>
             subcommand
-                .setName('init')
-                .setDescription('Show initiative tracker (who has taken their turn)')),
+                .setName('retire')
+                .setDescription('Retire (delete) a character')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Character to retire')
+                        .setRequired(true))
+                .addUserOption(option =>
+                    option.setName('player')
+                        .setDescription('Player who owns the character (leave empty for yourself)')
+                        .setRequired(false))),
 
     new SlashCommandBuilder()
         .setName('guide')
@@ -798,7 +3809,32 @@ const commands = [
 // Register commands
 const rest = new REST({ version: '10' }).setToken(TOKEN);
 
-(async () => {
+// Quick-update command for a resource: /hp, /mp, ... or /<name> for a custom one
+function resourceCommand(resource) {
+    return new SlashCommandBuilder()
+        .setName(resource.name.toLowerCase())
+        .setDescription(`Update your ${resource.name} quickly`)
+        .addStringOption(option =>
+            option.setName('amount')
+                .setDescription('Amount to change (use "full" to max, "zero" to set 0)')
+                .setRequired(true));
+}
+
+// Register a guild's custom resource commands on that guild (the global
+// commands can't differ per guild). Returns false if Discord refused.
+async function registerResourceCommands(guildId) {
+    const body = customResources(getGuildState(guildId).settings.resources).map(resource => resourceCommand(resource).toJSON());
+    try {
+        await rest.put(Routes.applicationGuildCommands(CLIENT_ID, guildId), { body });
+        return true;
+    } catch (error) {
+        console.error(`❌ Error registering resource commands (guild ${guildId}):`, error);
+        return false;
+    }
+}
+
+// Register the global slash commands
+async function registerCommands() {
     try {
         console.log('Started refreshing application (/) commands.');
         await rest.put(
@@ -809,29 +3845,47 @@ const rest = new REST({ version: '10' }).setToken(TOKEN);
     } catch (error) {
         console.error(error);
     }
-})();
+}
 
 // Bot ready event
 client.once('ready', async () => {
     console.log(`Logged in as ${client.user.tag}!`);
     console.log('Resource Tracker Bot is online!');
-    
-    // Initialize database if using PostgreSQL
-    if (useDatabase) {
-        await initDatabase();
-    }
-    
+
     // Load existing data
     await loadData();
+    await claimLegacyData();
+
+    for (const [guildId, state] of guildStates) {
+        // Hits sent before the restart wait out the rest of their time
+        for (const attack of state.incomingAttacks.values()) armIncomingAttack(attack);
+        if (customResources(state.settings.resources).length > 0) await registerResourceCommands(guildId);
+        // Catch dashboards up on anything that changed while the bot was down
+        if (state.activeEncounter.dashboard) await updateDashboard(guildId);
+    }
 });
 
 // Handle slash commands
 client.on('interactionCreate', async interaction => {
     if (!interaction.isChatInputCommand()) return;
 
+    if (!interaction.inGuild()) {
+        await interaction.reply({ content: 'This bot only works inside a server.', ephemeral: true });
+        return;
+    }
+
     const { commandName } = interaction;
+    const guildId = interaction.guildId;
+    const { playerData, npcs, activeEncounter, settings, attackCounters, castCounters, attackPenalties, castPenalties, rng } = getGuildState(guildId);
 
     try {
+        // GM-only commands, and changes to another player's characters
+        const denial = permissionDenial(interaction);
+        if (denial) {
+            await refuse(interaction, denial);
+            return;
+        }
+
         if (commandName === 'set') {
             const player = interaction.options.getUser('player');
             const playerMember = await interaction.guild.members.fetch(player.id);
@@ -842,42 +3896,31 @@ client.on('interactionCreate', async interaction => {
             const newMaxArmor = interaction.options.getInteger('armor');
             const newMaxBarrier = interaction.options.getInteger('barrier');
 
-            initPlayer(player.id, playerMember.displayName, characterName);
-            const data = playerData.get(player.id);
-            
-            // Get current IP to preserve it
-            const currentIP = data.IP || 0;
-
-            // Update max values
-            data.maxHP = newMaxHP;
-            data.maxMP = newMaxMP;
-            data.maxIP = newMaxIP;
-            data.maxArmor = newMaxArmor;
-            data.maxBarrier = newMaxBarrier;
-
-            // Set HP, MP, Armor, and Barrier to new max, keep IP
-            data.HP = newMaxHP;
-            data.MP = newMaxMP;
-            data.IP = currentIP; // Preserve current IP
-            data.Armor = newMaxArmor; // Set to full
-            data.Barrier = newMaxBarrier; // Set to full
+            const data = initPlayer(guildId, player.id, playerMember.displayName, characterName);
+            const history = startHistory(interaction);
+            history.track(player.id, data);
+
+            // Built-in maxima come from the options, custom resources keep theirs.
+            // Preserved resources (IP by default) keep their value, even past a
+            // lowered max; the rest refill.
+            const newMax = { HP: newMaxHP, MP: newMaxMP, IP: newMaxIP, Armor: newMaxArmor, Barrier: newMaxBarrier };
+            for (const resource of settings.resources) {
+                if (isBuiltinResource(resource.name)) data[`max${resource.name}`] = newMax[resource.name];
+                if (resource.preserve) adjustResource(data, resource, 0);
+                else setResource(data, resource, data[`max${resource.name}`]);
+            }
 
             data.username = playerMember.displayName;
             data.characterName = characterName;
 
-            await saveCharacterSheet(player.id); // Only save MAX values to database
+            history.commit();
+            await saveData(guildId, { players: [player.id] });
 
             const embed = new EmbedBuilder()
                 .setColor(0x00FF00)
                 .setTitle(`✨ Max Resources Set for ${characterName}`)
-                .setDescription('HP, MP, Armor, and Barrier restored to max. IP preserved.')
-                .addFields(
-                    { name: `${RESOURCE_EMOJIS.HP} HP`, value: `${data.HP}/${data.maxHP}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.MP} MP`, value: `${data.MP}/${data.maxMP}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.IP} IP`, value: `${data.IP}/${data.maxIP}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.Armor} Armor`, value: `${data.Armor}/${data.maxArmor}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.Barrier} Barrier`, value: `${data.Barrier}/${data.maxBarrier}`, inline: true }
-                )
+                .setDescription(refillSummary(settings.resources.filter(r => !r.preserve), settings.resources.filter(r => r.preserve), 'restored to max', 'preserved'))
+                .addFields(...resourceFields(settings.resources, data))
                 .setTimestamp();
 
             await interaction.reply({ embeds: [embed] });
@@ -886,25 +3929,23 @@ client.on('interactionCreate', async interaction => {
             const player = interaction.options.getUser('player') || interaction.user;
             const playerMember = await interaction.guild.members.fetch(player.id);
             
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
+            const requestedCharacter = interaction.options.getString('character');
+            const data = resolveCharacter(guildId, player.id, playerMember.displayName, requestedCharacter);
+            if (!data) {
+                await interaction.reply({ content: `${player.username} has no character named **${requestedCharacter}**.`, ephemeral: true });
+                return;
+            }
 
             const embed = new EmbedBuilder()
                 .setColor(0x0099FF)
                 .setTitle(`${data.characterName}'s Resources`)
-                .addFields(
-                    { name: `${RESOURCE_EMOJIS.HP} HP`, value: `${data.HP}/${data.maxHP}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.MP} MP`, value: `${data.MP}/${data.maxMP}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.IP} IP`, value: `${data.IP}/${data.maxIP}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.Armor} Armor`, value: `${data.Armor}/${data.maxArmor}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.Barrier} Barrier`, value: `${data.Barrier}/${data.maxBarrier}`, inline: true }
-                )
+                .addFields(...resourceFields(settings.resources, data))
                 .setTimestamp();
 
             // Add status effects if any
             if (data.statusEffects && data.statusEffects.length > 0) {
                 const statusText = data.statusEffects
-                    .map(s => `**${s.name}** (${s.duration} turns)`)
+                    .map(statusLine)
                     .join('\n');
                 embed.addFields({ name: '🔮 Status Effects', value: statusText, inline: false });
             }
@@ -914,56 +3955,62 @@ client.on('interactionCreate', async interaction => {
         } else if (commandName === 'update') {
             const player = interaction.options.getUser('player') || interaction.user;
             const playerMember = await interaction.guild.members.fetch(player.id);
-            const resource = interaction.options.getString('resource');
+            const definition = findResource(settings.resources, interaction.options.getString('resource'));
             const amount = interaction.options.getInteger('amount');
+            if (!definition) {
+                await interaction.reply({ content: `Unknown resource. This server tracks ${nameList(settings.resources.map(r => r.name))}.`, ephemeral: true });
+                return;
+            }
+            const { name: resource, emoji } = definition;
+
+            const requestedCharacter = interaction.options.getString('character');
+            const data = resolveCharacter(guildId, player.id, playerMember.displayName, requestedCharacter);
+            if (!data) {
+                await interaction.reply({ content: `${player.username} has no character named **${requestedCharacter}**.`, ephemeral: true });
+                return;
+            }
 
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
+            const history = startHistory(interaction);
+            history.track(player.id, data);
             
-            const oldValue = data[resource];
+            const change = adjustResource(data, definition, amount);
             const maxValue = data[`max${resource}`];
-            data[resource] += amount;
-            const newValue = data[resource];
 
-            saveData(); // Save after modification
+            history.commit();
+            saveData(guildId, { players: [player.id] }); // Save after modification
 
             const embed = new EmbedBuilder()
                 .setColor(amount > 0 ? 0x00FF00 : 0xFF0000)
-                .setTitle(`${data.characterName}'s ${RESOURCE_EMOJIS[resource]} ${resource} Updated`)
-                .setDescription(`${oldValue} ${amount > 0 ? '+' : ''}${amount} = **${newValue}/${maxValue}**`)
+                .setTitle(`${data.characterName}'s ${emoji} ${resource} Updated`)
+                .setDescription(`${change.before} ${amount > 0 ? '+' : ''}${amount} = **${change.after}/${maxValue}**${clippedNote(change)}`)
                 .setTimestamp();
 
             await interaction.reply({ embeds: [embed] });
 
-        } else if (['hp', 'mp', 'ip', 'armor', 'barrier'].includes(commandName)) {
+        } else if (findResource(settings.resources, commandName)) {
+            // Quick update: /hp, /mp, ... and one per custom resource (see resourceCommand)
             const player = interaction.user;
             const playerMember = interaction.member;
-            const resourceLower = commandName;
-            // Map command names to proper resource names in data
-            const resourceMap = {
-                'hp': 'HP',
-                'mp': 'MP',
-                'ip': 'IP',
-                'armor': 'Armor',
-                'barrier': 'Barrier'
-            };
-            const resource = resourceMap[resourceLower];
+            const definition = findResource(settings.resources, commandName);
+            const { name: resource, emoji } = definition;
             const amountStr = interaction.options.getString('amount');
 
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
+            const data = initPlayer(guildId, player.id, playerMember.displayName);
+            const history = startHistory(interaction);
+            history.track(player.id, data);
 
             // Handle "full" command
             if (amountStr.toLowerCase() === 'full') {
                 const oldValue = data[resource];
                 const maxValue = data[`max${resource}`];
-                data[resource] = maxValue;
+                setResource(data, definition, maxValue);
 
-                saveData(); // Save after modification
+                history.commit();
+                saveData(guildId, { players: [player.id] }); // Save after modification
 
                 const embed = new EmbedBuilder()
                     .setColor(0x00FF00)
-                    .setTitle(`${data.characterName}'s ${RESOURCE_EMOJIS[resource]} ${resource} Restored!`)
+                    .setTitle(`${data.characterName}'s ${emoji} ${resource} Restored!`)
                     .setDescription(`${oldValue}/${maxValue} → **${maxValue}/${maxValue}**`)
                     .setTimestamp();
 
@@ -975,13 +4022,14 @@ client.on('interactionCreate', async interaction => {
             if (amountStr.toLowerCase() === 'zero') {
                 const oldValue = data[resource];
                 const maxValue = data[`max${resource}`];
-                data[resource] = 0;
+                setResource(data, definition, 0);
 
-                saveData(); // Save after modification
+                history.commit();
+                saveData(guildId, { players: [player.id] }); // Save after modification
 
                 const embed = new EmbedBuilder()
                     .setColor(0xFF0000)
-                    .setTitle(`${data.characterName}'s ${RESOURCE_EMOJIS[resource]} ${resource} Set to Zero`)
+                    .setTitle(`${data.characterName}'s ${emoji} ${resource} Set to Zero`)
                     .setDescription(`${oldValue}/${maxValue} → **0/${maxValue}**`)
                     .setTimestamp();
 
@@ -996,17 +4044,16 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
 
-            const oldValue = data[resource];
+            const change = adjustResource(data, definition, amount);
             const maxValue = data[`max${resource}`];
-            data[resource] += amount;
-            const newValue = data[resource];
 
-            saveData(); // Save after modification
+            history.commit();
+            saveData(guildId, { players: [player.id] }); // Save after modification
 
             const embed = new EmbedBuilder()
                 .setColor(amount > 0 ? 0x00FF00 : 0xFF0000)
-                .setTitle(`${data.characterName}'s ${RESOURCE_EMOJIS[resource]} ${resource} Updated`)
-                .setDescription(`${oldValue} ${amount > 0 ? '+' : ''}${amount} = **${newValue}/${maxValue}**`)
+                .setTitle(`${data.characterName}'s ${emoji} ${resource} Updated`)
+                .setDescription(`${change.before} ${amount > 0 ? '+' : ''}${amount} = **${change.after}/${maxValue}**${clippedNote(change)}`)
                 .setTimestamp();
 
             await interaction.reply({ embeds: [embed] });
@@ -1014,28 +4061,23 @@ client.on('interactionCreate', async interaction => {
         } else if (commandName === 'rest') {
             const player = interaction.user;
             const playerMember = interaction.member;
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
+            const data = initPlayer(guildId, player.id, playerMember.displayName);
+            const history = startHistory(interaction);
+            history.track(player.id, data);
 
-            data.HP = data.maxHP;
-            data.MP = data.maxMP;
-            // IP stays as is
-            data.Armor = data.maxArmor; // Set to full
-            data.Barrier = data.maxBarrier; // Set to full
+            // Refill what rests restore (everything but IP by default)
+            const refilled = settings.resources.filter(r => r.rest);
+            const kept = settings.resources.filter(r => !r.rest);
+            for (const resource of refilled) setResource(data, resource, data[`max${resource.name}`]);
 
-            saveData(); // Save after modification
+            history.commit();
+            saveData(guildId, { players: [player.id] }); // Save after modification
 
             const embed = new EmbedBuilder()
                 .setColor(0x00FF00)
                 .setTitle(`✨ ${data.characterName} Rested!`)
-                .setDescription('HP, MP, Armor, and Barrier fully restored. IP stays.')
-                .addFields(
-                    { name: `${RESOURCE_EMOJIS.HP} HP`, value: `${data.HP}/${data.maxHP}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.MP} MP`, value: `${data.MP}/${data.maxMP}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.IP} IP`, value: `${data.IP}/${data.maxIP}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.Armor} Armor`, value: `${data.Armor}/${data.maxArmor}`, inline: true },
-                    { name: `${RESOURCE_EMOJIS.Barrier} Barrier`, value: `${data.Barrier}/${data.maxBarrier}`, inline: true }
-                )
+                .setDescription(refillSummary(refilled, kept, 'fully restored', kept.length > 1 ? 'stay' : 'stays'))
+                .addFields(...resourceFields(settings.resources, data))
                 .setTimestamp();
 
             await interaction.reply({ embeds: [embed] });
@@ -1044,55 +4086,81 @@ client.on('interactionCreate', async interaction => {
             const subcommand = interaction.options.getSubcommand();
             
             if (subcommand === 'add') {
-                const player = interaction.options.getUser('player') || interaction.user;
-                const playerMember = player.id === interaction.user.id 
-                    ? interaction.member 
-                    : await interaction.guild.members.fetch(player.id);
                 const statusName = interaction.options.getString('name');
                 const duration = interaction.options.getInteger('duration');
+                const type = interaction.options.getString('type');
+                const amount = interaction.options.getInteger('amount');
+
+                // Build the status: plain label, or a typed effect with its numbers
+                const unit = interaction.options.getString('unit') || statusUnit({}, getGuildState(guildId).settings);
+                const status = { name: statusName, duration, unit };
+                if (type) {
+                    if (type !== 'stun' && (amount === null || amount === 0)) {
+                        await interaction.reply({ content: `A ${STATUS_TYPES[type].toLowerCase()} status needs a non-zero \`amount\`.`, ephemeral: true });
+                        return;
+                    }
+                    if ((type === 'dot' || type === 'regen') && amount < 0) {
+                        await interaction.reply({ content: 'Damage over time and regeneration amounts must be positive.', ephemeral: true });
+                        return;
+                    }
+                    status.type = type;
+                    if (type !== 'stun') status.amount = amount;
+                    if (type === 'dot') status.damageType = interaction.options.getString('damage_type') || 'true';
+                }
+                const effectText = statusEffectText(status);
+
+                const { data, combatantId, error } = await resolveTargetSheet(interaction);
+                if (!data) {
+                    await interaction.reply({ content: error, ephemeral: true });
+                    return;
+                }
 
-                initPlayer(player.id, playerMember.displayName);
-                const data = playerData.get(player.id);
+                const history = startHistory(interaction);
+                history.track(combatantId, data);
 
                 // Check if status already exists
                 const existingIndex = data.statusEffects.findIndex(s => s.name.toLowerCase() === statusName.toLowerCase());
                 
                 if (existingIndex !== -1) {
-                    // Update existing status duration
-                    data.statusEffects[existingIndex].duration = duration;
+                    // Replace the existing status (new duration and effect)
+                    data.statusEffects[existingIndex] = status;
                     
-                    saveData();
+                    history.commit();
+                    saveData(guildId, combatantChanges([combatantId]));
 
                     const embed = new EmbedBuilder()
                         .setColor(0xFFAA00)
                         .setTitle(`🔄 Status Updated`)
-                        .setDescription(`**${statusName}** on ${data.characterName} updated to ${duration} turns`)
+                        .setDescription(`**${statusName}** on ${data.characterName} updated to ${duration} ${unit}${effectText ? `\n${effectText}` : ''}`)
                         .setTimestamp();
 
                     await interaction.reply({ embeds: [embed] });
                 } else {
                     // Add new status
-                    data.statusEffects.push({ name: statusName, duration: duration });
+                    data.statusEffects.push(status);
 
-                    saveData();
+                    history.commit();
+                    saveData(guildId, combatantChanges([combatantId]));
 
                     const embed = new EmbedBuilder()
                         .setColor(0xFF6B6B)
                         .setTitle(`✨ Status Applied`)
-                        .setDescription(`**${statusName}** applied to ${data.characterName} for ${duration} turns`)
+                        .setDescription(`**${statusName}** applied to ${data.characterName} for ${duration} ${unit}${effectText ? `\n${effectText}` : ''}`)
                         .setTimestamp();
 
                     await interaction.reply({ embeds: [embed] });
                 }
             } else if (subcommand === 'clear') {
-                const player = interaction.options.getUser('player') || interaction.user;
-                const playerMember = player.id === interaction.user.id 
-                    ? interaction.member 
-                    : await interaction.guild.members.fetch(player.id);
                 const statusName = interaction.options.getString('name');
 
-                initPlayer(player.id, playerMember.displayName);
-                const data = playerData.get(player.id);
+                const { data, combatantId, error } = await resolveTargetSheet(interaction);
+                if (!data) {
+                    await interaction.reply({ content: error, ephemeral: true });
+                    return;
+                }
+
+                const history = startHistory(interaction);
+                history.track(combatantId, data);
 
                 const index = data.statusEffects.findIndex(s => s.name.toLowerCase() === statusName.toLowerCase());
 
@@ -1103,7 +4171,8 @@ client.on('interactionCreate', async interaction => {
 
                 data.statusEffects.splice(index, 1);
 
-                saveData();
+                history.commit();
+                saveData(guildId, combatantChanges([combatantId]));
 
                 const embed = new EmbedBuilder()
                     .setColor(0x00FF00)
@@ -1115,35 +4184,25 @@ client.on('interactionCreate', async interaction => {
             }
 
         } else if (commandName === 'tick') {
-            const player = interaction.options.getUser('player') || interaction.user;
-            const playerMember = player.id === interaction.user.id 
-                ? interaction.member 
-                : await interaction.guild.members.fetch(player.id);
-            
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
+            const { data, combatantId, error } = await resolveTargetSheet(interaction);
+            if (!data) {
+                await interaction.reply({ content: error, ephemeral: true });
+                return;
+            }
+
+            const history = startHistory(interaction);
+            history.track(combatantId, data);
 
             if (!data.statusEffects || data.statusEffects.length === 0) {
                 await interaction.reply({ content: `${data.characterName} has no status effects to tick.`, ephemeral: true });
                 return;
             }
 
-            const beforeCount = data.statusEffects.length;
-            
-            // Reduce all durations by 1
-            data.statusEffects.forEach(status => {
-                status.duration -= 1;
-            });
-
-            // Track expired statuses
-            const expired = data.statusEffects.filter(s => s.duration <= 0);
+            // Trigger damage over time / regeneration and reduce all durations by 1
+            const tick = tickStatusEffects(data, settings.resources);
 
-            // Remove statuses with duration <= 0
-            data.statusEffects = data.statusEffects.filter(s => s.duration > 0);
-            
-            const totalExpired = beforeCount - data.statusEffects.length;
-
-            saveData(); // Save after modification
+            history.commit();
+            saveData(guildId, combatantChanges([combatantId])); // Save after modification
 
             const embed = new EmbedBuilder()
                 .setColor(0x9B59B6)
@@ -1151,38 +4210,22 @@ client.on('interactionCreate', async interaction => {
                 .setDescription(`All your status effect durations reduced by 1`)
                 .setTimestamp();
 
-            if (expired.length > 0) {
-                const expiredText = expired.map(s => s.name).join(', ');
-                embed.addFields({ name: '💨 Expired Status Effects', value: expiredText, inline: false });
-            }
-
-            if (data.statusEffects.length > 0) {
-                const remainingText = data.statusEffects
-                    .map(s => `**${s.name}** (${s.duration} turns)`)
-                    .join('\n');
-                embed.addFields({ name: '🔮 Remaining Status Effects', value: remainingText, inline: false });
-            }
+            addTickFields(embed, data, tick);
 
-            embed.setFooter({ text: `${totalExpired} status effect(s) expired` });
+            embed.setFooter({ text: `${tick.expired.length} status effect(s) expired` });
 
             await interaction.reply({ embeds: [embed] });
 
         } else if (commandName === 'reset') {
             await interaction.deferReply();
 
+            const userIds = [...playerData.keys()];
+            const history = startHistory(interaction);
+            for (const [userId, record] of playerData) history.trackRecord('player', userId, playerLabel(record, userId));
             playerData.clear();
-            
-            // Clear database if using PostgreSQL
-            if (useDatabase) {
-                try {
-                    await pool.query('DELETE FROM players');
-                    console.log('✅ Cleared all players from database');
-                } catch (error) {
-                    console.error('❌ Error clearing database:', error);
-                }
-            }
-            
-            await saveData();
+            history.commit();
+
+            await saveData(guildId, { players: userIds });
             
             const embed = new EmbedBuilder()
                 .setColor(0xFF0000)
@@ -1200,13 +4243,16 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
 
-            const characterName = playerData.get(player.id).characterName;
-            await deletePlayer(player.id);
+            const label = playerLabel(playerData.get(player.id), player.username);
+            const history = startHistory(interaction);
+            history.trackRecord('player', player.id, label);
+            await deletePlayer(guildId, player.id);
+            history.commit();
 
             const embed = new EmbedBuilder()
                 .setColor(0xFF0000)
                 .setTitle('🗑️ Player Data Deleted')
-                .setDescription(`All data for ${characterName} has been removed.`)
+                .setDescription(`All data for ${label} has been removed.`)
                 .setTimestamp();
 
             await interaction.reply({ embeds: [embed] });
@@ -1215,13 +4261,13 @@ client.on('interactionCreate', async interaction => {
             const damageAmount = interaction.options.getInteger('amount');
             const damageType = interaction.options.getString('type');
             const playersInput = interaction.options.getString('players');
+            const npcKeys = parseNpcNames(interaction.options.getString('npcs'));
 
-            // Parse players from mentions or default to self
+            // Parse players from mentions or default to self (unless only NPCs were named)
             let targetPlayers = [];
             if (playersInput) {
-                const mentions = playersInput.match(/<@!?(\d+)>/g) || [];
-                targetPlayers = mentions.map(m => m.match(/<@!?(\d+)>/)[1]);
-            } else {
+                targetPlayers = mentionedUserIds(playersInput);
+            } else if (npcKeys.length === 0) {
                 targetPlayers = [interaction.user.id];
             }
 
@@ -1229,60 +4275,44 @@ client.on('interactionCreate', async interaction => {
             const isTrueDamage = damageType === 'true';
             const protectionResource = isTrueDamage ? null : (damageType === 'armor' ? 'Armor' : 'Barrier');
 
+            const history = startHistory(interaction);
+            const recordResult = (combatantId, name, data) => {
+                history.track(combatantId, data);
+                const { protectionUsed, hpLost, hp } = applyDamage(data, damageAmount, protectionResource, settings.resources);
+                results.push({
+                    name,
+                    protectionUsed,
+                    hpLost,
+                    hpClipped: clippedNote(hp),
+                    currentHP: data.HP,
+                    maxHP: data.maxHP,
+                    currentProtection: isTrueDamage ? null : data[protectionResource],
+                    maxProtection: isTrueDamage ? null : data[`max${protectionResource}`]
+                });
+            };
+
             for (const userId of targetPlayers) {
                 try {
                     const playerMember = await interaction.guild.members.fetch(userId);
-                    initPlayer(userId, playerMember.displayName);
-                    const data = playerData.get(userId);
-
-                    let protectionUsed = 0;
-                    let hpLost = 0;
-                    
-                    if (isTrueDamage) {
-                        // True damage - direct to HP
-                        hpLost = damageAmount;
-                        data.HP -= damageAmount;
-                    } else {
-                        // Normal damage - protection first
-                        let remainingDamage = damageAmount;
-                        
-                        // First, reduce protection (Armor or Barrier)
-                        if (data[protectionResource] > 0) {
-                            if (data[protectionResource] >= remainingDamage) {
-                                // Protection absorbs all damage
-                                protectionUsed = remainingDamage;
-                                data[protectionResource] -= remainingDamage;
-                                remainingDamage = 0;
-                            } else {
-                                // Protection absorbs some, rest goes to HP
-                                protectionUsed = data[protectionResource];
-                                remainingDamage -= data[protectionResource];
-                                data[protectionResource] = 0;
-                            }
-                        }
-
-                        // Apply remaining damage to HP
-                        if (remainingDamage > 0) {
-                            hpLost = remainingDamage;
-                            data.HP -= remainingDamage;
-                        }
-                    }
-
-                    results.push({
-                        name: data.characterName,
-                        protectionUsed,
-                        hpLost,
-                        currentHP: data.HP,
-                        maxHP: data.maxHP,
-                        currentProtection: isTrueDamage ? null : data[protectionResource],
-                        maxProtection: isTrueDamage ? null : data[`max${protectionResource}`]
-                    });
+                    const data = initPlayer(guildId, userId, playerMember.displayName);
+                    recordResult(userId, data.characterName, data);
                 } catch (error) {
                     console.error(`Error processing player ${userId}:`, error);
                 }
             }
 
-            saveData();
+            const unknownNpcs = [];
+            for (const npcKey of npcKeys) {
+                const npc = npcs.get(npcKey);
+                if (!npc) {
+                    unknownNpcs.push(npcKey);
+                    continue;
+                }
+                recordResult(npcCombatantId(npcKey), `👹 ${npc.characterName}`, npc);
+            }
+
+            history.commit();
+            saveData(guildId, { players: targetPlayers, npcs: npcKeys });
 
             const embed = new EmbedBuilder()
                 .setColor(0xFF0000)
@@ -1290,17 +4320,21 @@ client.on('interactionCreate', async interaction => {
                 .setDescription(isTrueDamage ? 'Type: True Damage (direct HP)' : `Type: ${protectionResource}`)
                 .setTimestamp();
 
+            if (unknownNpcs.length > 0) {
+                embed.setFooter({ text: `Unknown NPC(s): ${unknownNpcs.join(', ')}` });
+            }
+
             for (const result of results) {
                 if (isTrueDamage) {
                     embed.addFields({
                         name: `${result.name}`,
-                        value: `${RESOURCE_EMOJIS.HP} HP Damage: ${result.hpLost}\n${RESOURCE_EMOJIS.HP} HP: ${result.currentHP}/${result.maxHP}`,
+                        value: `${RESOURCE_EMOJIS.HP} HP Damage: ${result.hpLost}\n${RESOURCE_EMOJIS.HP} HP: ${result.currentHP}/${result.maxHP}${result.hpClipped}`,
                         inline: false
                     });
                 } else {
                     embed.addFields({
                         name: `${result.name}`,
-                        value: `${RESOURCE_EMOJIS[protectionResource]} Absorbed: ${result.protectionUsed} | ${RESOURCE_EMOJIS.HP} HP Damage: ${result.hpLost}\n${RESOURCE_EMOJIS.HP} HP: ${result.currentHP}/${result.maxHP} | ${RESOURCE_EMOJIS[protectionResource]} ${protectionResource}: ${result.currentProtection}/${result.maxProtection}`,
+                        value: `${RESOURCE_EMOJIS[protectionResource]} Absorbed: ${result.protectionUsed} | ${RESOURCE_EMOJIS.HP} HP Damage: ${result.hpLost}\n${RESOURCE_EMOJIS.HP} HP: ${result.currentHP}/${result.maxHP}${result.hpClipped} | ${RESOURCE_EMOJIS[protectionResource]} ${protectionResource}: ${result.currentProtection}/${result.maxProtection}`,
                         inline: false
                     });
                 }
@@ -1316,13 +4350,20 @@ client.on('interactionCreate', async interaction => {
             const player = interaction.user;
             const playerMember = interaction.member;
 
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
+            const data = initPlayer(guildId, player.id, playerMember.displayName);
             const characterName = data.characterName;
 
-            // Initialize penalty tracking if needed
-            if (!attackPenalties.has(player.id)) {
-                attackPenalties.set(player.id, { gate: 0, damageReduction: 0, blind: false });
+            const { targetId, error: targetError } = resolveAttackTarget(interaction);
+            if (targetError) {
+                await interaction.reply({ content: targetError, ephemeral: true });
+                return;
+            }
+            const damageType = interaction.options.getString('damage_type') || 'armor';
+            const targetSuffix = `${damageType}${targetId ? `_${targetId}` : ''}`;
+
+            if (manualPenalties && !settings.rules.penalties.includes(manualPenalties)) {
+                await interaction.reply({ content: `The ${penaltyLabel(manualPenalties, settings.rules)} penalty is turned off on this server (see \`/rules view\`).`, ephemeral: true });
+                return;
             }
 
             // Increment attack counter
@@ -1330,129 +4371,30 @@ client.on('interactionCreate', async interaction => {
             attackCounters.set(player.id, currentCount);
 
             // Get cumulative penalties
-            const penalties = attackPenalties.get(player.id);
+            const penalties = penaltiesFor(attackPenalties, player.id);
 
             // Check if needs penalty prompt (2nd+ attack without manual penalty)
-            if (currentCount >= 2 && !manualPenalties) {
+            if (needsPenaltyPrompt(currentCount, settings.rules) && !manualPenalties) {
                 // Show penalty selection buttons
-                const currentPenaltiesText = [];
-                if (penalties.gate > 0) currentPenaltiesText.push(`Gate +${penalties.gate}`);
-                if (penalties.damageReduction > 0) currentPenaltiesText.push(`Modifier -${penalties.damageReduction}%`);
-                if (penalties.blind) currentPenaltiesText.push(`Blind (Gate 3)`);
-                
-                const row = new ActionRowBuilder()
-                    .addComponents(
-                        new ButtonBuilder()
-                            .setCustomId(`penalty_attack_${player.id}_${dice1}_${dice2}_${modifier}_gate`)
-                            .setLabel('🎯 Gate +1')
-                            .setStyle(ButtonStyle.Primary),
-                        new ButtonBuilder()
-                            .setCustomId(`penalty_attack_${player.id}_${dice1}_${dice2}_${modifier}_damage50`)
-                            .setLabel('⚔️ -50% Modifier')
-                            .setStyle(ButtonStyle.Danger),
-                        new ButtonBuilder()
-                            .setCustomId(`penalty_attack_${player.id}_${dice1}_${dice2}_${modifier}_damage100`)
-                            .setLabel('⚔️ No Modifier')
-                            .setStyle(ButtonStyle.Danger),
-                        new ButtonBuilder()
-                            .setCustomId(`penalty_attack_${player.id}_${dice1}_${dice2}_${modifier}_blind`)
-                            .setLabel('👁️ Blind (Gate 3)')
-                            .setStyle(ButtonStyle.Secondary)
-                            .setDisabled(penalties.blind) // Can only apply once
-                    );
-
-                let description = `**${characterName}**, choose ONE penalty to ADD:`;
-                if (currentPenaltiesText.length > 0) {
-                    description += `\n\n**Current Penalties:** ${currentPenaltiesText.join(', ')}`;
-                }
-
-                const embed = new EmbedBuilder()
-                    .setColor(0xFFAA00)
-                    .setTitle(`⚠️ Multi-Attack Penalty (${currentCount}${currentCount === 2 ? 'nd' : currentCount === 3 ? 'rd' : 'th'} Attack)`)
-                    .setDescription(description)
-                    .addFields(
-                        { name: '🎯 Gate +1', value: 'Adds +1 to gate (cumulative)', inline: true },
-                        { name: '⚔️ -50% Modifier', value: 'Reduces modifier by 50%', inline: true },
-                        { name: '⚔️ No Modifier', value: 'Removes all modifier', inline: true },
-                        { name: '👁️ Blind', value: 'Sets gate to 3 (max, once only)', inline: true }
-                    )
-                    .setFooter({ text: `Attack #${currentCount} • Penalties are cumulative` })
-                    .setTimestamp();
-
-                await interaction.reply({ embeds: [embed], components: [row] });
+                await interaction.reply(penaltyPrompt({
+                    description: `**${characterName}**, choose ONE penalty to ADD:`,
+                    currentCount,
+                    penalties,
+                    rules: settings.rules,
+                    idPrefix: `penalty_attack_${player.id}_${currentCount}_${dice1}_${dice2}_${modifier}`,
+                    idSuffix: targetSuffix
+                }));
+                saveData(guildId, { encounter: true });
                 return;
             }
 
             // Apply manual penalty if provided
-            if (manualPenalties) {
-                if (manualPenalties === 'gate') {
-                    penalties.gate += 1;
-                } else if (manualPenalties === 'damage50') {
-                    penalties.damageReduction += 50;
-                } else if (manualPenalties === 'damage100') {
-                    penalties.damageReduction += 100;
-                } else if (manualPenalties === 'blind') {
-                    penalties.blind = true;
-                }
-            }
-
-            // Calculate final gate (blind sets to 3, otherwise 1 + gate penalties)
-            const gate = penalties.blind ? 3 : (1 + penalties.gate);
-            const damageMultiplier = Math.max(0, 1 - (penalties.damageReduction / 100));
-            const finalModifier = Math.floor(modifier * damageMultiplier);
-
-            // Build penalty text
-            const penaltyTexts = [];
-            if (penalties.blind) penaltyTexts.push(`Blind (Gate 3)`);
-            else if (penalties.gate > 0) penaltyTexts.push(`Gate +${penalties.gate}`);
-            if (penalties.damageReduction > 0) penaltyTexts.push(`Modifier -${penalties.damageReduction}%`);
-            const penaltyText = penaltyTexts.length > 0 ? penaltyTexts.join(', ') : 'None';
-
-            // Roll the dice
-            const roll1 = Math.floor(Math.random() * dice1) + 1;
-            const roll2 = Math.floor(Math.random() * dice2) + 1;
-            const total = roll1 + roll2;
-            const highRoll = Math.max(roll1, roll2);
-            const damage = highRoll + finalModifier;
-
-            // Determine hit/miss/fumble/crit
-            const isFumble = roll1 === 1 && roll2 === 1;
-            const isCrit = !isFumble && roll1 === roll2 && roll1 > 5;
-            const isHit = isFumble ? false : isCrit ? true : (roll1 > gate && roll2 > gate);
-
-            // Build result text
-            let resultText = `> **${characterName}** ⚔️ (Attack #${currentCount})\n`;
-            if (penaltyText !== 'None') resultText += `> *Penalties: ${penaltyText}*\n`;
-            resultText += `> \n`;
-            resultText += `> d${dice1}: **${roll1}**  |  d${dice2}: **${roll2}**\n`;
-            resultText += `> Total: ${total}  •  Gate: ≤${gate}\n`;
-            resultText += `> \n`;
-            resultText += `> HighRoll = **${highRoll}**\n`;
-            if (penalties.damageReduction > 0) {
-                resultText += `> Original: HR + ${modifier}\n`;
-                resultText += `> Penalized: HR + ${finalModifier} = **${damage} damage**\n`;
-            } else {
-                resultText += `> HR + ${finalModifier} = **${damage} damage**\n`;
-            }
-            resultText += `> \n`;
-            
-            if (isFumble) {
-                resultText += `> 💀 **FUMBLE!** (Auto-Fail)`;
-            } else if (isCrit) {
-                resultText += `> ⭐ **CRITICAL!** (Auto-Success)`;
-            } else if (isHit) {
-                resultText += `> ✅ **HIT** (Both dice > ${gate})`;
-            } else {
-                resultText += `> ❌ **MISS** (At least one die ≤ ${gate})`;
-            }
-
-            const embed = new EmbedBuilder()
-                .setColor(isFumble ? 0x800000 : isCrit ? 0xFFD700 : isHit ? 0x00FF00 : 0xFF0000)
-                .setTitle(`🎲 Attack Roll`)
-                .setDescription(resultText)
-                .setTimestamp();
+            if (manualPenalties) applyPenalty(penalties, manualPenalties, settings.rules);
+            saveData(guildId, { encounter: true });
 
-            await interaction.reply({ embeds: [embed] });
+            const { embed, resolution } = rollAction(guildId, data, { kind: 'attack', dice1, dice2, modifier, penalties, count: currentCount });
+            await interaction.reply(attackRollReply(interaction, embed, { ...resolution, damageType, targetId }));
+            await watchIncomingAttack(interaction);
 
         } else if (commandName === 'cast') {
             const dice1 = interaction.options.getInteger('dice1');
@@ -1462,87 +4404,58 @@ client.on('interactionCreate', async interaction => {
             const player = interaction.user;
             const playerMember = interaction.member;
 
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
-            const characterName = data.characterName;
-
-            // Increment cast counter
-            const currentCount = (castCounters.get(player.id) || 0) + 1;
-            castCounters.set(player.id, currentCount);
+            const baseCost = interaction.options.getInteger('mpcost') || 0;
+            const overdraw = interaction.options.getBoolean('overdraw') || false;
 
-            // Calculate MP penalty text only (no auto reduction)
-            let mpPenaltyText = '';
-            if (currentCount === 2) {
-                mpPenaltyText = 'Multi-Cast Penalty: Extra 10 MP';
-            } else if (currentCount >= 3) {
-                mpPenaltyText = 'Multi-Cast Penalty: Extra 20 MP';
-            }
-
-            // Apply manual penalties only
-            let gate = 1;
-            let finalModifier = modifier;
-            let penaltyText = '';
-
-            if (manualPenalties) {
-                if (manualPenalties === 'gate') {
-                    gate = 2;
-                    penaltyText = 'Gate +1';
-                } else if (manualPenalties === 'damage50') {
-                    finalModifier = Math.floor(modifier / 2);
-                    penaltyText = 'Damage -50%';
-                } else if (manualPenalties === 'damage100') {
-                    finalModifier = 0;
-                    penaltyText = 'Damage -100%';
-                }
+            if (manualPenalties && !settings.rules.penalties.includes(manualPenalties)) {
+                await interaction.reply({ content: `The ${penaltyLabel(manualPenalties, settings.rules)} penalty is turned off on this server (see \`/rules view\`).`, ephemeral: true });
+                return;
             }
 
-            // Roll the dice
-            const roll1 = Math.floor(Math.random() * dice1) + 1;
-            const roll2 = Math.floor(Math.random() * dice2) + 1;
-            const total = roll1 + roll2;
-            const highRoll = Math.max(roll1, roll2);
-            const damage = highRoll + finalModifier;
-
-            // Determine hit/miss/fumble/crit
-            const isFumble = roll1 === 1 && roll2 === 1;
-            const isCrit = !isFumble && roll1 === roll2 && roll1 > 5;
-            const isHit = isFumble ? false : isCrit ? true : (roll1 > gate && roll2 > gate);
+            const data = initPlayer(guildId, player.id, playerMember.displayName);
 
-            // Build result text
-            let resultText = `> **${characterName}** ✨ (Cast #${currentCount})\n`;
-            if (mpPenaltyText) resultText += `> *${mpPenaltyText}*\n`;
-            if (penaltyText) resultText += `> *Penalty: ${penaltyText}*\n`;
-            resultText += `> \n`;
-            resultText += `> d${dice1}: **${roll1}**  |  d${dice2}: **${roll2}**\n`;
-            resultText += `> Total: ${total}  •  Gate: ≤${gate}\n`;
-            resultText += `> \n`;
-            resultText += `> HighRoll = **${highRoll}**\n`;
-            if (penaltyText.includes('Damage')) {
-                resultText += `> Original: HR + ${modifier}\n`;
-                resultText += `> Penalized: HR + ${finalModifier} = **${damage} damage**\n`;
-            } else {
-                resultText += `> HR + ${finalModifier} = **${damage} damage**\n`;
+            const { targetId, error: targetError } = resolveAttackTarget(interaction);
+            if (targetError) {
+                await interaction.reply({ content: targetError, ephemeral: true });
+                return;
             }
-            resultText += `> \n`;
-            
-            if (isFumble) {
-                resultText += `> 💀 **FUMBLE!** (Auto-Fail)`;
-            } else if (isCrit) {
-                resultText += `> ⭐ **CRITICAL!** (Auto-Success)`;
-            } else if (isHit) {
-                resultText += `> ✅ **HIT** (Both dice > ${gate})`;
-            } else {
-                resultText += `> ❌ **MISS** (At least one die ≤ ${gate})`;
+            const damageType = interaction.options.getString('damage_type') || 'armor';
+
+            // Work out the MP cost before counting the cast
+            const currentCount = (castCounters.get(player.id) || 0) + 1;
+            const { surcharge, total: mpCost } = castCost(baseCost, currentCount, settings.rules);
+
+            if (data.MP < mpCost && !overdraw) {
+                await interaction.reply({ content: notEnoughMpMessage(data, baseCost, surcharge), ephemeral: true });
+                return;
             }
 
-            const embed = new EmbedBuilder()
-                .setColor(isFumble ? 0x800000 : isCrit ? 0xFFD700 : isHit ? 0x00FF00 : 0xFF0000)
-                .setTitle(`🎲 Cast Roll`)
-                .setDescription(resultText)
-                .setFooter({ text: `${RESOURCE_EMOJIS.MP} MP: ${data.MP}/${data.maxMP}` })
-                .setTimestamp();
+            castCounters.set(player.id, currentCount);
 
-            await interaction.reply({ embeds: [embed] });
+            // Pay the MP
+            const history = startHistory(interaction);
+            history.track(player.id, data);
+            const mp = payResource(data, findResource(settings.resources, 'MP'), mpCost);
+            history.commit();
+
+            // Manual penalties stack over the round's casts, like attack penalties
+            const penalties = penaltiesFor(castPenalties, player.id);
+            if (manualPenalties) applyPenalty(penalties, manualPenalties, settings.rules);
+            saveData(guildId, { players: [player.id], encounter: true });
+
+            const { embed, resolution } = rollAction(guildId, data, {
+                kind: 'cast',
+                dice1,
+                dice2,
+                modifier,
+                penalties,
+                count: currentCount,
+                notes: castNotes(data, { mp, mpCost, surcharge })
+            });
+            embed.setFooter({ text: `${RESOURCE_EMOJIS.MP} MP: ${mp.before} → ${data.MP}/${data.maxMP} | Cost: ${mpCost} MP` });
+
+            await interaction.reply(attackRollReply(interaction, embed, { ...resolution, damageType, targetId }));
+            await watchIncomingAttack(interaction);
 
         } else if (commandName === 'check') {
             const dice1 = interaction.options.getInteger('dice1');
@@ -1553,19 +4466,22 @@ client.on('interactionCreate', async interaction => {
                 ? interaction.member 
                 : await interaction.guild.members.fetch(player.id);
 
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
+            const requestedCharacter = interaction.options.getString('character');
+            const data = resolveCharacter(guildId, player.id, playerMember.displayName, requestedCharacter);
+            if (!data) {
+                await interaction.reply({ content: `${player.username} has no character named **${requestedCharacter}**.`, ephemeral: true });
+                return;
+            }
             const characterName = data.characterName;
 
-            // Roll the dice
-            const roll1 = Math.floor(Math.random() * dice1) + 1;
-            const roll2 = Math.floor(Math.random() * dice2) + 1;
+            // Roll the dice (a check changes nothing else, so only the rng position is saved)
+            const roll = rollTwoDice(dice1, dice2, rng.random);
+            saveData(guildId, { rng: true });
+            const [roll1, roll2] = roll.dice.map(die => die.value);
             const total = roll1 + roll2;
 
             // Determine success/fail/fumble/crit
-            const isFumble = roll1 === 1 && roll2 === 1;
-            const isCrit = !isFumble && roll1 === roll2 && roll1 > 5;
-            const isSuccess = isFumble ? false : isCrit ? true : (roll1 > gate && roll2 > gate);
+            const { isFumble, isCrit, isHit: isSuccess } = judgeRoll(roll, { gate, critAbove: settings.rules.critAbove });
 
             // Build result text
             let resultText = `> **${characterName}** 🎲\n`;
@@ -1592,6 +4508,63 @@ client.on('interactionCreate', async interaction => {
 
             await interaction.reply({ embeds: [embed] });
 
+        } else if (commandName === 'roll') {
+            const expression = interaction.options.getString('expression');
+            const gate = interaction.options.getInteger('gate');
+            const modifier = interaction.options.getInteger('modifier') || 0;
+            const player = interaction.options.getUser('player') || interaction.user;
+            const playerMember = player.id === interaction.user.id 
+                ? interaction.member 
+                : await interaction.guild.members.fetch(player.id);
+
+            const requestedCharacter = interaction.options.getString('character');
+            const data = resolveCharacter(guildId, player.id, playerMember.displayName, requestedCharacter);
+            if (!data) {
+                await interaction.reply({ content: `${player.username} has no character named **${requestedCharacter}**.`, ephemeral: true });
+                return;
+            }
+
+            const roll = rollExpression(expression, { variables: { ...sheetVariables(data, settings.resources), mod: modifier }, random: rng.random });
+            saveData(guildId, { rng: true }); // The rng position is all a roll changes
+            if (roll.error) {
+                await interaction.reply({ content: `Couldn't roll \`${expression}\`: ${roll.error}`, ephemeral: true });
+                return;
+            }
+
+            // Huge rolls would overflow the embed, so cut the breakdown short
+            const breakdown = roll.text.length > 3000 ? `${roll.text.slice(0, 3000)}…` : roll.text;
+
+            let resultText = `> **${data.characterName}** 🎲\n`;
+            resultText += `> \n`;
+            resultText += `> \`${roll.expression}\`: ${breakdown}\n`;
+            resultText += `> Total = **${roll.total}**\n`;
+
+            let color = 0x0099FF;
+            if (gate !== null) {
+                const { isFumble, isCrit, isHit: isSuccess } = judgeRoll(roll, { gate, critAbove: settings.rules.critAbove });
+                resultText += `> Gate: ≤${gate}\n`;
+                resultText += `> \n`;
+
+                if (isFumble) {
+                    resultText += `> 💀 **FUMBLE!** (Auto-Fail)`;
+                } else if (isCrit) {
+                    resultText += `> ⭐ **CRITICAL SUCCESS!** (Auto-Success)`;
+                } else if (isSuccess) {
+                    resultText += `> ✅ **SUCCESS** (All dice > ${gate})`;
+                } else {
+                    resultText += `> ❌ **FAIL** (At least one die ≤ ${gate})`;
+                }
+                color = isFumble ? 0x800000 : isCrit ? 0xFFD700 : isSuccess ? 0x00FF00 : 0xFF0000;
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor(color)
+                .setTitle(`🎲 Roll`)
+                .setDescription(resultText)
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed] });
+
         } else if (commandName === 'round') {
             await interaction.deferReply();
 
@@ -1605,32 +4578,27 @@ client.on('interactionCreate', async interaction => {
                 return;
             }
 
-            // Reset attack and cast counters and penalties for all players
-            attackCounters.clear();
-            castCounters.clear();
-            attackPenalties.clear();
-            castPenalties.clear();
-            
-            // Reset turn tracking
-            activeEncounter.turnsTaken.clear();
+            const history = startHistory(interaction);
+            history.trackEncounter();
+            const { embed: roundEmbed, ticks: roundTicks } = beginRound(guildId, history);
+            const { nextTurn, embeds: turnEmbeds, ticks: turnTicks } = advanceTurn(guildId, history);
+            const ticks = [...roundTicks, ...turnTicks];
+            history.commit();
+            saveData(guildId, combatantChanges(ticks.map(t => t.combatantId), true));
 
             const mentions = [];
-            for (const userId of activeEncounter.combatants) {
-                mentions.push(`<@${userId}>`);
+            for (const combatantId of activeEncounter.combatants) {
+                if (!isNpcCombatant(combatantId)) mentions.push(`<@${combatantId}>`);
             }
 
-            const embed = new EmbedBuilder()
-                .setColor(0x00FF00)
-                .setTitle('🔄 New Round Started!')
-                .setDescription(`✅ Attack & Cast penalties reset\n✅ Turn tracker reset\n\nUse \`/clash list\` to see current stats`)
-                .setFooter({ text: 'Good luck in the new round!' })
-                .setTimestamp();
-
             await interaction.editReply({ 
-                content: mentions.join(' '),
-                embeds: [embed] 
+                content: `${mentions.join(' ')}\n${turnPing(guildId, nextTurn)}`,
+                embeds: [roundEmbed, ...turnEmbeds] 
             });
 
+            const announcement = expiryAnnouncement(ticks);
+            if (announcement) await interaction.followUp(announcement);
+
         } else if (commandName === 'turn') {
             await interaction.deferReply();
 
@@ -1639,11 +4607,20 @@ client.on('interactionCreate', async interaction => {
                 ? interaction.member 
                 : await interaction.guild.members.fetch(targetUser.id);
 
-            initPlayer(targetUser.id, targetMember.displayName);
-            const data = playerData.get(targetUser.id);
+            const requestedCharacter = interaction.options.getString('character');
+            const data = resolveCharacter(guildId, targetUser.id, targetMember.displayName, requestedCharacter);
+            if (!data) {
+                await interaction.editReply({ content: `${targetUser.username} has no character named **${requestedCharacter}**.` });
+                return;
+            }
+
+            const history = startHistory(interaction);
+            history.track(targetUser.id, data);
 
-            data.Armor = 0;
-            data.Barrier = 0;
+            for (const resource of ['Armor', 'Barrier']) setResource(data, findResource(settings.resources, resource), 0);
+
+            history.commit();
+            saveData(guildId, { players: [targetUser.id] });
 
             const embed = new EmbedBuilder()
                 .setColor(0xFF6B6B)
@@ -1657,98 +4634,556 @@ client.on('interactionCreate', async interaction => {
             const player = interaction.user;
             const playerMember = interaction.member;
 
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
+            const data = initPlayer(guildId, player.id, playerMember.displayName);
+
+            const history = startHistory(interaction);
+            history.track(player.id, data);
 
-            const oldArmor = data.Armor;
-            const oldBarrier = data.Barrier;
+            // Each goes up by its max, as far as its cap allows
+            const lines = ['Armor', 'Barrier'].map(resource => {
+                const change = adjustResource(data, findResource(settings.resources, resource), data[`max${resource}`]);
+                return `${RESOURCE_EMOJIS[resource]} ${resource}: ${change.before} +${data[`max${resource}`]} = ${change.after}${clippedNote(change)}`;
+            });
 
-            data.Armor += data.maxArmor;
-            data.Barrier += data.maxBarrier;
+            history.commit();
+            saveData(guildId, { players: [player.id] });
 
             const embed = new EmbedBuilder()
                 .setColor(0x00FF00)
                 .setTitle('🛡️ Defended!')
-                .setDescription(`**${data.characterName}** raised their guard!\n\n💥 Armor: ${oldArmor} +${data.maxArmor} = ${data.Armor}\n🛡️ Barrier: ${oldBarrier} +${data.maxBarrier} = ${data.Barrier}`)
+                .setDescription(`**${data.characterName}** raised their guard!\n\n${lines.join('\n')}`)
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed] });
+
+        } else if (commandName === 'resetpenalty') {
+            const type = interaction.options.getString('type') || 'both'; // Default to both
+            const player = interaction.options.getUser('player') || interaction.user; // Default to self
+
+            const playerMember = player.id === interaction.user.id 
+                ? interaction.member 
+                : await interaction.guild.members.fetch(player.id);
+            const data = initPlayer(guildId, player.id, playerMember.displayName);
+            const history = startHistory(interaction);
+            history.trackRecord('penalties', player.id, data.characterName);
+
+            // Reset based on type
+            if (type === 'attack' || type === 'both') {
+                attackCounters.delete(player.id);
+                attackPenalties.delete(player.id);
+            }
+            
+            if (type === 'cast' || type === 'both') {
+                castCounters.delete(player.id);
+                castPenalties.delete(player.id);
+            }
+            history.commit();
+            saveData(guildId, { encounter: true });
+
+            // Build description based on what was reset
+            let resetDescription;
+            if (type === 'both') {
+                resetDescription = `**${data.characterName}**'s attack and cast penalties have been reset to 0.`;
+            } else {
+                resetDescription = `**${data.characterName}**'s ${type} penalty and counter have been reset to 0.`;
+            }
+
+            const embed = new EmbedBuilder()
+                .setColor(0x00FF00)
+                .setTitle('✅ Penalty Reset')
+                .setDescription(resetDescription)
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed] });
+
+        } else if (commandName === 'viewall') {
+            if (playerData.size === 0) {
+                await interaction.reply('No player data available yet.');
+                return;
+            }
+
+            // Every character of every player, sorted alphabetically by character name
+            const sortedPlayers = Array.from(playerData.values())
+                .flatMap(player => Object.entries(player.characters)
+                    .map(([key, data]) => ({ data, active: key === player.activeCharacter })))
+                .sort((a, b) => a.data.characterName.localeCompare(b.data.characterName));
+
+            const embed = new EmbedBuilder()
+                .setColor(0x9B59B6)
+                .setTitle('📊 All Players - Resources Overview')
+                .setTimestamp();
+
+            for (const { data, active } of sortedPlayers) {
+                // Compact format like /clash list
+                let valueText = resourceLine(settings.resources, data);
+                
+                if (data.statusEffects && data.statusEffects.length > 0) {
+                    const statusText = data.statusEffects
+                        .map(s => `${s.name} (${s.duration})`)
+                        .join(', ');
+                    valueText += `\n🔮 ${statusText}`;
+                }
+
+                embed.addFields({
+                    name: active ? data.characterName : `${data.characterName} (inactive)`,
+                    value: valueText,
+                    inline: false
+                });
+            }
+
+            embed.setFooter({ text: `${sortedPlayers.length} character(s) total` });
+
+            await interaction.reply({ embeds: [embed] });
+        } else if (commandName === 'campaign') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'export') {
+                const campaign = exportCampaign(guildId);
+                const file = new AttachmentBuilder(Buffer.from(JSON.stringify(campaign, null, 2), 'utf8'), {
+                    name: `campaign-${interaction.guild.id}-${campaign.exportedAt.slice(0, 10)}.json`
+                });
+
+                const embed = new EmbedBuilder()
+                    .setColor(0x0099FF)
+                    .setTitle('📦 Campaign Exported')
+                    .setDescription(`${playerData.size} player(s), ${npcs.size} NPC(s)${activeEncounter.active ? ' and the active clash' : ''}.\nUse \`/campaign import\` to load this file again.`)
+                    .setFooter({ text: `Export format version ${CAMPAIGN_VERSION}` })
+                    .setTimestamp();
+
+                await interaction.reply({ embeds: [embed], files: [file], ephemeral: true });
+
+            } else if (subcommand === 'import') {
+                const attachment = interaction.options.getAttachment('file');
+                const mode = interaction.options.getString('mode') || 'merge';
+
+                await interaction.deferReply({ ephemeral: true });
+
+                if (attachment.size > 5 * 1024 * 1024) {
+                    await interaction.editReply({ content: 'That file is too large to be a campaign export.' });
+                    return;
+                }
+
+                let raw;
+                try {
+                    const response = await fetch(attachment.url);
+                    raw = JSON.parse(await response.text());
+                } catch (error) {
+                    await interaction.editReply({ content: 'Could not read that file. Make sure it\'s a .json file from `/campaign export`.' });
+                    return;
+                }
+
+                const { campaign, errors } = parseCampaign(raw, settings.resources);
+                if (errors) {
+                    const shown = errors.slice(0, 10).map(error => `• ${error}`).join('\n');
+                    const more = errors.length > 10 ? `\n...and ${errors.length - 10} more` : '';
+                    await interaction.editReply({ content: `❌ The file can't be imported:\n${shown}${more}` });
+                    return;
+                }
+
+                const importId = interaction.id;
+                pendingImports.set(importId, { guildId, userId: interaction.user.id, mode, campaign, expires: Date.now() + IMPORT_CONFIRM_MS });
+
+                const embed = new EmbedBuilder()
+                    .setColor(mode === 'replace' ? 0xFF0000 : 0xFFAA00)
+                    .setTitle(`📥 Import Preview (${mode})`)
+                    .setDescription(mode === 'replace'
+                        ? '⚠️ Everything on this server will be replaced by the file.'
+                        : 'Characters and NPCs in the file overwrite ones with the same name; everything else is kept.')
+                    .addFields(previewImport(guildId, campaign, mode))
+                    .setFooter({ text: 'Confirm within 10 minutes' })
+                    .setTimestamp();
+
+                const row = new ActionRowBuilder()
+                    .addComponents(
+                        new ButtonBuilder()
+                            .setCustomId(`campaign_confirm_${importId}`)
+                            .setLabel('Import')
+                            .setStyle(mode === 'replace' ? ButtonStyle.Danger : ButtonStyle.Success),
+                        new ButtonBuilder()
+                            .setCustomId(`campaign_cancel_${importId}`)
+                            .setLabel('Cancel')
+                            .setStyle(ButtonStyle.Secondary)
+                    );
+
+                await interaction.editReply({ embeds: [embed], components: [row] });
+            }
+
+        } else if (commandName === 'settings') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'statusticking') {
+                settings.statusTicking = interaction.options.getString('mode');
+                await saveData(guildId, { settings: true });
+            } else if (subcommand === 'gmrole') {
+                const role = interaction.options.getRole('role');
+                settings.gmRole = role ? role.id : null;
+                await saveData(guildId, { settings: true });
+            }
+
+            // A status keeps the unit it was added with; this picks the default
+            const tickingText = {
+                turn: 'Statuses count down at the end of each combatant\'s turn. New statuses count **turns** unless `/status add` sets `unit:`.',
+                round: 'Statuses count down at the start of each round. New statuses count **rounds** unless `/status add` sets `unit:`.',
+                off: 'Off - statuses only count down with `/tick`.'
+            };
+
+            const embed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTitle(subcommand === 'view' ? '⚙️ Server Settings' : '✅ Settings Updated')
+                .addFields(
+                    {
+                        name: '⏰ Status ticking',
+                        value: tickingText[settings.statusTicking],
+                        inline: false
+                    },
+                    {
+                        name: '🎩 GM role',
+                        value: settings.gmRole
+                            ? `<@&${settings.gmRole}>. Only its members (and administrators) can run GM commands or change other players' characters.`
+                            : 'Not set - members with Manage Messages are GMs.',
+                        inline: false
+                    }
+                )
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed] });
+
+        } else if (commandName === 'rng') {
+            const subcommand = interaction.options.getSubcommand();
+            const state = getGuildState(guildId);
+
+            const seedSource = current => current.chosen ? 'Chosen by the GM (reproducible playtest)' : 'Random, kept secret until `/rng reveal`';
+            const embed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTimestamp();
+
+            if (subcommand === 'status') {
+                embed
+                    .setTitle('🎲 Dice RNG')
+                    .addFields(
+                        { name: 'Seed hash (SHA-256)', value: `\`${state.rng.commitment}\``, inline: false },
+                        { name: 'Seed', value: seedSource(state.rng), inline: true },
+                        { name: 'Draws so far', value: `${state.rng.draws}`, inline: true }
+                    )
+                    .setFooter({ text: `Seed started ${state.rng.startedAt}` });
+
+            } else if (subcommand === 'seed') {
+                state.rng = createRng(interaction.options.getString('value'));
+                saveData(guildId, { rng: true });
+                embed
+                    .setColor(0x00FF00)
+                    .setTitle('🎲 New Seed')
+                    .setDescription('Every roll from now on draws from this seed. Keep the hash: once the seed is revealed, anyone can check it and replay the rolls.')
+                    .addFields(
+                        { name: 'Seed hash (SHA-256)', value: `\`${state.rng.commitment}\``, inline: false },
+                        { name: 'Seed', value: seedSource(state.rng), inline: false }
+                    );
+
+            } else if (subcommand === 'reveal') {
+                const revealed = state.rng;
+                state.rng = createRng();
+                saveData(guildId, { rng: true });
+                embed
+                    .setColor(0xFFD700)
+                    .setTitle('🔓 Seed Revealed')
+                    .setDescription(`Draw *n* (counting from 0) is the first 6 bytes of HMAC-SHA256(seed, "n") ÷ 2⁴⁸; a d*S* shows ⌊draw × *S*⌋ + 1.`)
+                    .addFields(
+                        { name: 'Seed', value: `\`${revealed.seed}\``, inline: false },
+                        { name: 'Seed hash (SHA-256)', value: `\`${revealed.commitment}\``, inline: false },
+                        { name: 'Draws', value: `${revealed.draws} since ${revealed.startedAt}`, inline: false },
+                        { name: 'Next seed hash', value: `\`${state.rng.commitment}\``, inline: false }
+                    );
+
+            } else if (subcommand === 'verify') {
+                const matches = seedCommitment(interaction.options.getString('seed')) === interaction.options.getString('hash').trim().toLowerCase();
+                embed
+                    .setColor(matches ? 0x00FF00 : 0xFF0000)
+                    .setTitle(matches ? '✅ Seed Verified' : '❌ Seed Does Not Match')
+                    .setDescription(matches
+                        ? 'This seed is the one that was committed to, so its rolls can be replayed.'
+                        : 'The SHA-256 of this seed is not the published hash.');
+            }
+
+            await interaction.reply({ embeds: [embed] });
+
+        } else if (commandName === 'rules') {
+            const subcommand = interaction.options.getSubcommand();
+
+            let title = '📜 Game Rules';
+            if (subcommand === 'set') {
+                const rule = interaction.options.getString('rule');
+                const value = interaction.options.getInteger('value');
+                const error = ruleError(rule, value);
+                if (error) {
+                    await interaction.reply({ content: error, ephemeral: true });
+                    return;
+                }
+                settings.rules[rule] = value;
+                title = '✅ Rule Updated';
+
+            } else if (subcommand === 'penalty') {
+                const option = interaction.options.getString('option');
+                const enabled = interaction.options.getBoolean('enabled');
+                settings.rules.penalties = PENALTY_OPTIONS.filter(known => known === option ? enabled : settings.rules.penalties.includes(known));
+                title = '✅ Rule Updated';
+
+            } else if (subcommand === 'reset') {
+                settings.rules = createRules();
+                title = '✅ Rules Reset';
+            }
+            if (subcommand !== 'view') await saveData(guildId, { settings: true });
+
+            const { rules } = settings;
+            const ruleLines = Object.entries(RULES)
+                .map(([name, rule]) => `**${rule.description}**: ${rules[name]}${rules[name] === rule.default ? '' : ` *(default ${rule.default})*`}`);
+            const penaltyLines = PENALTY_OPTIONS
+                .map(option => `${rules.penalties.includes(option) ? '✅' : '⬜'} ${penaltyLabel(option, rules)}`);
+
+            const embed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTitle(title)
+                .addFields(
+                    { name: '🎲 Numbers', value: ruleLines.join('\n'), inline: false },
+                    { name: '⚠️ Multi-attack penalty options', value: penaltyLines.join('\n'), inline: false }
+                )
+                .setFooter({ text: 'GMs change these with /rules set, /rules penalty and /rules reset' })
+                .setTimestamp();
+
+            await interaction.reply({ embeds: [embed] });
+
+        } else if (commandName === 'resource') {
+            const subcommand = interaction.options.getSubcommand();
+
+            const { resources } = settings;
+            const sheets = [...playerData].flatMap(([userId, player]) => Object.values(player.characters).map(data => ({ userId, data })));
+            const characters = sheets.map(sheet => sheet.data);
+            let title = '📦 Resources';
+            let commandsChanged = false;
+
+            if (subcommand === 'add') {
+                const name = interaction.options.getString('name').trim();
+                const emoji = interaction.options.getString('emoji').trim();
+                const max = interaction.options.getInteger('max');
+                const floor = interaction.options.getInteger('floor') ?? 0;
+                const overheal = interaction.options.getInteger('overheal') ?? 0;
+                const error = customResources(resources).length >= MAX_CUSTOM_RESOURCES
+                    ? `A server can have at most ${MAX_CUSTOM_RESOURCES} custom resources.`
+                    : resourceNameError(name, resources, commands.map(command => command.name)) || resourceEmojiError(emoji) || resourceMaxError(max) || floorError(floor) || overhealError(overheal);
+                if (error) {
+                    await interaction.reply({ content: error, ephemeral: true });
+                    return;
+                }
+
+                resources.push({
+                    name,
+                    emoji,
+                    max,
+                    rest: interaction.options.getBoolean('rest') ?? true,
+                    preserve: interaction.options.getBoolean('preserve') ?? false,
+                    floor,
+                    overheal
+                });
+                // Every existing character starts with it full
+                for (const data of characters) fillResources(data, resources);
+                title = `✅ Added ${emoji} ${name}`;
+                commandsChanged = true;
+
+            } else if (subcommand === 'edit' || subcommand === 'remove') {
+                const name = interaction.options.getString('name');
+                const resource = findResource(resources, name);
+                if (!resource) {
+                    await interaction.reply({ content: `No resource named **${name}**. Use \`/resource list\` to see them.`, ephemeral: true });
+                    return;
+                }
+                const builtin = isBuiltinResource(resource.name);
+
+                if (subcommand === 'remove') {
+                    if (builtin) {
+                        await interaction.reply({ content: `**${resource.name}** is built in and can't be removed.`, ephemeral: true });
+                        return;
+                    }
+                    settings.resources = resources.filter(other => other !== resource);
+                    for (const data of characters) {
+                        delete data[resource.name];
+                        delete data[`max${resource.name}`];
+                    }
+                    title = `🗑️ Removed ${resource.emoji} ${resource.name}`;
+                    commandsChanged = true;
+
+                } else {
+                    const emoji = interaction.options.getString('emoji');
+                    const max = interaction.options.getInteger('max');
+                    const rest = interaction.options.getBoolean('rest');
+                    const preserve = interaction.options.getBoolean('preserve');
+                    const floor = interaction.options.getInteger('floor');
+                    const overheal = interaction.options.getInteger('overheal');
+                    if (builtin && (emoji !== null || max !== null)) {
+                        await interaction.reply({ content: `**${resource.name}** is built in: only \`rest\`, \`preserve\`, \`floor\` and \`overheal\` can change. Its max is set per character with \`/set\`.`, ephemeral: true });
+                        return;
+                    }
+                    const error = (emoji !== null && resourceEmojiError(emoji.trim())) || (max !== null && resourceMaxError(max))
+                        || (floor !== null && floorError(floor)) || (overheal !== null && overhealError(overheal));
+                    if (error) {
+                        await interaction.reply({ content: error, ephemeral: true });
+                        return;
+                    }
+
+                    if (emoji !== null) resource.emoji = emoji.trim();
+                    if (max !== null) {
+                        resource.max = max;
+                        const history = startHistory(interaction);
+                        for (const { userId, data } of sheets) {
+                            history.track(userId, data);
+                            data[`max${resource.name}`] = max;
+                        }
+                        history.commit();
+                    }
+                    if (rest !== null) resource.rest = rest;
+                    if (preserve !== null) resource.preserve = preserve;
+                    if (floor !== null) resource.floor = floor;
+                    if (overheal !== null) resource.overheal = overheal;
+                    title = `✅ Updated ${resource.emoji} ${resource.name}`;
+                }
+            }
+            if (subcommand !== 'list') await saveData(guildId, { players: [...playerData.keys()], settings: true });
+
+            const lines = settings.resources.map(resource => {
+                const max = isBuiltinResource(resource.name) ? 'max set with /set' : `max ${resource.max}`;
+                return `${resource.emoji} **${resource.name}** \`/${resource.name.toLowerCase()}\` - ${max}, ${resourceBehaviour(resource)}`;
+            });
+
+            const embed = new EmbedBuilder()
+                .setColor(0x0099FF)
+                .setTitle(title)
+                .setDescription(lines.join('\n'))
+                .setFooter({ text: `GMs change these with /resource add, edit and remove (up to ${MAX_CUSTOM_RESOURCES} custom)` })
                 .setTimestamp();
 
             await interaction.reply({ embeds: [embed] });
 
-        } else if (commandName === 'resetpenalty') {
-            const type = interaction.options.getString('type') || 'both'; // Default to both
-            const player = interaction.options.getUser('player') || interaction.user; // Default to self
+            if (commandsChanged && !(await registerResourceCommands(guildId))) {
+                await interaction.followUp({ content: '⚠️ Discord didn\'t accept the updated resource commands; they\'ll be registered again when the bot restarts.', ephemeral: true });
+            }
 
-            // Reset based on type
-            if (type === 'attack' || type === 'both') {
-                attackCounters.delete(player.id);
-                attackPenalties.delete(player.id);
+        } else if (commandName === 'undo' || commandName === 'redo') {
+            const isUndo = commandName === 'undo';
+            const player = isUndo ? interaction.options.getUser('player') : null;
+            const { undoHistory, redoHistory } = getGuildState(guildId);
+
+            if (player && !isGm(interaction)) {
+                await refuse(interaction, { reason: 'Only GMs can undo changes to another player.', targetIds: [player.id] });
+                return;
             }
-            
-            if (type === 'cast' || type === 'both') {
-                castCounters.delete(player.id);
-                castPenalties.delete(player.id);
+
+            // Most recent change by you, or (GM) the most recent change to the player
+            const stack = isUndo ? undoHistory : redoHistory;
+            let index = stack.length - 1;
+            while (index >= 0) {
+                const change = stack[index];
+                const matches = player
+                    ? change.sheets.some(sheet => sheet.combatantId === player.id) || change.records.some(record => record.targetId === player.id)
+                    : change.actorId === interaction.user.id;
+                if (matches) break;
+                index--;
             }
 
-            const playerMember = player.id === interaction.user.id 
-                ? interaction.member 
-                : await interaction.guild.members.fetch(player.id);
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
+            if (index === -1) {
+                const nothing = isUndo ? 'Nothing to undo' : 'Nothing to redo';
+                await interaction.reply({ content: player ? `${nothing} for ${player.username}.` : `${nothing}.`, ephemeral: true });
+                return;
+            }
 
-            // Build description based on what was reset
-            let resetDescription;
-            if (type === 'both') {
-                resetDescription = `**${data.characterName}**'s attack and cast penalties have been reset to 0.`;
+            // A GM undo for one player only reverts that player's part of a
+            // multi-target change; the rest stays undoable on its own
+            let change = stack[index];
+            const otherSheets = player ? change.sheets.filter(sheet => sheet.combatantId !== player.id) : [];
+            const otherRecords = player ? change.records.filter(record => record.targetId !== player.id) : [];
+            if (player && (otherSheets.length > 0 || otherRecords.length > 0 || change.encounter)) {
+                stack[index] = { ...change, sheets: otherSheets, records: otherRecords };
+                change = {
+                    ...change,
+                    sheets: change.sheets.filter(sheet => sheet.combatantId === player.id),
+                    records: change.records.filter(record => record.targetId === player.id),
+                    encounter: null
+                };
             } else {
-                resetDescription = `**${data.characterName}**'s ${type} penalty and counter have been reset to 0.`;
+                stack.splice(index, 1);
             }
 
+            const entries = revertChange(interaction, change, isUndo ? 'before' : 'after');
+
+            const otherStack = isUndo ? redoHistory : undoHistory;
+            otherStack.push({ ...change, actorId: interaction.user.id });
+            if (otherStack.length > UNDO_LIMIT) otherStack.shift();
+
+            const changedIds = [...change.sheets.map(sheet => sheet.combatantId), ...change.records.map(record => record.targetId)];
+            const combatChanged = change.records.some(record => record.kind === 'penalties');
+            saveData(guildId, combatantChanges([...new Set(changedIds)], Boolean(change.encounter) || combatChanged));
+
+            const lines = entries.map(entry => `**${entry.targetName}** ${describeHistoryChange(guildId, entry)}`);
             const embed = new EmbedBuilder()
-                .setColor(0x00FF00)
-                .setTitle('✅ Penalty Reset')
-                .setDescription(resetDescription)
+                .setColor(isUndo ? 0xF1C40F : 0x3498DB)
+                .setTitle(`${isUndo ? '↩️ Undone' : '↪️ Redone'}: ${change.source}`)
+                .setDescription(lines.join('\n') || 'Nothing left to change (the characters involved were deleted).')
+                .setFooter({ text: isUndo ? 'Use /redo to put it back' : 'Use /undo to revert it again' })
                 .setTimestamp();
 
             await interaction.reply({ embeds: [embed] });
 
-        } else if (commandName === 'viewall') {
-            if (playerData.size === 0) {
-                await interaction.reply('No player data available yet.');
-                return;
+        } else if (commandName === 'history') {
+            const player = interaction.options.getUser('player');
+            const npcName = interaction.options.getString('npc');
+            const limit = interaction.options.getInteger('limit') || 10;
+
+            let targetIds = null;
+            let targetLabel = 'Everyone';
+            if (npcName) {
+                targetIds = [npcCombatantId(characterKey(npcName))];
+                targetLabel = `👹 ${npcName}`;
+            } else if (player) {
+                targetIds = [player.id];
+                targetLabel = player.username;
             }
 
-            // Sort players alphabetically by character name
-            const sortedPlayers = Array.from(playerData.entries())
-                .sort((a, b) => a[1].characterName.localeCompare(b[1].characterName));
+            let entries;
+            try {
+                entries = await readHistory(guildId, targetIds, limit);
+            } catch (error) {
+                console.error('❌ Error reading history:', error);
+                await interaction.reply({ content: 'Could not read the history log.', ephemeral: true });
+                return;
+            }
 
-            const embed = new EmbedBuilder()
-                .setColor(0x9B59B6)
-                .setTitle('📊 All Players - Resources Overview')
-                .setTimestamp();
+            if (entries.length === 0) {
+                await interaction.reply({ content: 'No changes recorded yet.', ephemeral: true });
+                return;
+            }
 
-            for (const [userId, data] of sortedPlayers) {
-                // Compact format like /clash list
-                let valueText = `${RESOURCE_EMOJIS.HP} HP: ${data.HP}/${data.maxHP} | ${RESOURCE_EMOJIS.MP} MP: ${data.MP}/${data.maxMP} | ${RESOURCE_EMOJIS.IP} IP: ${data.IP}/${data.maxIP} | ${RESOURCE_EMOJIS.Armor} Armor: ${data.Armor}/${data.maxArmor} | ${RESOURCE_EMOJIS.Barrier} Barrier: ${data.Barrier}/${data.maxBarrier}`;
-                
-                if (data.statusEffects && data.statusEffects.length > 0) {
-                    const statusText = data.statusEffects
-                        .map(s => `${s.name} (${s.duration})`)
-                        .join(', ');
-                    valueText += `\n🔮 ${statusText}`;
-                }
+            const lines = entries.reverse().map(entry => {
+                const time = Math.floor(new Date(entry.timestamp).getTime() / 1000);
+                return `<t:${time}:t> **${entry.targetName}** ${describeHistoryChange(guildId, entry)}\n└ \`${entry.source}\` by ${entry.actorName}`;
+            });
 
-                embed.addFields({
-                    name: data.characterName,
-                    value: valueText,
-                    inline: false
-                });
+            // Keep within the embed description limit
+            let description = '';
+            for (const line of lines) {
+                if (description.length + line.length + 1 > 4000) break;
+                description += `${line}\n`;
             }
 
-            embed.setFooter({ text: `${sortedPlayers.length} player(s) total` });
+            const embed = new EmbedBuilder()
+                .setColor(0x95A5A6)
+                .setTitle(`📜 History - ${targetLabel}`)
+                .setDescription(description)
+                .setFooter({ text: `Newest first | ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}` })
+                .setTimestamp();
 
             await interaction.reply({ embeds: [embed] });
+
         } else if (commandName === 'clash') {
             const subcommand = interaction.options.getSubcommand();
+            const history = startHistory(interaction);
+            history.trackEncounter();
 
             if (subcommand === 'start') {
                 if (activeEncounter.active) {
@@ -1756,19 +5191,22 @@ client.on('interactionCreate', async interaction => {
                     return;
                 }
 
-                activeEncounter.active = true;
-                activeEncounter.combatants = [];
-                activeEncounter.turnsTaken = new Set(); // Initialize turn tracker
-                saveData();
+                const oldDashboard = activeEncounter.dashboard;
+                Object.assign(activeEncounter, createEncounter(), { active: true, dashboard: oldDashboard });
+                history.commit();
+                saveData(guildId, { encounter: true });
 
                 const embed = new EmbedBuilder()
                     .setColor(0xFF6B6B)
                     .setTitle('⚔️ Clash Started!')
-                    .setDescription('Use `/clash add` to add players to this clash.\nUse `/clash list` to view active combatants.')
+                    .setDescription('Use `/clash add` to add players to this clash.\nThe dashboard below follows the clash live.')
                     .setTimestamp();
 
                 await interaction.reply({ embeds: [embed] });
 
+                const warning = await postDashboard(interaction, interaction.options.getBoolean('pin') || false);
+                if (warning) await interaction.followUp({ content: warning, ephemeral: true });
+
             } else if (subcommand === 'end') {
                 if (!activeEncounter.active) {
                     await interaction.reply({ content: 'No active clash to end.', ephemeral: true });
@@ -1776,10 +5214,11 @@ client.on('interactionCreate', async interaction => {
                 }
 
                 const combatantCount = activeEncounter.combatants.length;
-                activeEncounter.active = false;
-                activeEncounter.combatants = [];
-                activeEncounter.turnsTaken.clear();
-                saveData();
+                const { dashboard } = activeEncounter;
+                Object.assign(activeEncounter, createEncounter());
+                history.commit();
+                saveData(guildId, { encounter: true });
+                if (dashboard) await closeDashboard(guildId, dashboard);
 
                 const embed = new EmbedBuilder()
                     .setColor(0x00FF00)
@@ -1796,12 +5235,13 @@ client.on('interactionCreate', async interaction => {
                 }
 
                 const playersInput = interaction.options.getString('players');
+                const npcKeys = parseNpcNames(interaction.options.getString('npcs'));
                 let targetPlayers = [];
                 
                 if (playersInput) {
                     const mentions = playersInput.match(/<@!?(\d+)>/g) || [];
                     targetPlayers = mentions.map(m => m.match(/<@!?(\d+)>/)[1]);
-                } else {
+                } else if (npcKeys.length === 0) {
                     targetPlayers = [interaction.user.id];
                 }
 
@@ -1813,24 +5253,45 @@ client.on('interactionCreate', async interaction => {
                     try {
                         const playerMember = await interaction.guild.members.fetch(userId);
                         
-                        if (!playerData.has(userId)) {
+                        const data = getActiveCharacter(guildId, userId);
+                        if (!data) {
                             noData.push(playerMember.displayName);
                             continue;
                         }
 
                         if (activeEncounter.combatants.includes(userId)) {
-                            alreadyIn.push(playerData.get(userId).characterName);
+                            alreadyIn.push(data.characterName);
                             continue;
                         }
 
                         activeEncounter.combatants.push(userId);
-                        added.push(playerData.get(userId).characterName);
+                        activeEncounter.order.push(userId);
+                        added.push(data.characterName);
                     } catch (error) {
                         console.error(`Error adding player ${userId}:`, error);
                     }
                 }
 
-                saveData();
+                for (const npcKey of npcKeys) {
+                    const npc = npcs.get(npcKey);
+                    if (!npc) {
+                        noData.push(npcKey);
+                        continue;
+                    }
+
+                    const combatantId = npcCombatantId(npcKey);
+                    if (activeEncounter.combatants.includes(combatantId)) {
+                        alreadyIn.push(combatantLabel(combatantId, npc));
+                        continue;
+                    }
+
+                    activeEncounter.combatants.push(combatantId);
+                    activeEncounter.order.push(combatantId);
+                    added.push(combatantLabel(combatantId, npc));
+                }
+
+                history.commit();
+                saveData(guildId, { encounter: true });
 
                 let description = '';
                 if (added.length > 0) description += `✅ Added: ${added.join(', ')}\n`;
@@ -1839,7 +5300,7 @@ client.on('interactionCreate', async interaction => {
 
                 const embed = new EmbedBuilder()
                     .setColor(0x00FF00)
-                    .setTitle('➕ Players Added to Clash')
+                    .setTitle('➕ Combatants Added to Clash')
                     .setDescription(description || 'No players added')
                     .setTimestamp();
 
@@ -1852,37 +5313,39 @@ client.on('interactionCreate', async interaction => {
                 }
 
                 const playersInput = interaction.options.getString('players');
-                if (!playersInput) {
-                    await interaction.reply({ content: 'Please mention at least one player to remove.', ephemeral: true });
+                const npcKeys = parseNpcNames(interaction.options.getString('npcs'));
+                if (!playersInput && npcKeys.length === 0) {
+                    await interaction.reply({ content: 'Please mention at least one player or name an NPC to remove.', ephemeral: true });
                     return;
                 }
 
-                const mentions = playersInput.match(/<@!?(\d+)>/g) || [];
-                const targetPlayers = mentions.map(m => m.match(/<@!?(\d+)>/)[1]);
+                const mentions = (playersInput || '').match(/<@!?(\d+)>/g) || [];
+                const targetIds = mentions.map(m => m.match(/<@!?(\d+)>/)[1])
+                    .concat(npcKeys.map(npcCombatantId));
 
                 const removed = [];
                 const notIn = [];
 
-                for (const userId of targetPlayers) {
-                    const index = activeEncounter.combatants.indexOf(userId);
-                    if (index !== -1) {
-                        activeEncounter.combatants.splice(index, 1);
-                        const data = playerData.get(userId);
-                        removed.push(data ? data.characterName : 'Unknown');
+                for (const combatantId of targetIds) {
+                    if (activeEncounter.combatants.includes(combatantId)) {
+                        removeCombatant(activeEncounter, combatantId);
+                        const data = getCombatant(guildId, combatantId);
+                        removed.push(data ? combatantLabel(combatantId, data) : 'Unknown');
                     } else {
-                        notIn.push('Player');
+                        notIn.push(combatantId);
                     }
                 }
 
-                saveData();
+                history.commit();
+                saveData(guildId, { encounter: true });
 
                 let description = '';
                 if (removed.length > 0) description += `✅ Removed: ${removed.join(', ')}\n`;
-                if (notIn.length > 0) description += `⚠️ Not in clash: ${notIn.length} player(s)`;
+                if (notIn.length > 0) description += `⚠️ Not in clash: ${notIn.length} combatant(s)`;
 
                 const embed = new EmbedBuilder()
                     .setColor(0xFF6B6B)
-                    .setTitle('➖ Players Removed from Clash')
+                    .setTitle('➖ Combatants Removed from Clash')
                     .setDescription(description || 'No players removed')
                     .setTimestamp();
 
@@ -1899,44 +5362,16 @@ client.on('interactionCreate', async interaction => {
                     return;
                 }
 
-                // Sort combatants alphabetically by character name
-                const sortedCombatants = activeEncounter.combatants
-                    .map(userId => ({ userId, data: playerData.get(userId) }))
-                    .filter(c => c.data) // Remove any missing data
-                    .sort((a, b) => a.data.characterName.localeCompare(b.data.characterName));
-
+                // Combatants in this round's turn order
+                const fields = combatantFields(guildId);
                 const embed = new EmbedBuilder()
                     .setColor(0xFFFFFF)
                     .setTitle('⚔️ Active Clash - Combatants')
+                    .addFields(...fields)
+                    .setFooter({ text: `${activeEncounter.turnsTaken.size}/${fields.length} turns complete | Use /eot to mark turn done` })
                     .setTimestamp();
 
-                for (const { userId, data } of sortedCombatants) {
-                    // Turn checkbox
-                    const turnDone = activeEncounter.turnsTaken.has(userId);
-                    const checkbox = turnDone ? '✅' : '⬜';
-                    
-                    let valueText = `${checkbox} ${RESOURCE_EMOJIS.HP} HP: ${data.HP}/${data.maxHP} | ${RESOURCE_EMOJIS.MP} MP: ${data.MP}/${data.maxMP} | ${RESOURCE_EMOJIS.IP} IP: ${data.IP}/${data.maxIP} | ${RESOURCE_EMOJIS.Armor} Armor: ${data.Armor}/${data.maxArmor} | ${RESOURCE_EMOJIS.Barrier} Barrier: ${data.Barrier}/${data.maxBarrier}`;
-                    
-                    if (data.statusEffects && data.statusEffects.length > 0) {
-                        const statusText = data.statusEffects
-                            .map(s => `${s.name} (${s.duration})`)
-                            .join(', ');
-                        valueText += `\n🔮 ${statusText}`;
-                    }
-
-                    embed.addFields({
-                        name: data.characterName,
-                        value: valueText,
-                        inline: false
-                    });
-                }
-
-                // Show turn progress
-                const totalCombatants = sortedCombatants.length;
-                const turnsDone = activeEncounter.turnsTaken.size;
-                embed.setFooter({ text: `${turnsDone}/${totalCombatants} turns complete | Use /eot to mark turn done` });
-
-                await interaction.reply({ embeds: [embed] });
+                await interaction.reply(clashSnapshotReply(guildId, embed));
             
             } else if (subcommand === 'init') {
                 if (!activeEncounter.active) {
@@ -1949,31 +5384,151 @@ client.on('interactionCreate', async interaction => {
                     return;
                 }
 
-                // Sort combatants alphabetically by character name
-                const sortedCombatants = activeEncounter.combatants
-                    .map(userId => ({ userId, data: playerData.get(userId) }))
-                    .filter(c => c.data)
-                    .sort((a, b) => a.data.characterName.localeCompare(b.data.characterName));
+                const takenCount = activeEncounter.turnsTaken.size;
+                const totalCount = activeEncounter.order.length;
 
                 const embed = new EmbedBuilder()
                     .setColor(0x00BFFF)
-                    .setTitle('🎯 Initiative Tracker')
+                    .setTitle(`🎯 Initiative Tracker - Round ${activeEncounter.round}`)
+                    .setDescription(turnOrderText(guildId))
+                    .setFooter({ text: `${takenCount}/${totalCount} combatants have taken their turn | ⏳ = readied` })
                     .setTimestamp();
 
-                let initText = '';
-                for (const { userId, data } of sortedCombatants) {
-                    const hasTaken = activeEncounter.turnsTaken.has(userId);
-                    const checkbox = hasTaken ? '✅' : '⬜';
-                    initText += `${checkbox} ${data.characterName}\n`;
+                await interaction.reply(clashSnapshotReply(guildId, embed));
+
+            } else if (subcommand === 'dashboard') {
+                if (!activeEncounter.active) {
+                    await interaction.reply({ content: 'No active clash. Use `/clash start` to begin.', ephemeral: true });
+                    return;
                 }
 
-                const takenCount = activeEncounter.turnsTaken.size;
-                const totalCount = sortedCombatants.length;
+                await interaction.deferReply({ ephemeral: true });
+                const warning = await postDashboard(interaction, interaction.options.getBoolean('pin') || false);
+                await interaction.editReply({ content: warning || '✅ The live dashboard is now in this channel.' });
 
-                embed.setDescription(initText);
-                embed.setFooter({ text: `${takenCount}/${totalCount} players have taken their turn` });
+            } else {
+                // Turn order management: roll, setinit, delay, ready, trigger
+                if (!activeEncounter.active || activeEncounter.combatants.length === 0) {
+                    await interaction.reply({ content: 'No combatants in an active clash. Use `/clash start` and `/clash add` first.', ephemeral: true });
+                    return;
+                }
 
-                await interaction.reply({ embeds: [embed] });
+                const current = getCurrentTurn(activeEncounter);
+                const embed = new EmbedBuilder()
+                    .setColor(0x00BFFF)
+                    .setTimestamp();
+                let content = '';
+
+                if (subcommand === 'roll') {
+                    const dice = interaction.options.getInteger('dice') || 20;
+                    const reroll = interaction.options.getBoolean('reroll') || false;
+
+                    const rolled = [];
+                    for (const combatantId of activeEncounter.combatants) {
+                        const data = getCombatant(guildId, combatantId);
+                        if (!data || (!reroll && combatantId in activeEncounter.initiative)) continue;
+
+                        const roll = rollExpression(`d${dice}`, { random: rng.random }).total;
+                        activeEncounter.initiative[combatantId] = roll;
+                        rolled.push(`${combatantLabel(combatantId, data)}: **${roll}**`);
+                    }
+
+                    activeEncounter.order = buildTurnOrder(guildId);
+                    content = turnPing(guildId, getCurrentTurn(activeEncounter));
+
+                    embed.setTitle(`🎲 Initiative Rolled (d${dice})`)
+                        .setDescription(`${rolled.join('\n') || 'Everyone already has initiative.'}\n\n**Turn Order**\n${turnOrderText(guildId)}`);
+
+                } else if (subcommand === 'setinit') {
+                    const value = interaction.options.getInteger('value');
+                    const combatantId = combatantFromOptions(interaction, 'player', 'npc') || interaction.user.id;
+                    const data = getCombatant(guildId, combatantId);
+
+                    if (!data || !activeEncounter.combatants.includes(combatantId)) {
+                        await interaction.reply({ content: 'That combatant is not in the active clash.', ephemeral: true });
+                        return;
+                    }
+
+                    activeEncounter.initiative[combatantId] = value;
+                    activeEncounter.order = buildTurnOrder(guildId);
+
+                    embed.setTitle('🎯 Initiative Set')
+                        .setDescription(`**${combatantLabel(combatantId, data)}** initiative: **${value}**\n\n**Turn Order**\n${turnOrderText(guildId)}`);
+
+                } else if (subcommand === 'delay') {
+                    if (!current) {
+                        await interaction.reply({ content: 'Everyone has taken their turn this round.', ephemeral: true });
+                        return;
+                    }
+
+                    const denial = turnDenial(interaction, current);
+                    if (denial) {
+                        await refuse(interaction, denial);
+                        return;
+                    }
+
+                    const afterId = combatantFromOptions(interaction, 'after_player', 'after_npc');
+                    if (afterId && (afterId === current || !activeEncounter.order.includes(afterId) || activeEncounter.turnsTaken.has(afterId))) {
+                        await interaction.reply({ content: 'You can only delay until after a combatant who hasn\'t acted yet this round.', ephemeral: true });
+                        return;
+                    }
+
+                    moveInTurnOrder(activeEncounter, current, { after: afterId });
+                    const next = getCurrentTurn(activeEncounter);
+                    const afterText = afterId ? `after **${combatantLabel(afterId, getCombatant(guildId, afterId))}**` : 'until the end of the round';
+                    content = next !== current ? turnPing(guildId, next) : '';
+
+                    embed.setTitle('⏸️ Turn Delayed')
+                        .setDescription(`**${combatantLabel(current, getCombatant(guildId, current))}** delays ${afterText}.\n\n**Turn Order**\n${turnOrderText(guildId)}`);
+
+                } else if (subcommand === 'ready') {
+                    if (!current) {
+                        await interaction.reply({ content: 'Everyone has taken their turn this round.', ephemeral: true });
+                        return;
+                    }
+
+                    const denial = turnDenial(interaction, current);
+                    if (denial) {
+                        await refuse(interaction, denial);
+                        return;
+                    }
+
+                    if (!activeEncounter.readied.includes(current)) {
+                        activeEncounter.readied.push(current);
+                    }
+                    moveInTurnOrder(activeEncounter, current);
+                    const next = getCurrentTurn(activeEncounter);
+                    content = next !== current ? turnPing(guildId, next) : '';
+
+                    embed.setTitle('⏳ Action Readied')
+                        .setDescription(`**${combatantLabel(current, getCombatant(guildId, current))}** holds their turn. Use \`/clash trigger\` to act when the moment comes.\n\n**Turn Order**\n${turnOrderText(guildId)}`);
+
+                } else if (subcommand === 'trigger') {
+                    const readiedId = combatantFromOptions(interaction, 'player', 'npc') || interaction.user.id;
+
+                    if (!activeEncounter.readied.includes(readiedId) || activeEncounter.turnsTaken.has(readiedId)) {
+                        await interaction.reply({ content: 'That combatant is not holding a readied action.', ephemeral: true });
+                        return;
+                    }
+
+                    activeEncounter.readied = activeEncounter.readied.filter(id => id !== readiedId);
+                    if (current && current !== readiedId) {
+                        moveInTurnOrder(activeEncounter, readiedId, { before: current });
+                    }
+                    content = turnPing(guildId, readiedId);
+
+                    const interrupted = current && current !== readiedId
+                        ? `, interrupting **${combatantLabel(current, getCombatant(guildId, current))}**`
+                        : '';
+                    embed.setTitle('⚡ Readied Action Triggered')
+                        .setDescription(`**${combatantLabel(readiedId, getCombatant(guildId, readiedId))}** acts now${interrupted}!\n\n**Turn Order**\n${turnOrderText(guildId)}`);
+                }
+
+                history.commit();
+                saveData(guildId, { encounter: true });
+                embed.setFooter({ text: `Round ${activeEncounter.round} | Use /eot to end a turn` });
+
+                await interaction.reply({ content: content || undefined, embeds: [embed] });
             }
 
         } else if (commandName === 'actionsave') {
@@ -1981,32 +5536,43 @@ client.on('interactionCreate', async interaction => {
             const player = interaction.user;
             const playerMember = interaction.member;
 
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
+            const data = initPlayer(guildId, player.id, playerMember.displayName);
 
             if (subcommand === 'add') {
                 const actionName = interaction.options.getString('name').toLowerCase();
                 const type = interaction.options.getString('type');
-                const dice1 = interaction.options.getInteger('dice1');
-                const dice2 = interaction.options.getInteger('dice2');
-                const modifier = interaction.options.getInteger('modifier');
-                const mpCost = interaction.options.getInteger('mpcost') || 0;
+                const action = {
+                    type,
+                    dice1: interaction.options.getInteger('dice1'),
+                    dice2: interaction.options.getInteger('dice2'),
+                    modifier: interaction.options.getInteger('modifier') || 0,
+                    mpCost: interaction.options.getInteger('mpcost') || 0
+                };
+                const expression = interaction.options.getString('expression');
+                if (expression) action.expression = expression.trim();
+
+                // Validate: an expression or both dice
+                const diceError = actionDiceError(action, actionVariables(settings.resources));
+                if (diceError) {
+                    await interaction.reply({ content: diceError, ephemeral: true });
+                    return;
+                }
 
                 // Validate: cast must have MP cost
-                if (type === 'cast' && mpCost === 0) {
+                if (type === 'cast' && action.mpCost === 0) {
                     await interaction.reply({ content: 'Cast actions must have an MP cost! Use the `mpcost` parameter.', ephemeral: true });
                     return;
                 }
 
                 // Save to player data
-                data.savedActions[actionName] = { type, dice1, dice2, modifier, mpCost };
-                saveData(); // Persist to database
+                data.savedActions[actionName] = action;
+                saveData(guildId, { players: [player.id] }); // Persist to database
 
                 const typeEmoji = type === 'attack' ? '⚔️' : '✨';
                 const typeLabel = type === 'attack' ? 'Attack' : 'Cast';
-                let description = `${typeEmoji} **${typeLabel}**: d${dice1}+d${dice2}, +${modifier} modifier`;
+                let description = `${typeEmoji} **${typeLabel}**: ${actionDiceText(action, 'modifier')}`;
                 if (type === 'cast') {
-                    description += `\n💧 MP Cost: ${mpCost} (2nd: +10, 3rd+: +20)`;
+                    description += `\n💧 MP Cost: ${action.mpCost} (2nd: +${settings.rules.castSurcharge2}, 3rd+: +${settings.rules.castSurcharge3})`;
                 }
 
                 const embed = new EmbedBuilder()
@@ -2032,7 +5598,7 @@ client.on('interactionCreate', async interaction => {
                 let description = '';
                 for (const [name, action] of Object.entries(data.savedActions)) {
                     const typeEmoji = action.type === 'attack' ? '⚔️' : '✨';
-                    description += `${typeEmoji} **/${name}** - d${action.dice1}+d${action.dice2}, +${action.modifier} mod`;
+                    description += `${typeEmoji} **/${name}** - ${actionDiceText(action)}`;
                     if (action.type === 'cast') {
                         description += ` (${action.mpCost} MP)`;
                     }
@@ -2053,354 +5619,497 @@ client.on('interactionCreate', async interaction => {
                 }
 
                 delete data.savedActions[actionName];
-                saveData(); // Persist to database
+                saveData(guildId, { players: [player.id] }); // Persist to database
+
+                const embed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('🗑️ Action Deleted')
+                    .setDescription(`**/${actionName}** has been removed.`)
+                    .setTimestamp();
+
+                await interaction.reply({ embeds: [embed] });
+            }
+
+        } else if (commandName === 'use') {
+            const actionName = interaction.options.getString('action').toLowerCase();
+            const player = interaction.user;
+            const playerMember = interaction.member;
+            
+            const data = initPlayer(guildId, player.id, playerMember.displayName);
+            
+            if (!data.savedActions || !data.savedActions[actionName]) {
+                await interaction.reply({ content: `Action "${actionName}" not found. Use \`/actionsave list\` to see your saved actions.`, ephemeral: true });
+                return;
+            }
+            
+            const action = data.savedActions[actionName];
+            const characterName = data.characterName;
+
+            const invalidExpression = action.expression && validateExpression(action.expression, actionVariables(settings.resources));
+            if (invalidExpression) {
+                await interaction.reply({ content: `**/${actionName}** can't be rolled: ${invalidExpression}`, ephemeral: true });
+                return;
+            }
+
+            const { targetId, error: targetError } = resolveAttackTarget(interaction);
+            if (targetError) {
+                await interaction.reply({ content: targetError, ephemeral: true });
+                return;
+            }
+            const damageType = interaction.options.getString('damage_type') || 'armor';
+
+            // Handle CAST type
+            if (action.type === 'cast') {
+                const overdraw = interaction.options.getBoolean('overdraw') || false;
+                const baseCost = action.mpCost || 0;
+                const currentCount = (castCounters.get(player.id) || 0) + 1;
+                const { surcharge, total: mpCost } = castCost(baseCost, currentCount, settings.rules);
+
+                if (data.MP < mpCost && !overdraw) {
+                    await interaction.reply({ content: notEnoughMpMessage(data, baseCost, surcharge), ephemeral: true });
+                    return;
+                }
+
+                castCounters.set(player.id, currentCount);
+
+                const history = startHistory(interaction);
+                history.track(player.id, data);
+                const mp = payResource(data, findResource(settings.resources, 'MP'), mpCost);
+                history.commit();
+                saveData(guildId, { players: [player.id], encounter: true });
+
+                const result = rollAction(guildId, data, {
+                    kind: 'cast',
+                    dice1: action.dice1,
+                    dice2: action.dice2,
+                    expression: action.expression,
+                    modifier: action.modifier,
+                    penalties: penaltiesFor(castPenalties, player.id),
+                    count: currentCount,
+                    actionName,
+                    notes: castNotes(data, { mp, mpCost, surcharge })
+                });
+                if (result.error) {
+                    await interaction.reply({ content: result.error, ephemeral: true });
+                    return;
+                }
+                result.embed.setFooter({ text: `${RESOURCE_EMOJIS.MP} MP: ${mp.before} → ${data.MP}/${data.maxMP} | Cost: ${mpCost} MP (base ${baseCost})` });
+
+                await interaction.reply(attackRollReply(interaction, result.embed, { ...result.resolution, damageType, targetId }));
+                await watchIncomingAttack(interaction);
+                return;
+            }
+
+            // Handle ATTACK type
+            if (action.type === 'attack') {
+                const targetSuffix = `${damageType}${targetId ? `_${targetId}` : ''}`;
+                const currentCount = (attackCounters.get(player.id) || 0) + 1;
+                attackCounters.set(player.id, currentCount);
+                saveData(guildId, { encounter: true });
+
+                const penalties = penaltiesFor(attackPenalties, player.id);
+
+                if (needsPenaltyPrompt(currentCount, settings.rules)) {
+                    await interaction.reply(penaltyPrompt({
+                        description: `**${characterName}** using **${actionName}**, choose ONE penalty to ADD:`,
+                        currentCount,
+                        penalties,
+                        rules: settings.rules,
+                        idPrefix: `penalty_use_${player.id}_${currentCount}_${actionName}_${action.dice1 || 0}_${action.dice2 || 0}_${action.modifier || 0}`,
+                        idSuffix: targetSuffix
+                    }));
+                    return;
+                }
+
+                const result = rollAction(guildId, data, {
+                    kind: 'attack',
+                    dice1: action.dice1,
+                    dice2: action.dice2,
+                    expression: action.expression,
+                    modifier: action.modifier,
+                    penalties,
+                    count: currentCount,
+                    actionName
+                });
+                if (result.error) {
+                    await interaction.reply({ content: result.error, ephemeral: true });
+                    return;
+                }
+
+                await interaction.reply(attackRollReply(interaction, result.embed, { ...result.resolution, damageType, targetId }));
+                await watchIncomingAttack(interaction);
+                return;
+            }
+
+        } else if (commandName === 'gmattack') {
+            const dice = {
+                dice1: interaction.options.getInteger('dice1'),
+                dice2: interaction.options.getInteger('dice2'),
+                expression: interaction.options.getString('expression')
+            };
+            const diceError = actionDiceError(dice, ['mod']);
+            if (diceError) {
+                await interaction.reply({ content: diceError, ephemeral: true });
+                return;
+            }
+
+            // Defer reply immediately to prevent timeout
+            await interaction.deferReply();
+
+            await runGmAttack(interaction, {
+                attackerName: 'GM Attack',
+                ...dice,
+                modifier: interaction.options.getInteger('modifier') || 0,
+                penalty: interaction.options.getString('penalty'),
+                targetsString: interaction.options.getString('targets'),
+                damageType: interaction.options.getString('damage_type') || 'armor'
+            });
+
+        } else if (commandName === 'eot') {
+            if (!activeEncounter.active) {
+                await interaction.reply({ content: 'No active clash. Use `/clash start` to begin.', ephemeral: true });
+                return;
+            }
+
+            const npcName = interaction.options.getString('npc');
+            const player = interaction.options.getUser('player') || interaction.user;
+            const combatantId = npcName ? npcCombatantId(characterKey(npcName)) : player.id;
+            
+            // Check if the combatant is in the clash
+            if (!activeEncounter.combatants.includes(combatantId)) {
+                await interaction.reply({ content: `${npcName || player.username} is not in the active clash.`, ephemeral: true });
+                return;
+            }
+
+            if (activeEncounter.turnsTaken.has(combatantId)) {
+                await interaction.reply({ content: `${npcName || player.username} has already taken their turn this round.`, ephemeral: true });
+                return;
+            }
+
+            let data;
+            if (npcName) {
+                data = getCombatant(guildId, combatantId);
+            } else {
+                const playerMember = await interaction.guild.members.fetch(player.id);
+                data = initPlayer(guildId, player.id, playerMember.displayName);
+            }
+
+            const history = startHistory(interaction);
+            history.trackEncounter();
+
+            // Mark turn as taken and resolve their status effects
+            const tick = endTurn(guildId, combatantId, history);
+
+            const embed = new EmbedBuilder()
+                .setColor(0x00FF00)
+                .setTitle('✅ Turn Complete')
+                .setDescription(`**${combatantLabel(combatantId, data)}** has finished their turn!`)
+                .setTimestamp();
+            if (tick) addTickFields(embed, data, tick, { showExpired: false });
+
+            const takenCount = activeEncounter.turnsTaken.size;
+            const totalCount = activeEncounter.combatants.length;
+            embed.setFooter({ text: `${takenCount}/${totalCount} combatants have taken their turn` });
+
+            // Advance to the next combatant, or start a new round once everyone has acted
+            const { nextTurn, embeds: turnEmbeds, ticks: turnTicks } = advanceTurn(guildId, history);
+            const embeds = [embed, ...turnEmbeds];
+            const ticks = tick ? [{ combatantId, data, tick }, ...turnTicks] : turnTicks;
+
+            history.commit();
+            saveData(guildId, combatantChanges(ticks.map(t => t.combatantId), true));
+
+            await interaction.reply({ content: nextTurn ? turnPing(guildId, nextTurn) : undefined, embeds });
+
+            const announcement = expiryAnnouncement(ticks);
+            if (announcement) await interaction.followUp(announcement);
+
+        } else if (commandName === 'npc') {
+            const subcommand = interaction.options.getSubcommand();
+
+            if (subcommand === 'create') {
+                const name = interaction.options.getString('name').trim();
+                const npcKey = characterKey(name);
+                const isNew = !npcs.has(npcKey);
+                const npc = npcs.get(npcKey) || createCharacter(name);
+                const history = startHistory(interaction);
+                history.track(npcCombatantId(npcKey), npc);
+
+                npc.characterName = name;
+                npc.maxHP = interaction.options.getInteger('hp');
+                npc.maxMP = interaction.options.getInteger('mp');
+                npc.maxArmor = interaction.options.getInteger('armor');
+                npc.maxBarrier = interaction.options.getInteger('barrier');
+
+                // Refill everything to the new max
+                for (const resource of NPC_RESOURCES) {
+                    setResource(npc, findResource(settings.resources, resource), npc[`max${resource}`]);
+                }
+
+                npcs.set(npcKey, npc);
+                history.commit();
+                await saveData(guildId, { npcs: [npcKey] });
+
+                const embed = new EmbedBuilder()
+                    .setColor(0x00FF00)
+                    .setTitle(`👹 NPC ${isNew ? 'Created' : 'Updated'}: ${name}`)
+                    .setDescription('HP, MP, Armor, and Barrier set to max.')
+                    .addFields(...resourceFields(sheetResources(guildId, { npc: true }), npc))
+                    .setFooter({ text: 'Use /npc action to give it attacks, /clash add npcs: to bring it into a fight' })
+                    .setTimestamp();
+
+                await interaction.reply({ embeds: [embed] });
+                return;
+            }
+
+            if (subcommand === 'list') {
+                if (npcs.size === 0) {
+                    await interaction.reply({ content: 'No NPCs yet. Use `/npc create` to make one!', ephemeral: true });
+                    return;
+                }
+
+                const sortedNpcs = Array.from(npcs.values())
+                    .sort((a, b) => a.characterName.localeCompare(b.characterName));
+
+                let description = '';
+                for (const npc of sortedNpcs) {
+                    description += `👹 **${npc.characterName}** - ${resourceLine(sheetResources(guildId, { npc: true }), npc, { labels: false })}\n`;
+                }
 
                 const embed = new EmbedBuilder()
-                    .setColor(0xFF0000)
-                    .setTitle('🗑️ Action Deleted')
-                    .setDescription(`**/${actionName}** has been removed.`)
+                    .setColor(0x8B0000)
+                    .setTitle('👹 NPCs')
+                    .setDescription(description)
+                    .setFooter({ text: `${npcs.size} NPC(s)` })
                     .setTimestamp();
 
                 await interaction.reply({ embeds: [embed] });
+                return;
             }
 
-        } else if (commandName === 'use') {
-            const actionName = interaction.options.getString('action').toLowerCase();
-            const player = interaction.user;
-            const playerMember = interaction.member;
-            
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
-            
-            if (!data.savedActions || !data.savedActions[actionName]) {
-                await interaction.reply({ content: `Action "${actionName}" not found. Use \`/actionsave list\` to see your saved actions.`, ephemeral: true });
+            // Remaining subcommands act on an existing NPC
+            const name = interaction.options.getString('name');
+            const npcKey = characterKey(name);
+            const npc = npcs.get(npcKey);
+
+            if (!npc) {
+                await interaction.reply({ content: `No NPC named **${name}**. Use \`/npc list\` to see them.`, ephemeral: true });
                 return;
             }
-            
-            const action = data.savedActions[actionName];
-            const characterName = data.characterName;
 
-            // Handle CAST type
-            if (action.type === 'cast') {
-                const currentCount = (castCounters.get(player.id) || 0) + 1;
-                castCounters.set(player.id, currentCount);
+            if (subcommand === 'view') {
+                const embed = new EmbedBuilder()
+                    .setColor(0x8B0000)
+                    .setTitle(`👹 ${npc.characterName}`)
+                    .addFields(...resourceFields(sheetResources(guildId, { npc: true }), npc))
+                    .setTimestamp();
 
-                let mpPenaltyText = '';
-                if (currentCount === 2) {
-                    mpPenaltyText = 'Multi-Cast Penalty: Extra 10 MP';
-                } else if (currentCount >= 3) {
-                    mpPenaltyText = 'Multi-Cast Penalty: Extra 20 MP';
+                if (npc.statusEffects.length > 0) {
+                    const statusText = npc.statusEffects
+                        .map(statusLine)
+                        .join('\n');
+                    embed.addFields({ name: '🔮 Status Effects', value: statusText, inline: false });
                 }
 
-                const gate = 1;
-                const finalModifier = action.modifier;
-
-                const roll1 = Math.floor(Math.random() * action.dice1) + 1;
-                const roll2 = Math.floor(Math.random() * action.dice2) + 1;
-                const total = roll1 + roll2;
-                const highRoll = Math.max(roll1, roll2);
-                const damage = highRoll + finalModifier;
+                const actions = Object.entries(npc.savedActions);
+                if (actions.length > 0) {
+                    const actionText = actions
+                        .map(([actionName, action]) => `${action.type === 'attack' ? '⚔️' : '✨'} **${actionName}** - ${actionDiceText(action)}`)
+                        .join('\n');
+                    embed.addFields({ name: '📋 Actions', value: actionText, inline: false });
+                }
 
-                const isFumble = roll1 === 1 && roll2 === 1;
-                const isCrit = !isFumble && roll1 === roll2 && roll1 > 5;
-                const isHit = isFumble ? false : isCrit ? true : (roll1 > gate && roll2 > gate);
+                await interaction.reply({ embeds: [embed] });
 
-                let resultText = `> **${characterName}** ✨ (Cast #${currentCount}) - **${actionName}**\n`;
-                if (mpPenaltyText) {
-                    resultText += `> *${mpPenaltyText}*\n`;
-                }
-                resultText += `> \n`;
-                resultText += `> d${action.dice1}: **${roll1}**  |  d${action.dice2}: **${roll2}**\n`;
-                resultText += `> Total: ${total}  •  Gate: ≤${gate}\n`;
-                resultText += `> \n`;
-                resultText += `> HighRoll = **${highRoll}**\n`;
-                resultText += `> HR + ${finalModifier} = **${damage} damage**\n`;
-                resultText += `> \n`;
-                
-                if (isFumble) {
-                    resultText += `> 💀 **FUMBLE!** (Auto-Fail)`;
-                } else if (isCrit) {
-                    resultText += `> ⭐ **CRITICAL!** (Auto-Success)`;
-                } else if (isHit) {
-                    resultText += `> ✅ **HIT** (Both dice > ${gate})`;
-                } else {
-                    resultText += `> ❌ **MISS** (At least one die ≤ ${gate})`;
-                }
+            } else if (subcommand === 'delete') {
+                const history = startHistory(interaction);
+                history.trackRecord('npc', npcKey, npc.characterName);
+                history.trackEncounter();
+                await deleteNpc(guildId, npcKey);
+                history.commit();
 
                 const embed = new EmbedBuilder()
-                    .setColor(isFumble ? 0x800000 : isCrit ? 0xFFD700 : isHit ? 0x00FF00 : 0xFF0000)
-                    .setTitle(`🎲 Cast Roll`)
-                    .setDescription(resultText)
-                    .setFooter({ text: `💧 MP: ${data.MP}/${data.maxMP} | Base cost: ${action.mpCost} MP` })
+                    .setColor(0xFF0000)
+                    .setTitle('🗑️ NPC Deleted')
+                    .setDescription(`**${npc.characterName}** has been removed.`)
                     .setTimestamp();
 
                 await interaction.reply({ embeds: [embed] });
-                return;
-            }
-
-            // Handle ATTACK type
-            if (action.type === 'attack') {
-                const currentCount = (attackCounters.get(player.id) || 0) + 1;
-                attackCounters.set(player.id, currentCount);
-
-                if (!attackPenalties.has(player.id)) {
-                    attackPenalties.set(player.id, { gate: 0, damageReduction: 0, blind: false });
-                }
-                const penalties = attackPenalties.get(player.id);
-
-                if (currentCount >= 2) {
-                    const row = new ActionRowBuilder()
-                        .addComponents(
-                            new ButtonBuilder()
-                                .setCustomId(`penalty_use_${player.id}_${actionName}_${action.dice1}_${action.dice2}_${action.modifier}_gate`)
-                                .setLabel('🎯 Gate +1')
-                                .setStyle(ButtonStyle.Primary),
-                            new ButtonBuilder()
-                                .setCustomId(`penalty_use_${player.id}_${actionName}_${action.dice1}_${action.dice2}_${action.modifier}_damage50`)
-                                .setLabel('⚔️ -50% Modifier')
-                                .setStyle(ButtonStyle.Danger),
-                            new ButtonBuilder()
-                                .setCustomId(`penalty_use_${player.id}_${actionName}_${action.dice1}_${action.dice2}_${action.modifier}_damage100`)
-                                .setLabel('⚔️ No Modifier')
-                                .setStyle(ButtonStyle.Danger),
-                            new ButtonBuilder()
-                                .setCustomId(`penalty_use_${player.id}_${actionName}_${action.dice1}_${action.dice2}_${action.modifier}_blind`)
-                                .setLabel('👁️ Blind (Gate 3)')
-                                .setStyle(ButtonStyle.Secondary)
-                                .setDisabled(penalties.blind)
-                        );
-
-                    let description = `**${characterName}** using **${actionName}**, choose ONE penalty to ADD:`;
-                    const currentPenaltiesText = [];
-                    if (penalties.blind) currentPenaltiesText.push(`Blind (Gate 3)`);
-                    else if (penalties.gate > 0) currentPenaltiesText.push(`Gate +${penalties.gate}`);
-                    if (penalties.damageReduction > 0) currentPenaltiesText.push(`Modifier -${penalties.damageReduction}%`);
-                    if (currentPenaltiesText.length > 0) {
-                        description += `\n\n**Current Penalties:** ${currentPenaltiesText.join(', ')}`;
-                    }
 
-                    const embed = new EmbedBuilder()
-                        .setColor(0xFFAA00)
-                        .setTitle(`⚠️ Multi-Attack Penalty (${currentCount}${currentCount === 2 ? 'nd' : currentCount === 3 ? 'rd' : 'th'} Attack)`)
-                        .setDescription(description)
-                        .addFields(
-                            { name: '🎯 Gate +1', value: 'Adds +1 to gate (cumulative)', inline: true },
-                            { name: '⚔️ -50% Modifier', value: 'Reduces modifier by 50%', inline: true },
-                            { name: '⚔️ No Modifier', value: 'Removes all modifier', inline: true },
-                            { name: '👁️ Blind', value: 'Sets gate to 3 (max, once only)', inline: true }
-                        )
-                        .setFooter({ text: `Attack #${currentCount} • Penalties are cumulative` })
-                        .setTimestamp();
+            } else if (subcommand === 'action') {
+                const actionName = interaction.options.getString('action').toLowerCase();
+                const type = interaction.options.getString('type');
+                const action = {
+                    type,
+                    dice1: interaction.options.getInteger('dice1'),
+                    dice2: interaction.options.getInteger('dice2'),
+                    modifier: interaction.options.getInteger('modifier') || 0,
+                    mpCost: interaction.options.getInteger('mpcost') || 0
+                };
+                const expression = interaction.options.getString('expression');
+                if (expression) action.expression = expression.trim();
 
-                    await interaction.reply({ embeds: [embed], components: [row] });
+                const diceError = actionDiceError(action, actionVariables(settings.resources));
+                if (diceError) {
+                    await interaction.reply({ content: diceError, ephemeral: true });
                     return;
                 }
 
-                const gate = penalties.blind ? 3 : (1 + penalties.gate);
-                const damageMultiplier = Math.max(0, 1 - (penalties.damageReduction / 100));
-                const finalModifier = Math.floor(action.modifier * damageMultiplier);
-
-                const roll1 = Math.floor(Math.random() * action.dice1) + 1;
-                const roll2 = Math.floor(Math.random() * action.dice2) + 1;
-                const total = roll1 + roll2;
-                const highRoll = Math.max(roll1, roll2);
-                const damage = highRoll + finalModifier;
-
-                const isFumble = roll1 === 1 && roll2 === 1;
-                const isCrit = !isFumble && roll1 === roll2 && roll1 > 5;
-                const isHit = isFumble ? false : isCrit ? true : (roll1 > gate && roll2 > gate);
-
-                let resultText = `> **${characterName}** ⚔️ (Attack #${currentCount}) - **${actionName}**\n`;
-                if (penalties.gate > 0 || penalties.damageReduction > 0 || penalties.blind) {
-                    const penaltyTexts = [];
-                    if (penalties.blind) penaltyTexts.push(`Blind (Gate 3)`);
-                    else if (penalties.gate > 0) penaltyTexts.push(`Gate +${penalties.gate}`);
-                    if (penalties.damageReduction > 0) penaltyTexts.push(`Modifier -${penalties.damageReduction}%`);
-                    resultText += `> *Cumulative Penalties: ${penaltyTexts.join(', ')}*\n`;
-                }
-                resultText += `> \n`;
-                resultText += `> d${action.dice1}: **${roll1}**  |  d${action.dice2}: **${roll2}**\n`;
-                resultText += `> Total: ${total}  •  Gate: ≤${gate}\n`;
-                resultText += `> \n`;
-                resultText += `> HighRoll = **${highRoll}**\n`;
-                if (penalties.damageReduction > 0) {
-                    resultText += `> Original: HR + ${action.modifier}\n`;
-                    resultText += `> Penalized: HR + ${finalModifier} = **${damage} damage**\n`;
-                } else {
-                    resultText += `> HR + ${finalModifier} = **${damage} damage**\n`;
-                }
-                resultText += `> \n`;
-                
-                if (isFumble) {
-                    resultText += `> 💀 **FUMBLE!** (Auto-Fail)`;
-                } else if (isCrit) {
-                    resultText += `> ⭐ **CRITICAL!** (Auto-Success)`;
-                } else if (isHit) {
-                    resultText += `> ✅ **HIT** (Both dice > ${gate})`;
-                } else {
-                    resultText += `> ❌ **MISS** (At least one die ≤ ${gate})`;
+                npc.savedActions[actionName] = action;
+                await saveData(guildId, { npcs: [npcKey] });
+
+                const typeEmoji = type === 'attack' ? '⚔️' : '✨';
+                let description = `${typeEmoji} **${actionName}**: ${actionDiceText(action, 'modifier')}`;
+                if (type === 'cast') {
+                    description += `\n💧 MP Cost: ${action.mpCost}`;
                 }
 
                 const embed = new EmbedBuilder()
-                    .setColor(isFumble ? 0x800000 : isCrit ? 0xFFD700 : isHit ? 0x00FF00 : 0xFF0000)
-                    .setTitle(`🎲 Attack Roll`)
-                    .setDescription(resultText)
+                    .setColor(0x00FF00)
+                    .setTitle(`✅ Action Saved for ${npc.characterName}`)
+                    .setDescription(description)
+                    .setFooter({ text: `Use /npc attack ${npc.characterName} ${actionName} to use it` })
                     .setTimestamp();
 
                 await interaction.reply({ embeds: [embed] });
-                return;
-            }
 
-        } else if (commandName === 'gmattack') {
-            // Defer reply immediately to prevent timeout
-            await interaction.deferReply();
+            } else if (subcommand === 'attack') {
+                const actionName = interaction.options.getString('action').toLowerCase();
+                const action = npc.savedActions[actionName];
 
-            const dice1 = interaction.options.getInteger('dice1');
-            const dice2 = interaction.options.getInteger('dice2');
-            const modifier = interaction.options.getInteger('modifier');
-            const penalty = interaction.options.getString('penalty');
-            const targetsString = interaction.options.getString('targets');
-            const damageType = interaction.options.getString('damage_type') || 'armor';
+                if (!action) {
+                    await interaction.reply({ content: `**${npc.characterName}** has no action "${actionName}". Use \`/npc view\` to see its actions.`, ephemeral: true });
+                    return;
+                }
 
-            // Parse gate from penalty
-            let gate = 1;
-            let finalModifier = modifier;
-            
-            if (penalty === 'gate2') gate = 2;
-            else if (penalty === 'gate3') gate = 3;
-            else if (penalty === 'mod50') finalModifier = Math.floor(modifier * 0.5);
-            else if (penalty === 'mod100') finalModifier = 0;
-
-            // Roll dice
-            const roll1 = Math.floor(Math.random() * dice1) + 1;
-            const roll2 = Math.floor(Math.random() * dice2) + 1;
-            const total = roll1 + roll2;
-            const highRoll = Math.max(roll1, roll2);
-            const damage = highRoll + finalModifier;
+                await interaction.deferReply();
+
+                await runGmAttack(interaction, {
+                    attackerName: npc.characterName,
+                    attacker: npc,
+                    actionName,
+                    dice1: action.dice1,
+                    dice2: action.dice2,
+                    expression: action.expression,
+                    modifier: action.modifier || 0,
+                    penalty: interaction.options.getString('penalty'),
+                    targetsString: interaction.options.getString('targets'),
+                    damageType: interaction.options.getString('damage_type') || 'armor'
+                });
+            }
 
-            // Determine hit/miss/fumble/crit
-            const isFumble = roll1 === 1 && roll2 === 1;
-            const isCrit = !isFumble && roll1 === roll2 && roll1 > 5;
-            const isHit = isFumble ? false : isCrit ? true : (roll1 > gate && roll2 > gate);
+        } else if (commandName === 'character') {
+            const subcommand = interaction.options.getSubcommand();
+            const player = interaction.options.getUser('player') || interaction.user;
+            const playerMember = player.id === interaction.user.id 
+                ? interaction.member 
+                : await interaction.guild.members.fetch(player.id);
 
-            // Parse targets
-            const targetMatches = targetsString.match(/<@!?(\d+)>/g) || [];
-            const targetIds = targetMatches.map(match => match.match(/\d+/)[0]);
+            if (subcommand === 'create') {
+                const name = interaction.options.getString('name').trim();
+                const key = characterKey(name);
+                const existing = playerData.get(player.id);
 
-            if (targetIds.length === 0) {
-                await interaction.editReply({ content: 'No valid targets found. Please mention players with @player.' });
-                return;
-            }
+                if (existing && existing.characters[key]) {
+                    await interaction.reply({ content: `${player.username} already has a character named **${existing.characters[key].characterName}**.`, ephemeral: true });
+                    return;
+                }
+
+                initPlayer(guildId, player.id, playerMember.displayName, name);
+                playerData.get(player.id).activeCharacter = key;
+
+                await saveData(guildId, { players: [player.id] });
 
-            // Build initial result
-            let resultText = `> **GM Attack** ⚔️\n`;
-            resultText += `> \n`;
-            resultText += `> d${dice1}: **${roll1}**  |  d${dice2}: **${roll2}**\n`;
-            resultText += `> Total: ${total}  •  Gate: ≤${gate}\n`;
-            resultText += `> \n`;
-            resultText += `> HighRoll = **${highRoll}**\n`;
-            if (penalty === 'mod50' || penalty === 'mod100') {
-                resultText += `> Original: HR + ${modifier}\n`;
-                resultText += `> Penalized: HR + ${finalModifier} = **${damage} damage**\n`;
-            } else {
-                resultText += `> HR + ${finalModifier} = **${damage} damage**\n`;
-            }
-            resultText += `> \n`;
-            
-            if (isFumble) {
-                resultText += `> 💀 **FUMBLE!** (Auto-Miss)\n`;
-                resultText += `> No damage dealt.`;
-                
                 const embed = new EmbedBuilder()
-                    .setColor(0x800000)
-                    .setTitle('🎲 GM Attack')
-                    .setDescription(resultText)
+                    .setColor(0x00FF00)
+                    .setTitle('✨ Character Created')
+                    .setDescription(`**${name}** is now ${playerMember.displayName}'s active character.\nUse \`/set\` to fill in their max resources.`)
                     .setTimestamp();
 
-                await interaction.editReply({ embeds: [embed] });
-                return;
-            } else if (isCrit) {
-                resultText += `> ⭐ **CRITICAL!** (Auto-Hit)`;
-            } else if (isHit) {
-                resultText += `> ✅ **HIT** (Both dice > ${gate})`;
-            } else {
-                resultText += `> ❌ **MISS** (At least one die ≤ ${gate})\n`;
-                resultText += `> No damage dealt.`;
-                
+                await interaction.reply({ embeds: [embed] });
+
+            } else if (subcommand === 'switch') {
+                const name = interaction.options.getString('name');
+                const key = characterKey(name);
+                const record = playerData.get(player.id);
+
+                if (!record || !record.characters[key]) {
+                    await interaction.reply({ content: `${player.username} has no character named **${name}**. Use \`/character list\` to see them.`, ephemeral: true });
+                    return;
+                }
+
+                record.activeCharacter = key;
+                record.username = playerMember.displayName;
+                await saveData(guildId, { players: [player.id] });
+
+                const data = record.characters[key];
                 const embed = new EmbedBuilder()
-                    .setColor(0xFF0000)
-                    .setTitle('🎲 GM Attack')
-                    .setDescription(resultText)
+                    .setColor(0x0099FF)
+                    .setTitle('🔁 Character Switched')
+                    .setDescription(`${playerMember.displayName} is now playing **${data.characterName}**.`)
+                    .addFields(
+                        { name: `${RESOURCE_EMOJIS.HP} HP`, value: `${data.HP}/${data.maxHP}`, inline: true },
+                        { name: `${RESOURCE_EMOJIS.MP} MP`, value: `${data.MP}/${data.maxMP}`, inline: true }
+                    )
                     .setTimestamp();
 
-                await interaction.editReply({ embeds: [embed] });
-                return;
-            }
+                await interaction.reply({ embeds: [embed] });
 
-            // Attack hit - simple defend or take damage
-            const embed = new EmbedBuilder()
-                .setColor(isCrit ? 0xFFD700 : 0x00FF00)
-                .setTitle('🎲 GM Attack - HIT!')
-                .setDescription(resultText)
-                .addFields({
-                    name: 'Targets',
-                    value: targetMatches.join(' '),
-                    inline: false
-                })
-                .setFooter({ text: `${damage} ${damageType} damage incoming!` })
-                .setTimestamp();
+            } else if (subcommand === 'list') {
+                const record = playerData.get(player.id);
 
-            // Simple buttons: Defend or Take Damage
-            const row = new ActionRowBuilder()
-                .addComponents(
-                    new ButtonBuilder()
-                        .setCustomId(`gmattack_defend_${damage}_${damageType}_${interaction.id}`)
-                        .setLabel('🛡️ React with Defend')
-                        .setStyle(ButtonStyle.Success),
-                    new ButtonBuilder()
-                        .setCustomId(`gmattack_take_${damage}_${damageType}_${interaction.id}`)
-                        .setLabel('💔 Take Damage')
-                        .setStyle(ButtonStyle.Danger)
-                );
+                if (!record || Object.keys(record.characters).length === 0) {
+                    await interaction.reply({ content: `${player.username} has no characters yet. Use \`/character create\` to make one!`, ephemeral: true });
+                    return;
+                }
 
-            await interaction.editReply({
-                content: `${targetMatches.join(' ')} ⚔️ **INCOMING ATTACK!**`,
-                embeds: [embed],
-                components: [row]
-            });
+                let description = '';
+                for (const [key, data] of Object.entries(record.characters)) {
+                    const marker = key === record.activeCharacter ? '▶️' : '▫️';
+                    description += `${marker} **${data.characterName}** - ${RESOURCE_EMOJIS.HP} ${data.HP}/${data.maxHP} | ${RESOURCE_EMOJIS.MP} ${data.MP}/${data.maxMP}\n`;
+                }
 
-        } else if (commandName === 'eot') {
-            if (!activeEncounter.active) {
-                await interaction.reply({ content: 'No active clash. Use `/clash start` to begin.', ephemeral: true });
-                return;
-            }
+                const embed = new EmbedBuilder()
+                    .setColor(0x0099FF)
+                    .setTitle(`📋 ${playerMember.displayName}'s Characters`)
+                    .setDescription(description)
+                    .setFooter({ text: '▶️ = active character | /character switch to change' })
+                    .setTimestamp();
 
-            const player = interaction.options.getUser('player') || interaction.user;
-            
-            // Check if player is in the clash
-            if (!activeEncounter.combatants.includes(player.id)) {
-                await interaction.reply({ content: `${player.username} is not in the active clash.`, ephemeral: true });
-                return;
-            }
+                await interaction.reply({ embeds: [embed] });
 
-            const playerMember = await interaction.guild.members.fetch(player.id);
-            initPlayer(player.id, playerMember.displayName);
-            const data = playerData.get(player.id);
+            } else if (subcommand === 'retire') {
+                const name = interaction.options.getString('name');
+                const key = characterKey(name);
+                const record = playerData.get(player.id);
 
-            // Mark turn as taken
-            activeEncounter.turnsTaken.add(player.id);
+                if (!record || !record.characters[key]) {
+                    await interaction.reply({ content: `${player.username} has no character named **${name}**.`, ephemeral: true });
+                    return;
+                }
 
-            const embed = new EmbedBuilder()
-                .setColor(0x00FF00)
-                .setTitle('✅ Turn Complete')
-                .setDescription(`**${data.characterName}** has finished their turn!`)
-                .setTimestamp();
+                const retiredName = record.characters[key].characterName;
+                delete record.characters[key];
 
-            const takenCount = activeEncounter.turnsTaken.size;
-            const totalCount = activeEncounter.combatants.length;
-            embed.setFooter({ text: `${takenCount}/${totalCount} players have taken their turn` });
+                let description = `**${retiredName}** has been retired.`;
+                if (Object.keys(record.characters).length === 0) {
+                    await deletePlayer(guildId, player.id);
+                } else {
+                    if (record.activeCharacter === key) {
+                        record.activeCharacter = Object.keys(record.characters)[0];
+                        description += `\nNow playing **${record.characters[record.activeCharacter].characterName}**.`;
+                    }
+                    await saveData(guildId, { players: [player.id] });
+                }
 
-            await interaction.reply({ embeds: [embed] });
+                const embed = new EmbedBuilder()
+                    .setColor(0xFF0000)
+                    .setTitle('🪦 Character Retired')
+                    .setDescription(description)
+                    .setTimestamp();
+
+                await interaction.reply({ embeds: [embed] });
+            }
 
         } else if (commandName === 'guide') {
             const embed = new EmbedBuilder()
@@ -2410,47 +6119,57 @@ client.on('interactionCreate', async interaction => {
                 .addFields(
                     { 
                         name: '🎮 Setup', 
-                        value: '`/set @player name hp mp ip armor barrier` - Create/update (refills Armor/Barrier)\n`/delete @player` - Delete character data\n`/view [@player]` - View resources\n`/viewall` - View all players', 
+                        value: '`/set @player name hp mp ip armor barrier` - Create/update (refills Armor/Barrier)\n`/delete @player` - Delete character data\n`/view [@player] [character]` - View resources\n`/viewall` - View all players', 
+                        inline: false 
+                    },
+                    { 
+                        name: '🧙 Characters', 
+                        value: '`/character create <name> [@player]` - New character (becomes active)\n`/character switch <name> [@player]` - Change active character\n`/character list [@player]` - List characters\n`/character retire <name> [@player]` - Delete a character\n• Commands act on your active character; GMs can pass `character` to pick one', 
                         inline: false 
                     },
                     { 
                         name: '⚡ Quick Updates', 
-                        value: '`/hp <amount|full|zero>` - Update HP\n`/mp`, `/ip`, `/armor`, `/barrier` - Same for other resources\n`/rest` - Restore HP/MP to full\n`/defend` - Add max Armor & Barrier to current\n`/turn [@player]` - Clear Armor & Barrier to 0', 
+                        value: '`/hp <amount|full|zero>` - Update HP\n`/mp`, `/ip`, `/armor`, `/barrier` - Same for other resources (custom ones from `/resource` too)\n`/rest` - Restore HP/MP to full\n`/defend` - Add max Armor & Barrier to current\n`/turn [@player]` - Clear Armor & Barrier to 0', 
                         inline: false 
                     },
                     { 
                         name: '💥 Combat', 
-                        value: '`/damage <amt> <armor|barrier> [@players]` - Apply damage\n`/gmattack <d1> <d2> <mod> @targets` - GM attack with DEFEND buttons\n`/round` - New round (resets penalties & turn tracker only)', 
+                        value: '`/damage <amt> <armor|barrier> [@players]` - Apply damage\n`/gmattack @targets <d1> <d2> <mod>` - GM attack with DEFEND buttons (or `expression:`)\n`/round` - New round (resets penalties & turn tracker only)', 
                         inline: false 
                     },
                     { 
                         name: '🎲 Attack/Cast System', 
-                        value: '`/attack <d1> <d2> <mod> [penalty]` - Attack roll\n• Gate starts at 1\n• 2nd+ attack: Choose penalty (cumulative)\n• Penalties: Gate +1, -50% Mod, No Mod, Blind (Gate 3)\n• Fumble (1,1) = Auto-Fail | Crit (same, ≥6) = Auto-Success\n\n`/cast <d1> <d2> <mod> [penalty]` - Cast roll\n• 2nd cast: Extra 10 MP | 3rd+: Extra 20 MP\n• No automatic penalty prompts\n• Same crit/fumble rules', 
+                        value: '`/attack <d1> <d2> <mod> [penalty]` - Attack roll\n• Gate starts at 1\n• 2nd+ attack: Choose penalty (cumulative)\n• Penalties: Gate +1, -50% Mod, No Mod, Blind (Gate 3)\n• Fumble (1,1) = Auto-Fail | Crit (same, ≥6) = Auto-Success\n\n`/cast <d1> <d2> <mod> [penalty] [mpcost]` - Cast roll\n• MP is paid automatically: cost + 10 on the 2nd cast, + 20 on the 3rd+\n• Refused without enough MP unless `overdraw:True` (MP goes negative)\n• No automatic penalty prompts\n• Same crit/fumble rules\n\nAdd `target:@player` or `target_npc:` (and `damage_type`) to `/attack`, `/cast` or `/use`: on a hit the target gets DEFEND / Take Damage buttons', 
                         inline: false 
                     },
                     { 
                         name: '🎯 Penalty Details', 
-                        value: '**Gate +1**: Increases gate by 1 (stackable)\n**-50% Modifier**: Reduces modifier by 50% (stackable)\n**No Modifier**: Sets modifier to 0\n**Blind**: Sets gate to 3 (max, once only)\n\nPenalties are **cumulative** and persist until `/round` or `/resetpenalty`', 
+                        value: '**Gate +1**: Increases gate by 1 (stackable)\n**-50% Modifier**: Reduces modifier by 50% (stackable)\n**No Modifier**: Sets modifier to 0\n**Blind**: Sets gate to 3 (max, once only)\n\nPenalties are **cumulative** and persist until `/round` or `/resetpenalty`\n\nThese are the default numbers: GMs can change them with `/rules`', 
                         inline: false 
                     },
                     { 
                         name: '🔮 Status & Checks', 
-                        value: '`/status add <n> <duration> [@player]` - Add status\n`/status clear <n> [@player]` - Remove status\n`/tick [@player]` - Advance turn\n`/check <d1> <d2> <gate> [@player]` - Skill check', 
+                        value: '`/status add <n> <duration> [type] [amount] [@player]` - Add status\n• Types: damage over time, regeneration, gate, modifier, stunned\n`/status clear <n> [@player]` - Remove status\n`/tick [@player]` - Advance turn (effects trigger)\n• In a clash statuses tick on their own (`/settings statusticking`)\n`/check <d1> <d2> <gate> [@player]` - Skill check\n`/roll <expression> [gate] [modifier]` - Roll any dice, e.g. `2d10kh1+5`, `3d10kh2`, `d6!+@mod`\n`/rng status|verify` - Check the seed behind the rolls\n`/history [@player] [limit]` - Who changed what, and when\n`/undo` / `/redo` - Revert or restore your last change (GM: `/undo @player`)', 
                         inline: false 
                     },
                     { 
                         name: '🎯 Initiative Tracker', 
-                        value: '`/clash init` - Show who has taken their turn\n`/eot [@player]` - Mark end of turn (GM or self)\n`/round` - New round, resets all checkboxes', 
+                        value: '`/clash roll [dice]` - Roll initiative for everyone\n`/clash setinit <value>` - Set initiative by hand\n`/clash init` - Turn order, ▶️ marks who is up\n`/clash delay|ready|trigger` - Delay or hold your turn\n`/eot [@player]` - End turn, pings the next combatant\n`/round` - New round, resets all checkboxes', 
                         inline: false 
                     },
                     { 
                         name: '💾 Saved Actions', 
-                        value: '`/actionsave add <n> <type> <d1> <d2> <mod> [mpcost]` - Save action\n• Type: **attack** or **cast**\n`/use <name>` - Execute saved action\n`/actionsave list` - View all', 
+                        value: '`/actionsave add <n> <type> <d1> <d2> <mod> [mpcost]` - Save action\n• Type: **attack** or **cast**\n• Or `expression:` instead of dice, e.g. `3d10kh2+@mod` (`@mod` is the modifier after penalties)\n`/use <name>` - Execute saved action\n`/actionsave list` - View all', 
+                        inline: false 
+                    },
+                    { 
+                        name: '👹 NPCs (GM)', 
+                        value: '`/npc create <name> <hp> <mp> <armor> <barrier>` - Create/refill a stat block\n`/npc action <name> <action> <type> <d1> <d2> <mod>` - Save an NPC action\n`/npc attack <name> <action> @targets` - Attack with DEFEND buttons\n`/npc view|list|delete` - Manage NPCs\n• Use `npcs:`/`npc:` on `/clash add`, `/damage`, `/status`, `/tick`, `/eot` (GM)', 
                         inline: false 
                     },
                     { 
                         name: '⚔️ Clash & GM Tools', 
-                        value: '`/clash start|end|add|remove|list|init` - Manage encounters\n`/gmattack <d1> <d2> <mod> <targets>` - GM attack with defend option (GM)\n`/resetpenalty [type] [@player]` - Reset penalties (GM)\n`/round` - New round (GM only)', 
+                        value: '`/clash start|end|add|remove|list|init` - Manage encounters\n`/clash dashboard [pin]` - Move the live clash dashboard here (GM)\n`/gmattack <targets> <d1> <d2> <mod>` - GM attack with defend option (GM)\n`/resetpenalty [type] [@player]` - Reset penalties (GM)\n`/round` - New round (GM only)\n`/campaign export|import` - Back up or restore the campaign (GM)\n`/settings view|statusticking|gmrole` - Server settings and the GM role (GM)\n`/resource add|edit|remove|list` - Custom resources with their own commands; floor and overheal bound any resource (GM)\n`/rng seed [value]` / `/rng reveal` - New seed (publishes its hash) / reveal the seed (GM)\n• At 0 HP (`/rules` downedAt) characters are Downed; in a clash they make death saves or are defeated', 
                         inline: false 
                     },
                     { 
@@ -2467,12 +6186,17 @@ client.on('interactionCreate', async interaction => {
     } catch (error) {
         console.error(error);
         await interaction.reply({ content: 'An error occurred while processing the command.', ephemeral: true });
+    } finally {
+        await postDownedNotices(interaction);
     }
 });
 
 // Handle button interactions for penalty choices
 client.on('interactionCreate', async interaction => {
-    if (!interaction.isButton()) return;
+    if (!interaction.isButton() || !interaction.inGuild()) return;
+
+    const guildId = interaction.guildId;
+    const { playerData, settings, attackCounters, attackPenalties } = getGuildState(guildId);
 
     const parts = interaction.customId.split('_');
     const action = parts[0];
@@ -2481,92 +6205,59 @@ client.on('interactionCreate', async interaction => {
     // Handle gmattack buttons (defend or take)
     if (action === 'gmattack') {
         try {
-            await interaction.deferReply();
-
-            const [, buttonType, damageStr, damageType] = parts;
-            const damage = parseInt(damageStr);
-            
-            const userId = interaction.user.id;
-            const playerMember = interaction.member;
-            
-            initPlayer(userId, playerMember.displayName);
-            const data = playerData.get(userId);
-
-            const oldArmor = data.Armor;
-            const oldBarrier = data.Barrier;
-            const oldHP = data.HP;
-            let resultText = '';
-
-            if (buttonType === 'defend') {
-                // DEFEND: Add BOTH max armor and barrier, then take damage
-                data.Armor += data.maxArmor;
-                data.Barrier += data.maxBarrier;
-
-                // Apply damage based on type
-                if (damageType === 'armor') {
-                    const armorDamage = Math.min(damage, data.Armor);
-                    const overflowDamage = Math.max(0, damage - data.Armor);
-                    data.Armor = Math.max(0, data.Armor - damage);
-                    
-                    if (overflowDamage > 0) {
-                        data.HP = Math.max(0, data.HP - overflowDamage);
-                        resultText = `**${data.characterName}** DEFENDED!\n\n💥 Armor: ${oldArmor} +${data.maxArmor} = ${oldArmor + data.maxArmor} → ${data.Armor}\n🛡️ Barrier: ${oldBarrier} +${data.maxBarrier} = ${oldBarrier + data.maxBarrier} (untouched)\n💔 HP damage: ${overflowDamage} → HP: ${oldHP} → ${data.HP}/${data.maxHP}`;
-                    } else {
-                        resultText = `**${data.characterName}** DEFENDED!\n\n💥 Armor: ${oldArmor} +${data.maxArmor} = ${oldArmor + data.maxArmor} → ${data.Armor}\n🛡️ Barrier: ${oldBarrier} +${data.maxBarrier} = ${oldBarrier + data.maxBarrier} (untouched)`;
-                    }
-                } else if (damageType === 'barrier') {
-                    const barrierDamage = Math.min(damage, data.Barrier);
-                    const overflowDamage = Math.max(0, damage - data.Barrier);
-                    data.Barrier = Math.max(0, data.Barrier - damage);
-                    
-                    if (overflowDamage > 0) {
-                        data.HP = Math.max(0, data.HP - overflowDamage);
-                        resultText = `**${data.characterName}** DEFENDED!\n\n💥 Armor: ${oldArmor} +${data.maxArmor} = ${oldArmor + data.maxArmor} (untouched)\n🛡️ Barrier: ${oldBarrier} +${data.maxBarrier} = ${oldBarrier + data.maxBarrier} → ${data.Barrier}\n💔 HP damage: ${overflowDamage} → HP: ${oldHP} → ${data.HP}/${data.maxHP}`;
-                    } else {
-                        resultText = `**${data.characterName}** DEFENDED!\n\n💥 Armor: ${oldArmor} +${data.maxArmor} = ${oldArmor + data.maxArmor} (untouched)\n🛡️ Barrier: ${oldBarrier} +${data.maxBarrier} = ${oldBarrier + data.maxBarrier} → ${data.Barrier}`;
-                    }
-                } else if (damageType === 'true') {
-                    data.HP = Math.max(0, data.HP - damage);
-                    resultText = `**${data.characterName}** DEFENDED!\n\n💥 Armor: ${oldArmor} +${data.maxArmor} = ${data.Armor}\n🛡️ Barrier: ${oldBarrier} +${data.maxBarrier} = ${data.Barrier}\n💔 True Damage: ${damage} → HP: ${oldHP} → ${data.HP}/${data.maxHP}`;
+            const [, buttonType, attackId] = parts;
+            const targetId = parts.slice(3).join('_');
+            const attack = getGuildState(guildId).incomingAttacks.get(attackId);
+
+            // Hits are resolved by their targets: a player answers for
+            // themselves (or the GM for them), the GM answers for an NPC
+            if (!attack || !(targetId in attack.responses)) {
+                await interaction.reply({ content: 'This attack has expired.', ephemeral: true });
+                return;
+            }
+            if (isNpcCombatant(targetId)) {
+                if (!isGm(interaction)) {
+                    await refuse(interaction, { reason: 'Only the GM can resolve a hit on an NPC!' });
+                    return;
                 }
-
-            } else if (buttonType === 'take') {
-                // TAKE DAMAGE: No defense
-                if (damageType === 'armor') {
-                    const armorDamage = Math.min(damage, data.Armor);
-                    const overflowDamage = Math.max(0, damage - data.Armor);
-                    data.Armor = Math.max(0, data.Armor - damage);
-                    
-                    if (overflowDamage > 0) {
-                        data.HP = Math.max(0, data.HP - overflowDamage);
-                        resultText = `**${data.characterName}** took the hit!\n\n💥 Armor: ${oldArmor} → ${data.Armor}\n💔 HP damage: ${overflowDamage} → HP: ${oldHP} → ${data.HP}/${data.maxHP}`;
-                    } else {
-                        resultText = `**${data.characterName}** took the hit!\n\n💥 Armor: ${oldArmor} → ${data.Armor}`;
-                    }
-                } else if (damageType === 'barrier') {
-                    const barrierDamage = Math.min(damage, data.Barrier);
-                    const overflowDamage = Math.max(0, damage - data.Barrier);
-                    data.Barrier = Math.max(0, data.Barrier - damage);
-                    
-                    if (overflowDamage > 0) {
-                        data.HP = Math.max(0, data.HP - overflowDamage);
-                        resultText = `**${data.characterName}** took the hit!\n\n🛡️ Barrier: ${oldBarrier} → ${data.Barrier}\n💔 HP damage: ${overflowDamage} → HP: ${oldHP} → ${data.HP}/${data.maxHP}`;
-                    } else {
-                        resultText = `**${data.characterName}** took the hit!\n\n🛡️ Barrier: ${oldBarrier} → ${data.Barrier}`;
-                    }
-                } else if (damageType === 'true') {
-                    data.HP = Math.max(0, data.HP - damage);
-                    resultText = `**${data.characterName}** took the hit!\n\n💔 True Damage: ${damage} → HP: ${oldHP} → ${data.HP}/${data.maxHP}`;
+                if (!getCombatant(guildId, targetId)) {
+                    await interaction.reply({ content: 'That NPC no longer exists.', ephemeral: true });
+                    return;
                 }
+            } else if (interaction.user.id !== targetId && !isGm(interaction)) {
+                await interaction.reply({ content: 'This attack is not aimed at you!', ephemeral: true });
+                return;
             }
 
-            await interaction.editReply({ content: resultText });
+            let data = getCombatant(guildId, targetId);
+            if (!data) {
+                const targetMember = targetId === interaction.user.id
+                    ? interaction.member
+                    : await interaction.guild.members.fetch(targetId);
+                data = initPlayer(guildId, targetId, targetMember.displayName);
+            }
+
+            if (attack.responses[targetId]) {
+                await interaction.reply({ content: `${data.characterName} has already answered this attack.`, ephemeral: true });
+                return;
+            }
+
+            const defend = buttonType === 'defend';
+            const history = startHistory(interaction, defend ? 'gmattack: defend' : 'gmattack: take damage');
+            const resultText = answerIncomingAttack(attack, targetId, data, { defend, history });
+            history.commit();
+            saveData(guildId, combatantChanges([targetId], true));
+
+            await interaction.reply({ content: resultText });
+            await interaction.message.edit(incomingAttackUpdate(attack, interaction.message.embeds[0]));
+            await postDownedNotices(interaction);
             return;
 
         } catch (error) {
             console.error('Error handling gmattack button:', error);
             try {
-                await interaction.editReply({ content: 'An error occurred.' });
+                if (interaction.replied || interaction.deferred) await interaction.followUp({ content: 'An error occurred.', ephemeral: true });
+                else await interaction.reply({ content: 'An error occurred.', ephemeral: true });
             } catch (e) {
                 console.error('Failed to send error:', e);
             }
@@ -2574,187 +6265,139 @@ client.on('interactionCreate', async interaction => {
         }
     }
     
+    // Handle campaign import confirmation
+    if (action === 'campaign') {
+        const [, choice, importId] = parts;
+        const pending = pendingImports.get(importId);
+
+        if (!pending || pending.expires < Date.now() || pending.guildId !== guildId) {
+            pendingImports.delete(importId);
+            await interaction.update({ content: 'This import has expired. Run `/campaign import` again.', embeds: [], components: [] });
+            return;
+        }
+        if (pending.userId !== interaction.user.id) {
+            await interaction.reply({ content: 'Only the GM who started this import can confirm it.', ephemeral: true });
+            return;
+        }
+
+        pendingImports.delete(importId);
+        if (choice === 'cancel') {
+            await interaction.update({ content: 'Import cancelled.', embeds: [], components: [] });
+            return;
+        }
+
+        await applyImport(guildId, pending.campaign, pending.mode);
+        await interaction.update({
+            content: `✅ Campaign imported (${pending.mode}): ${pending.campaign.players.size} player(s), ${pending.campaign.npcs.size} NPC(s).`,
+            embeds: [],
+            components: []
+        });
+        return;
+    }
+
     const type = parts[1];
     
     if (action !== 'penalty') return;
     
     // Handle both "penalty_attack_..." and "penalty_use_..." formats
     if (type === 'attack') {
-        const [, , userId, dice1Str, dice2Str, modifierStr, penalty] = parts;
+        const [, , userId, countStr, dice1Str, dice2Str, modifierStr, penalty, damageType = 'armor'] = parts;
+        const targetId = parts.slice(9).join('_') || null;
         
         // Only the player can click their penalty buttons
         if (interaction.user.id !== userId) {
             await interaction.reply({ content: 'This is not your penalty choice!', ephemeral: true });
             return;
         }
+        if (penaltyChoiceExpired(attackCounters, userId, countStr, penalty)) {
+            await interaction.update(PENALTY_EXPIRED);
+            return;
+        }
 
         const dice1 = parseInt(dice1Str);
         const dice2 = parseInt(dice2Str);
         const modifier = parseInt(modifierStr);
 
-        initPlayer(userId, interaction.member.displayName);
-    const data = playerData.get(userId);
-    const characterName = data.characterName;
-
-    // Get current count
-    const currentCount = attackCounters.get(userId);
-
-    // Add penalty cumulatively
-    const penalties = attackPenalties.get(userId);
-    if (penalty === 'gate') {
-        penalties.gate += 1;
-    } else if (penalty === 'damage50') {
-        penalties.damageReduction += 50;
-    } else if (penalty === 'damage100') {
-        penalties.damageReduction += 100;
-    } else if (penalty === 'blind') {
-        penalties.blind = true;
-    }
-
-    // Calculate final values (blind sets gate to 3)
-    let gate = penalties.blind ? 3 : (1 + penalties.gate);
-    let damageMultiplier = 1 - (penalties.damageReduction / 100);
-    const finalModifier = Math.floor(modifier * damageMultiplier);
-
-    // Build cumulative penalty text
-    const cumulativeParts = [];
-    if (penalties.blind) cumulativeParts.push(`Blind (Gate 3)`);
-    else if (penalties.gate > 0) cumulativeParts.push(`Gate +${penalties.gate}`);
-    if (penalties.damageReduction > 0) cumulativeParts.push(`Modifier -${penalties.damageReduction}%`);
-    const cumulativeText = cumulativeParts.join(', ');
-
-    // Roll the dice
-    const roll1 = Math.floor(Math.random() * dice1) + 1;
-    const roll2 = Math.floor(Math.random() * dice2) + 1;
-    const total = roll1 + roll2;
-    const highRoll = Math.max(roll1, roll2);
-    const damage = highRoll + finalModifier;
-
-    // Determine hit/miss/fumble/crit
-    const isFumble = roll1 === 1 && roll2 === 1;
-    const isCrit = !isFumble && roll1 === roll2 && roll1 > 5;
-    const isHit = isFumble ? false : isCrit ? true : (roll1 > gate && roll2 > gate);
-
-    // Build result text
-    let resultText = `> **${characterName}** ⚔️ (Attack #${currentCount})\n`;
-    resultText += `> *Cumulative Penalties: ${cumulativeText}*\n`;
-    resultText += `> \n`;
-    resultText += `> d${dice1}: **${roll1}**  |  d${dice2}: **${roll2}**\n`;
-    resultText += `> Total: ${total}  •  Gate: ≤${gate}\n`;
-    resultText += `> \n`;
-    resultText += `> HighRoll = **${highRoll}**\n`;
-    if (damageMultiplier < 1) {
-        resultText += `> Original: HR + ${modifier}\n`;
-        resultText += `> Penalized: HR + ${finalModifier} = **${damage} damage**\n`;
-    } else {
-        resultText += `> HR + ${finalModifier} = **${damage} damage**\n`;
-    }
-    resultText += `> \n`;
-    
-    if (isFumble) {
-        resultText += `> 💀 **FUMBLE!** (Auto-Fail)`;
-    } else if (isCrit) {
-        resultText += `> ⭐ **CRITICAL!** (Auto-Success)`;
-    } else if (isHit) {
-        resultText += `> ✅ **HIT** (Both dice > ${gate})`;
-    } else {
-        resultText += `> ❌ **MISS** (At least one die ≤ ${gate})`;
-    }
+        const data = initPlayer(guildId, userId, interaction.member.displayName);
+
+        // Add the picked penalty to the ones already taken this round
+        const penalties = penaltiesFor(attackPenalties, userId);
+        applyPenalty(penalties, penalty, settings.rules);
+        saveData(guildId, { encounter: true });
+
+        const { embed, resolution } = rollAction(guildId, data, { kind: 'attack', dice1, dice2, modifier, penalties, count: attackCounters.get(userId) });
+        await interaction.update(attackRollReply(interaction, embed, { ...resolution, damageType, targetId }));
+        await watchIncomingAttack(interaction);
 
-    const embed = new EmbedBuilder()
-        .setColor(isFumble ? 0x800000 : isCrit ? 0xFFD700 : isHit ? 0x00FF00 : 0xFF0000)
-        .setTitle(`🎲 Attack Roll`)
-        .setDescription(resultText)
-        .setTimestamp();
 
-    await interaction.update({ embeds: [embed], components: [] });
-    
     } else if (type === 'use') {
-        const [, , userId, actionName, dice1Str, dice2Str, modifierStr, penalty] = parts;
+        const [, , userId, countStr, actionName, dice1Str, dice2Str, modifierStr, penalty, damageType = 'armor'] = parts;
+        const targetId = parts.slice(10).join('_') || null;
         
         // Only the player can click their penalty buttons
         if (interaction.user.id !== userId) {
             await interaction.reply({ content: 'This is not your penalty choice!', ephemeral: true });
             return;
         }
+        if (penaltyChoiceExpired(attackCounters, userId, countStr, penalty)) {
+            await interaction.update(PENALTY_EXPIRED);
+            return;
+        }
 
         const dice1 = parseInt(dice1Str);
         const dice2 = parseInt(dice2Str);
         const modifier = parseInt(modifierStr);
 
-        initPlayer(userId, interaction.member.displayName);
-        const data = playerData.get(userId);
-        const characterName = data.characterName;
-
-        const currentCount = attackCounters.get(userId);
-
-        const penalties = attackPenalties.get(userId);
-        if (penalty === 'gate') {
-            penalties.gate += 1;
-        } else if (penalty === 'damage50') {
-            penalties.damageReduction += 50;
-        } else if (penalty === 'damage100') {
-            penalties.damageReduction += 100;
-        } else if (penalty === 'blind') {
-            penalties.blind = true;
-        }
-
-        let gate = penalties.blind ? 3 : (1 + penalties.gate);
-        let damageMultiplier = 1 - (penalties.damageReduction / 100);
-        const finalModifier = Math.floor(modifier * damageMultiplier);
-
-        const cumulativeParts = [];
-        if (penalties.blind) cumulativeParts.push(`Blind (Gate 3)`);
-        else if (penalties.gate > 0) cumulativeParts.push(`Gate +${penalties.gate}`);
-        if (penalties.damageReduction > 0) cumulativeParts.push(`Modifier -${penalties.damageReduction}%`);
-        const cumulativeText = cumulativeParts.join(', ');
-
-        const roll1 = Math.floor(Math.random() * dice1) + 1;
-        const roll2 = Math.floor(Math.random() * dice2) + 1;
-        const total = roll1 + roll2;
-        const highRoll = Math.max(roll1, roll2);
-        const damage = highRoll + finalModifier;
-
-        const isFumble = roll1 === 1 && roll2 === 1;
-        const isCrit = !isFumble && roll1 === roll2 && roll1 > 5;
-        const isHit = isFumble ? false : isCrit ? true : (roll1 > gate && roll2 > gate);
-
-        let resultText = `> **${characterName}** ⚔️ (Attack #${currentCount}) - **${actionName}**\n`;
-        if (cumulativeText) {
-            resultText += `> *Cumulative Penalties: ${cumulativeText}*\n`;
-        }
-        resultText += `> \n`;
-        resultText += `> d${dice1}: **${roll1}**  |  d${dice2}: **${roll2}**\n`;
-        resultText += `> Total: ${total}  •  Gate: ≤${gate}\n`;
-        resultText += `> \n`;
-        resultText += `> HighRoll = **${highRoll}**\n`;
-        if (penalties.damageReduction > 0) {
-            resultText += `> Original: HR + ${modifier}\n`;
-            resultText += `> Penalized: HR + ${finalModifier} = **${damage} damage**\n`;
-        } else {
-            resultText += `> HR + ${finalModifier} = **${damage} damage**\n`;
-        }
-        resultText += `> \n`;
-        
-        if (isFumble) {
-            resultText += `> 💀 **FUMBLE!** (Auto-Fail)`;
-        } else if (isCrit) {
-            resultText += `> ⭐ **CRITICAL!** (Auto-Success)`;
-        } else if (isHit) {
-            resultText += `> ✅ **HIT** (Both dice > ${gate})`;
-        } else {
-            resultText += `> ❌ **MISS** (At least one die ≤ ${gate})`;
+        const data = initPlayer(guildId, userId, interaction.member.displayName);
+
+        // Expression actions keep their expression on the sheet, not in the button
+        const action = data.savedActions[actionName];
+        const expression = action ? action.expression : null;
+
+        // Add the picked penalty to the ones already taken this round
+        const penalties = penaltiesFor(attackPenalties, userId);
+        applyPenalty(penalties, penalty, settings.rules);
+        saveData(guildId, { encounter: true });
+
+        const result = rollAction(guildId, data, {
+            kind: 'attack',
+            dice1,
+            dice2,
+            expression,
+            modifier,
+            penalties,
+            count: attackCounters.get(userId),
+            actionName
+        });
+        if (result.error) {
+            await interaction.reply({ content: result.error, ephemeral: true });
+            return;
         }
 
-        const embed = new EmbedBuilder()
-            .setColor(isFumble ? 0x800000 : isCrit ? 0xFFD700 : isHit ? 0x00FF00 : 0xFF0000)
-            .setTitle(`🎲 Attack Roll`)
-            .setDescription(resultText)
-            .setTimestamp();
-
-        await interaction.update({ embeds: [embed], components: [] });
+        await interaction.update(attackRollReply(interaction, result.embed, { ...result.resolution, damageType, targetId }));
+        await watchIncomingAttack(interaction);
     }
 });
 
-// Login to Discord
-client.login(TOKEN);
+// Register commands, migrate the database and log in to Discord (unless
+// loaded by the tests). A failed migration stops the bot before it goes online.
+if (require.main === module) {
+    registerCommands();
+    initDatabase()
+        .then(() => client.login(TOKEN))
+        .catch(error => {
+            console.error('❌ Error initializing database, not starting:', error);
+            process.exit(1);
+        });
+}
+
+// Internals, for the tests
+module.exports = {
+    getGuildState,
+    upsertCharacter,
+    writeDataFile,
+    loadData,
+    createCharacter,
+    snapshotSheet,
+    updateDowned
+};
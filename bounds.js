@@ -0,0 +1,83 @@
+// Resource bounds: how low and how high a sheet's resources may go. Each
+// resource definition (see resources.js) carries a floor (the lowest value,
+// 0 or below, e.g. negative HP) and an overheal (how far past its max it may
+// go, as a % of that max; 0 keeps it at max). Every change to a resource goes
+// through setResource or adjustResource, and the amount cut off is reported
+// back so embeds can show it. The one exception is an overdrawn cast, which
+// pays its MP in full (payResource).
+
+const MIN_FLOOR = -100000;
+const MAX_OVERHEAL = 1000; // %
+
+// The lowest and highest value a sheet's resource may take
+function resourceRange(data, resource) {
+    const max = data[`max${resource.name}`] || 0;
+    return { floor: resource.floor, cap: max + Math.floor(max * resource.overheal / 100) };
+}
+
+// Store a value, clamped to the resource's range.
+// Returns { before, after, clipped, floor, cap }; clipped is the part cut off
+// (positive above the cap, negative below the floor).
+function setResource(data, resource, value) {
+    const { floor, cap } = resourceRange(data, resource);
+    const before = data[resource.name];
+    const after = Math.min(cap, Math.max(floor, value));
+    data[resource.name] = after;
+    return { before, after, clipped: value - after, floor, cap };
+}
+
+// Add amount (negative to subtract), stopping at the floor or cap. A value
+// that is already out of range (a max was lowered since) is never pushed
+// further out, but isn't pulled back in either. Returns what setResource does.
+function adjustResource(data, resource, amount) {
+    const before = data[resource.name] || 0;
+    const { floor, cap } = resourceRange(data, resource);
+    const requested = before + amount;
+    const after = Math.min(Math.max(cap, before), Math.max(Math.min(floor, before), requested));
+    data[resource.name] = after;
+    return { before, after, clipped: requested - after, floor, cap };
+}
+
+// Pay cost out of a resource in full, even below its floor: an overdrawn
+// /cast or /use leaves MP negative. Returns what setResource does.
+function payResource(data, resource, cost) {
+    const before = data[resource.name] || 0;
+    const { floor, cap } = resourceRange(data, resource);
+    data[resource.name] = before - cost;
+    return { before, after: data[resource.name], clipped: 0, floor, cap };
+}
+
+// "3 over the cap (12) lost" for a clipped change ('' if nothing was cut off)
+function clippedText({ clipped, floor, cap }) {
+    if (clipped > 0) return `${clipped} over the cap (${cap}) lost`;
+    if (clipped < 0) return `${-clipped} under the floor (${floor}) lost`;
+    return '';
+}
+
+function floorError(floor) {
+    if (!Number.isInteger(floor) || floor > 0 || floor < MIN_FLOOR) return `The floor must be a whole number from ${MIN_FLOOR} to 0`;
+    return null;
+}
+
+function overhealError(overheal) {
+    if (!Number.isInteger(overheal) || overheal < 0 || overheal > MAX_OVERHEAL) return `The overheal must be a whole number from 0 to ${MAX_OVERHEAL} (% of the max)`;
+    return null;
+}
+
+// "0 to max", "-10 to max +50%": a definition's range, for /resource list
+function boundsText(resource) {
+    return `${resource.floor} to max${resource.overheal > 0 ? ` +${resource.overheal}%` : ''}`;
+}
+
+module.exports = {
+    MIN_FLOOR,
+    MAX_OVERHEAL,
+    resourceRange,
+    setResource,
+    adjustResource,
+    payResource,
+    clippedText,
+    floorError,
+    overhealError,
+    boundsText
+};
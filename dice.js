@@ -0,0 +1,324 @@
+// Dice expression engine for /roll and saved actions.
+//
+// Supported syntax (case-insensitive):
+//   2d10, d8, d%          dice (count defaults to 1, d% is d100)
+//   4d6kh3, 3d10kl1       keep the highest / lowest N dice (k = kh)
+//   4d6dl1, 4d6dh1        drop the lowest / highest N dice
+//   d6!, d10!>8           exploding dice: roll again on the max face (or above N)
+//   {d10,d8}kh1           groups: keep the highest / lowest N sub-results
+//   @mod, @HP             named variables
+//   + - * / ( )           arithmetic (division rounds down)
+//
+// The gate / fumble / crit rules live here too (judgeRoll) so every roll,
+// whatever its expression, is judged the same way.
+
+const MAX_EXPRESSION_LENGTH = 200;
+const MAX_DICE = 100;          // Dice in a single term (e.g. 100d6)
+const MAX_SIDES = 1000000;
+const MAX_TOTAL_ROLLS = 500;   // Every die rolled, explosions included
+const MAX_EXPLOSIONS = 20;     // Extra rolls for one exploding die
+
+// Split an expression into tokens: { type, value }
+function tokenize(expression) {
+    const tokens = [];
+    let rest = expression;
+
+    while (rest.length > 0) {
+        let match;
+        if ((match = rest.match(/^\s+/))) {
+            // Skip whitespace
+        } else if ((match = rest.match(/^\d+/))) {
+            tokens.push({ type: 'number', value: parseInt(match[0], 10) });
+        } else if ((match = rest.match(/^@([a-z_][a-z0-9_]*)/i))) {
+            tokens.push({ type: 'variable', value: match[1].toLowerCase() });
+        } else if ((match = rest.match(/^(kh|kl|dh|dl|k)/i))) {
+            tokens.push({ type: 'keep', value: match[0].toLowerCase() === 'k' ? 'kh' : match[0].toLowerCase() });
+        } else if ((match = rest.match(/^d/i))) {
+            tokens.push({ type: 'd' });
+        } else if ((match = rest.match(/^[-+*/(){},!%>]/))) {
+            tokens.push({ type: match[0] });
+        } else {
+            throw new Error(`Unexpected "${rest[0]}" in dice expression`);
+        }
+        rest = rest.slice(match[0].length);
+    }
+    return tokens;
+}
+
+// Recursive-descent parser producing an expression tree
+function parse(tokens) {
+    let position = 0;
+    const peek = () => tokens[position] || { type: 'end' };
+    const next = () => tokens[position++] || { type: 'end' };
+    const expect = type => {
+        const token = next();
+        if (token.type !== type) throw new Error(`Expected "${type}" in dice expression`);
+        return token;
+    };
+
+    // Keep/drop suffixes shared by dice and groups
+    function parseKeep() {
+        if (peek().type !== 'keep') return null;
+        const mode = next().value;
+        const count = peek().type === 'number' ? next().value : 1;
+        return { mode, count };
+    }
+
+    function parseDice(count) {
+        expect('d');
+        let sides;
+        if (peek().type === '%') {
+            next();
+            sides = 100;
+        } else {
+            sides = expect('number').value;
+        }
+        if (count < 1 || count > MAX_DICE) throw new Error(`Roll between 1 and ${MAX_DICE} dice at a time`);
+        if (sides < 1 || sides > MAX_SIDES) throw new Error(`Dice need between 1 and ${MAX_SIDES} sides`);
+
+        const node = { type: 'dice', count, sides, keep: null, explode: null };
+        for (;;) {
+            if (peek().type === 'keep' && !node.keep) {
+                node.keep = parseKeep();
+            } else if (peek().type === '!' && !node.explode) {
+                next();
+                let above = sides - 1;
+                if (peek().type === '>') {
+                    next();
+                    above = expect('number').value;
+                }
+                if (above < 1) throw new Error('Exploding dice must explode above 1 or more');
+                node.explode = { above };
+            } else {
+                break;
+            }
+        }
+        if (node.keep && node.keep.count > count) throw new Error(`Can't keep or drop ${node.keep.count} of ${count} dice`);
+        return node;
+    }
+
+    function parseAtom() {
+        const token = peek();
+        if (token.type === 'number') {
+            next();
+            return peek().type === 'd' ? parseDice(token.value) : { type: 'number', value: token.value };
+        }
+        if (token.type === 'd') return parseDice(1);
+        if (token.type === 'variable') {
+            next();
+            return { type: 'variable', name: token.value };
+        }
+        if (token.type === '(') {
+            next();
+            const inner = parseSum();
+            expect(')');
+            return { type: 'parens', inner };
+        }
+        if (token.type === '{') {
+            next();
+            const items = [parseSum()];
+            while (peek().type === ',') {
+                next();
+                items.push(parseSum());
+            }
+            expect('}');
+            const keep = parseKeep();
+            if (keep && keep.count > items.length) throw new Error(`Can't keep or drop ${keep.count} of ${items.length} group entries`);
+            return { type: 'group', items, keep };
+        }
+        throw new Error(token.type === 'end' ? 'Dice expression ends too early' : `Unexpected "${token.type}" in dice expression`);
+    }
+
+    function parseUnary() {
+        if (peek().type === '-') {
+            next();
+            return { type: 'negate', operand: parseUnary() };
+        }
+        if (peek().type === '+') {
+            next();
+            return parseUnary();
+        }
+        return parseAtom();
+    }
+
+    function parseProduct() {
+        let node = parseUnary();
+        while (peek().type === '*' || peek().type === '/') {
+            const operator = next().type;
+            node = { type: 'binary', operator, left: node, right: parseUnary() };
+        }
+        return node;
+    }
+
+    function parseSum() {
+        let node = parseProduct();
+        while (peek().type === '+' || peek().type === '-') {
+            const operator = next().type;
+            node = { type: 'binary', operator, left: node, right: parseProduct() };
+        }
+        return node;
+    }
+
+    const tree = parseSum();
+    if (position < tokens.length) throw new Error(`Unexpected "${peek().type}" in dice expression`);
+    return tree;
+}
+
+// Which entries a keep/drop rule keeps: a boolean per value
+function keptFlags(values, keep) {
+    if (!keep) return values.map(() => true);
+    const order = values.map((value, index) => ({ value, index }))
+        .sort((a, b) => b.value - a.value || a.index - b.index); // highest first
+    const keepCount = keep.mode === 'kh' || keep.mode === 'kl' ? keep.count : values.length - keep.count;
+    const chosen = keep.mode === 'kh' || keep.mode === 'dl'
+        ? order.slice(0, keepCount)
+        : order.slice(order.length - keepCount);
+    const flags = values.map(() => false);
+    for (const { index } of chosen) flags[index] = true;
+    return flags;
+}
+
+// Evaluate a parsed expression. Every die rolled is recorded in context.dice
+// as { sides, value, faces, kept }. Returns { value, text }.
+function evaluate(node, context) {
+    switch (node.type) {
+        case 'number':
+            return { value: node.value, text: String(node.value) };
+
+        case 'variable': {
+            if (!(node.name in context.variables)) throw new Error(`Unknown variable @${node.name}`);
+            const value = context.variables[node.name];
+            return { value, text: `${value}` };
+        }
+
+        case 'dice': {
+            const dice = [];
+            for (let i = 0; i < node.count; i++) {
+                const faces = [context.rollDie(node.sides)];
+                if (node.explode && node.sides > 1) {
+                    while (faces[faces.length - 1] > node.explode.above && faces.length <= MAX_EXPLOSIONS) {
+                        faces.push(context.rollDie(node.sides));
+                    }
+                }
+                dice.push({ sides: node.sides, value: faces.reduce((sum, face) => sum + face, 0), faces, kept: true });
+            }
+            const flags = keptFlags(dice.map(die => die.value), node.keep);
+            dice.forEach((die, index) => { die.kept = flags[index]; });
+            context.dice.push(...dice);
+
+            const value = dice.filter(die => die.kept).reduce((sum, die) => sum + die.value, 0);
+            const shown = dice.map(die => {
+                const face = die.faces.join('!+');
+                return die.kept ? face : `~~${face}~~`;
+            });
+            return { value, text: `[${shown.join(', ')}]` };
+        }
+
+        case 'group': {
+            const results = node.items.map(item => evaluate(item, context));
+            const flags = keptFlags(results.map(result => result.value), node.keep);
+            const value = results.reduce((sum, result, index) => sum + (flags[index] ? result.value : 0), 0);
+            const shown = results.map((result, index) => flags[index] ? result.text : `~~${result.text}~~`);
+            return { value, text: `{${shown.join(', ')}}` };
+        }
+
+        case 'parens': {
+            const inner = evaluate(node.inner, context);
+            return { value: inner.value, text: `(${inner.text})` };
+        }
+
+        case 'negate': {
+            const operand = evaluate(node.operand, context);
+            return { value: -operand.value, text: `-${operand.text}` };
+        }
+
+        case 'binary': {
+            const left = evaluate(node.left, context);
+            const right = evaluate(node.right, context);
+            let value;
+            if (node.operator === '+') value = left.value + right.value;
+            else if (node.operator === '-') value = left.value - right.value;
+            else if (node.operator === '*') value = left.value * right.value;
+            else {
+                if (right.value === 0) throw new Error('Division by zero in dice expression');
+                value = Math.floor(left.value / right.value);
+            }
+            return { value, text: `${left.text} ${node.operator} ${right.text}` };
+        }
+
+        default:
+            throw new Error(`Unknown dice expression node ${node.type}`);
+    }
+}
+
+// Check an expression without rolling it. Returns null or an error message.
+function validateExpression(expression, variableNames = null) {
+    if (typeof expression !== 'string' || !expression.trim()) return 'The dice expression is empty';
+    if (expression.length > MAX_EXPRESSION_LENGTH) return `Dice expressions can be at most ${MAX_EXPRESSION_LENGTH} characters`;
+    try {
+        const tree = parse(tokenize(expression));
+        if (variableNames) {
+            const known = new Set(variableNames.map(name => name.toLowerCase()));
+            const unknown = listVariables(tree).filter(name => !known.has(name));
+            if (unknown.length > 0) return `Unknown variable${unknown.length > 1 ? 's' : ''} ${unknown.map(name => `@${name}`).join(', ')}`;
+        }
+        return null;
+    } catch (error) {
+        return error.message;
+    }
+}
+
+// Variable names used by a parsed expression
+function listVariables(node) {
+    switch (node.type) {
+        case 'variable': return [node.name];
+        case 'group': return node.items.flatMap(listVariables);
+        case 'parens': return listVariables(node.inner);
+        case 'negate': return listVariables(node.operand);
+        case 'binary': return [...listVariables(node.left), ...listVariables(node.right)];
+        default: return [];
+    }
+}
+
+// Roll an expression. variables maps names (without @) to numbers; random is
+// a function returning [0, 1) like Math.random (the guild's stream, see rng.js).
+// Returns { expression, total, text, dice } or { error }.
+function rollExpression(expression, { variables = {}, random }) {
+    const invalid = validateExpression(expression);
+    if (invalid) return { error: invalid };
+
+    let rolls = 0;
+    const context = {
+        variables: Object.fromEntries(Object.entries(variables).map(([name, value]) => [name.toLowerCase(), value])),
+        dice: [],
+        rollDie: sides => {
+            if (++rolls > MAX_TOTAL_ROLLS) throw new Error(`That expression rolls more than ${MAX_TOTAL_ROLLS} dice`);
+            return Math.floor(random() * sides) + 1;
+        }
+    };
+
+    try {
+        const { value, text } = evaluate(parse(tokenize(expression)), context);
+        return { expression: expression.trim(), total: value, text, dice: context.dice };
+    } catch (error) {
+        return { error: error.message };
+    }
+}
+
+// The table's roll rules, judged on the kept dice of a roll:
+// - Fumble: every die shows 1 (auto-fail)
+// - Crit: two or more dice, all showing the same value above critAbove (auto-success)
+// - Hit: every die is above the gate
+function judgeRoll(roll, { gate, critAbove = 5 }) {
+    const values = roll.dice.filter(die => die.kept).map(die => die.value);
+    const isFumble = values.length > 0 && values.every(value => value === 1);
+    const isCrit = !isFumble && values.length >= 2 && values.every(value => value === values[0]) && values[0] > critAbove;
+    const isHit = isFumble ? false : isCrit ? true : values.every(value => value > gate);
+    return { isFumble, isCrit, isHit };
+}
+
+module.exports = {
+    rollExpression,
+    validateExpression,
+    judgeRoll
+};
@@ -0,0 +1,68 @@
+// Command-line tool for the PostgreSQL schema migrations (see migrations.js)
+//
+//   npm run migrate              Apply all pending migrations
+//   npm run migrate -- status    Show applied and pending migrations
+//   npm run migrate -- down [n]  Roll back the last migration (or the last n)
+
+require('dotenv').config();
+
+const { Pool } = require('pg');
+const { migrate, rollback, migrationStatus } = require('./migrations');
+
+const USAGE = 'Usage: node migrate.js [up | status | down [steps]]';
+
+async function main() {
+    const [command = 'up', arg] = process.argv.slice(2);
+
+    if (!process.env.DATABASE_URL) {
+        console.error('❌ DATABASE_URL is not set. Migrations only apply to the PostgreSQL store.');
+        process.exitCode = 1;
+        return;
+    }
+
+    const pool = new Pool({
+        connectionString: process.env.DATABASE_URL,
+        ssl: {
+            rejectUnauthorized: false
+        }
+    });
+
+    try {
+        if (command === 'up') {
+            const applied = await migrate(pool);
+            if (applied.length === 0) console.log('Database schema is already up to date.');
+
+        } else if (command === 'status') {
+            const status = await migrationStatus(pool);
+            for (const migration of status) {
+                const state = migration.missing ? '⚠️ applied, script missing'
+                    : migration.appliedAt ? `✅ applied ${migration.appliedAt.toISOString()}`
+                    : '⬜ pending';
+                console.log(`${migration.name.padEnd(32)} ${state}`);
+            }
+            const pending = status.filter(migration => !migration.appliedAt).length;
+            console.log(`\n${status.length - pending} applied, ${pending} pending`);
+
+        } else if (command === 'down') {
+            const steps = arg === undefined ? 1 : parseInt(arg, 10);
+            if (!Number.isInteger(steps) || steps < 1) {
+                console.error(USAGE);
+                process.exitCode = 1;
+                return;
+            }
+            const rolledBack = await rollback(pool, steps);
+            if (rolledBack.length === 0) console.log('No migrations to roll back.');
+
+        } else {
+            console.error(USAGE);
+            process.exitCode = 1;
+        }
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exitCode = 1;
+    } finally {
+        await pool.end();
+    }
+}
+
+main();
@@ -0,0 +1,152 @@
+// Versioned schema migrations for the PostgreSQL store.
+//
+// Each file in migrations/ is named NNN_description.js and exports
+// `up(db)` and `down(db)`, which receive a pg client inside a transaction.
+// Applied versions are recorded in the schema_migrations table.
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key for pg_advisory_lock so two bot instances (or the bot and
+// the CLI) never migrate the same database at once
+const MIGRATION_LOCK_KEY = 72417;
+
+// Read migration scripts from disk, ordered by version
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .map(file => {
+            const migration = require(path.join(MIGRATIONS_DIR, file));
+            return {
+                version: parseInt(file, 10),
+                name: path.basename(file, '.js'),
+                up: migration.up,
+                down: migration.down
+            };
+        })
+        .sort((a, b) => a.version - b.version);
+}
+
+// Check whether a table has a column (used by migrations that upgrade
+// databases created before migrations were tracked)
+async function columnExists(db, table, column) {
+    const result = await db.query(`
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = current_schema() AND table_name = $1 AND column_name = $2
+    `, [table, column]);
+    return result.rows.length > 0;
+}
+
+// Run fn with a dedicated client holding the migration lock
+async function withMigrationLock(pool, fn) {
+    const db = await pool.connect();
+    try {
+        await db.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+        await db.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        return await fn(db);
+    } finally {
+        await db.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+        db.release();
+    }
+}
+
+// Applied migrations, newest last: [{ version, name, applied_at }]
+async function getApplied(db) {
+    const result = await db.query('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return result.rows;
+}
+
+// Run one migration step in its own transaction
+async function runStep(db, migration, direction) {
+    try {
+        await db.query('BEGIN');
+        await migration[direction](db);
+        if (direction === 'up') {
+            await db.query('INSERT INTO schema_migrations (version, name) VALUES ($1, $2)', [migration.version, migration.name]);
+        } else {
+            await db.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+        }
+        await db.query('COMMIT');
+    } catch (error) {
+        await db.query('ROLLBACK');
+        throw new Error(`Migration ${migration.name} (${direction}) failed: ${error.message}`);
+    }
+}
+
+// Apply every pending migration in order. Returns the names applied.
+async function migrate(pool, log = console.log) {
+    const migrations = loadMigrations();
+
+    return withMigrationLock(pool, async db => {
+        const appliedVersions = new Set((await getApplied(db)).map(row => row.version));
+        const applied = [];
+
+        for (const migration of migrations) {
+            if (appliedVersions.has(migration.version)) continue;
+            await runStep(db, migration, 'up');
+            log(`✅ Applied migration ${migration.name}`);
+            applied.push(migration.name);
+        }
+        return applied;
+    });
+}
+
+// Roll back the most recent migrations. Returns the names rolled back.
+async function rollback(pool, steps = 1, log = console.log) {
+    const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+
+    return withMigrationLock(pool, async db => {
+        const toRollBack = (await getApplied(db)).reverse().slice(0, steps);
+        const rolledBack = [];
+
+        for (const row of toRollBack) {
+            const migration = migrations.get(row.version);
+            if (!migration) {
+                throw new Error(`Migration ${row.name} is applied but its script is missing, so it can't be rolled back`);
+            }
+            await runStep(db, migration, 'down');
+            log(`↩️ Rolled back migration ${migration.name}`);
+            rolledBack.push(migration.name);
+        }
+        return rolledBack;
+    });
+}
+
+// Every known migration with when it was applied (null if pending).
+// Applied versions without a script (database newer than the code) are included too.
+async function migrationStatus(pool) {
+    const migrations = loadMigrations();
+
+    return withMigrationLock(pool, async db => {
+        const applied = new Map((await getApplied(db)).map(row => [row.version, row]));
+        const status = migrations.map(migration => ({
+            version: migration.version,
+            name: migration.name,
+            appliedAt: applied.has(migration.version) ? applied.get(migration.version).applied_at : null,
+            missing: false
+        }));
+
+        for (const row of applied.values()) {
+            if (!migrations.some(migration => migration.version === row.version)) {
+                status.push({ version: row.version, name: row.name, appliedAt: row.applied_at, missing: true });
+            }
+        }
+        return status.sort((a, b) => a.version - b.version);
+    });
+}
+
+module.exports = {
+    loadMigrations,
+    columnExists,
+    migrate,
+    rollback,
+    migrationStatus
+};
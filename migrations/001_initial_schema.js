@@ -0,0 +1,41 @@
+// The original single-server schema: one player row per Discord user and a
+// single encounter row. Databases created before migrations were tracked
+// already have these tables, so both statements are no-ops there.
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS players (
+            user_id TEXT PRIMARY KEY,
+            username TEXT NOT NULL,
+            character_name TEXT NOT NULL,
+            hp INTEGER DEFAULT 0,
+            mp INTEGER DEFAULT 0,
+            ip INTEGER DEFAULT 0,
+            armor INTEGER DEFAULT 0,
+            barrier INTEGER DEFAULT 0,
+            max_hp INTEGER DEFAULT 0,
+            max_mp INTEGER DEFAULT 0,
+            max_ip INTEGER DEFAULT 0,
+            max_armor INTEGER DEFAULT 0,
+            max_barrier INTEGER DEFAULT 0,
+            status_effects JSONB DEFAULT '[]'::jsonb,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS encounters (
+            id SERIAL PRIMARY KEY,
+            active BOOLEAN DEFAULT false,
+            combatants JSONB DEFAULT '[]'::jsonb,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS encounters');
+    await db.query('DROP TABLE IF EXISTS players');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,45 @@
+// Scope players and encounters per Discord server. Existing rows get the
+// legacy guild key ('') and are claimed by claimLegacyData() once the bot is ready.
+
+const { columnExists } = require('../migrations');
+
+const LEGACY_GUILD_KEY = '';
+
+async function up(db) {
+    if (!await columnExists(db, 'players', 'guild_id')) {
+        await db.query(`ALTER TABLE players ADD COLUMN guild_id TEXT NOT NULL DEFAULT '${LEGACY_GUILD_KEY}'`);
+        await db.query('ALTER TABLE players ALTER COLUMN guild_id DROP DEFAULT');
+        await db.query('ALTER TABLE players DROP CONSTRAINT players_pkey');
+        await db.query('ALTER TABLE players ADD PRIMARY KEY (guild_id, user_id)');
+    }
+
+    if (!await columnExists(db, 'encounters', 'guild_id')) {
+        await db.query(`ALTER TABLE encounters ADD COLUMN guild_id TEXT NOT NULL DEFAULT '${LEGACY_GUILD_KEY}'`);
+        await db.query('ALTER TABLE encounters ALTER COLUMN guild_id DROP DEFAULT');
+        await db.query('DELETE FROM encounters WHERE id <> 1');
+        await db.query('ALTER TABLE encounters DROP CONSTRAINT encounters_pkey');
+        await db.query('ALTER TABLE encounters DROP COLUMN id');
+        await db.query('ALTER TABLE encounters ADD PRIMARY KEY (guild_id)');
+    }
+}
+
+// Only possible while the data belongs to a single server
+async function down(db) {
+    const result = await db.query(`
+        SELECT COUNT(DISTINCT guild_id) AS count
+        FROM (SELECT guild_id FROM players UNION SELECT guild_id FROM encounters) AS guilds
+    `);
+    if (parseInt(result.rows[0].count, 10) > 1) {
+        throw new Error('Data from more than one server is stored; export and remove the other servers first');
+    }
+
+    await db.query('ALTER TABLE players DROP CONSTRAINT players_pkey');
+    await db.query('ALTER TABLE players DROP COLUMN guild_id');
+    await db.query('ALTER TABLE players ADD PRIMARY KEY (user_id)');
+
+    await db.query('ALTER TABLE encounters DROP CONSTRAINT encounters_pkey');
+    await db.query('ALTER TABLE encounters DROP COLUMN guild_id');
+    await db.query('ALTER TABLE encounters ADD COLUMN id SERIAL PRIMARY KEY');
+}
+
+module.exports = { up, down };
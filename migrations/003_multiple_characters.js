@@ -0,0 +1,27 @@
+// One row per character instead of per player. Existing rows become each
+// player's active character.
+
+const { columnExists } = require('../migrations');
+
+async function up(db) {
+    if (await columnExists(db, 'players', 'character_key')) return;
+
+    await db.query('ALTER TABLE players ADD COLUMN character_key TEXT');
+    await db.query('UPDATE players SET character_key = LOWER(TRIM(character_name))');
+    await db.query('ALTER TABLE players ALTER COLUMN character_key SET NOT NULL');
+    await db.query('ALTER TABLE players ADD COLUMN active BOOLEAN NOT NULL DEFAULT true');
+    await db.query('ALTER TABLE players ALTER COLUMN active SET DEFAULT false');
+    await db.query('ALTER TABLE players DROP CONSTRAINT players_pkey');
+    await db.query('ALTER TABLE players ADD PRIMARY KEY (guild_id, user_id, character_key)');
+}
+
+// Keeps only each player's active character
+async function down(db) {
+    await db.query('DELETE FROM players WHERE NOT active');
+    await db.query('ALTER TABLE players DROP CONSTRAINT players_pkey');
+    await db.query('ALTER TABLE players DROP COLUMN character_key');
+    await db.query('ALTER TABLE players DROP COLUMN active');
+    await db.query('ALTER TABLE players ADD PRIMARY KEY (guild_id, user_id)');
+}
+
+module.exports = { up, down };
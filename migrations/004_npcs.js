@@ -0,0 +1,29 @@
+// GM-owned NPC/monster stat blocks, one row per NPC per server
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS npcs (
+            guild_id TEXT NOT NULL,
+            npc_key TEXT NOT NULL,
+            name TEXT NOT NULL,
+            hp INTEGER DEFAULT 0,
+            mp INTEGER DEFAULT 0,
+            armor INTEGER DEFAULT 0,
+            barrier INTEGER DEFAULT 0,
+            max_hp INTEGER DEFAULT 0,
+            max_mp INTEGER DEFAULT 0,
+            max_armor INTEGER DEFAULT 0,
+            max_barrier INTEGER DEFAULT 0,
+            status_effects JSONB DEFAULT '[]'::jsonb,
+            saved_actions JSONB DEFAULT '{}'::jsonb,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (guild_id, npc_key)
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS npcs');
+}
+
+module.exports = { up, down };
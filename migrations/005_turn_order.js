@@ -0,0 +1,11 @@
+// Initiative, turn order, readied actions and round number for each encounter
+
+async function up(db) {
+    await db.query(`ALTER TABLE encounters ADD COLUMN IF NOT EXISTS turn_state JSONB DEFAULT '{}'::jsonb`);
+}
+
+async function down(db) {
+    await db.query('ALTER TABLE encounters DROP COLUMN IF EXISTS turn_state');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,11 @@
+// Saved actions (/actionsave) for player characters
+
+async function up(db) {
+    await db.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS saved_actions JSONB DEFAULT '{}'::jsonb`);
+}
+
+async function down(db) {
+    await db.query('ALTER TABLE players DROP COLUMN IF EXISTS saved_actions');
+}
+
+module.exports = { up, down };
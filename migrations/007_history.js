@@ -0,0 +1,26 @@
+// Append-only log of resource, status and encounter changes (/history)
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS history (
+            id SERIAL PRIMARY KEY,
+            guild_id TEXT NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            actor_id TEXT NOT NULL,
+            actor_name TEXT NOT NULL,
+            source TEXT NOT NULL,
+            target_id TEXT,
+            target_name TEXT NOT NULL,
+            field TEXT NOT NULL,
+            before_value JSONB,
+            after_value JSONB
+        )
+    `);
+    await db.query('CREATE INDEX IF NOT EXISTS history_guild_target ON history (guild_id, target_id, id)');
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS history');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,17 @@
+// Per-guild options set with /settings
+
+async function up(db) {
+    await db.query(`
+        CREATE TABLE IF NOT EXISTS guild_settings (
+            guild_id TEXT PRIMARY KEY,
+            settings JSONB NOT NULL DEFAULT '{}'::jsonb,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+}
+
+async function down(db) {
+    await db.query('DROP TABLE IF EXISTS guild_settings');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,11 @@
+// Values of GM-defined resources (/resource) on player characters
+
+async function up(db) {
+    await db.query(`ALTER TABLE players ADD COLUMN IF NOT EXISTS extra_resources JSONB DEFAULT '{}'::jsonb`);
+}
+
+async function down(db) {
+    await db.query('ALTER TABLE players DROP COLUMN IF EXISTS extra_resources');
+}
+
+module.exports = { up, down };
@@ -0,0 +1,87 @@
+// Who may run what. A GM is anyone holding the guild's GM role (/settings
+// gmrole) or, while no role is set, anyone with Manage Messages; server
+// administrators always are, so a guild can't lock itself out.
+// Everyone else may only change their own characters.
+
+const { PermissionFlagsBits } = require('discord.js');
+
+// Commands, or single subcommands ('rng seed'), only GMs may run
+const GM_COMMANDS = [
+    'reset', 'campaign', 'gmattack', 'round', 'resetpenalty', 'npc',
+    'clash start', 'clash end', 'clash dashboard',
+    'settings statusticking', 'settings gmrole',
+    'rng seed', 'rng reveal',
+    'rules set', 'rules penalty', 'rules reset',
+    'resource add', 'resource edit', 'resource remove'
+];
+
+// Options that need a GM whenever they are given. Naming an NPC changes it
+// (or moves it in or out of the clash), so every npc/npcs option does, except
+// on read-only commands; rerolling redoes everyone's initiative.
+const NPC_OPTIONS = ['npc', 'npcs'];
+const READ_ONLY_COMMANDS = ['history'];
+const GM_OPTIONS = {
+    'clash roll': ['reroll']
+};
+
+// The player option that picks whose character a command changes. Naming
+// anyone but yourself there needs a GM. (/undo @player is checked by its handler.)
+const PLAYER_OPTIONS = {
+    'set': 'player',
+    'delete': 'player',
+    'update': 'player',
+    'status add': 'player',
+    'status clear': 'player',
+    'tick': 'player',
+    'turn': 'player',
+    'eot': 'player',
+    'character create': 'player',
+    'character switch': 'player',
+    'character retire': 'player',
+    'clash setinit': 'player',
+    'clash trigger': 'player'
+};
+
+// Commands that take several players as mentions in a string option instead
+const MENTION_OPTIONS = {
+    'damage': 'players',
+    'clash add': 'players',
+    'clash remove': 'players'
+};
+
+function requiresGm(commandName, subcommand) {
+    return GM_COMMANDS.includes(commandName) || GM_COMMANDS.includes(`${commandName} ${subcommand}`);
+}
+
+// Names of the options only a GM may give for a command
+function gmOptions(commandName, subcommand) {
+    if (READ_ONLY_COMMANDS.includes(commandName)) return [];
+    return [...NPC_OPTIONS, ...(GM_OPTIONS[`${commandName} ${subcommand}`] || [])];
+}
+
+// Name of the option holding the player a command changes (or null)
+function playerTargetOption(commandName, subcommand) {
+    return PLAYER_OPTIONS[`${commandName} ${subcommand}`] || PLAYER_OPTIONS[commandName] || null;
+}
+
+// Name of the option holding mentions of the players a command changes (or null)
+function mentionTargetOption(commandName, subcommand) {
+    return MENTION_OPTIONS[`${commandName} ${subcommand}`] || MENTION_OPTIONS[commandName] || null;
+}
+
+// Whether a member is a GM. permissions is interaction.memberPermissions;
+// roleIds the member's role ids.
+function isGmMember(permissions, roleIds, gmRole) {
+    if (!permissions) return false;
+    if (permissions.has(PermissionFlagsBits.Administrator)) return true;
+    if (gmRole) return roleIds.includes(gmRole);
+    return permissions.has(PermissionFlagsBits.ManageMessages);
+}
+
+module.exports = {
+    requiresGm,
+    gmOptions,
+    playerTargetOption,
+    mentionTargetOption,
+    isGmMember
+};
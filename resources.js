@@ -0,0 +1,157 @@
+// Per-guild resource definitions: which resources a character sheet tracks,
+// their emoji, the max new sheets start with, whether /rest refills them,
+// whether /set keeps the current value (the way IP is kept) instead of
+// refilling it and how far the value may go below 0 or past the max (see
+// bounds.js). GMs change them with /resource; they are stored with the
+// guild settings (and so with campaign exports).
+//
+// A sheet holds each resource as data[name] and data[`max${name}`].
+
+const { floorError, overhealError, boundsText } = require('./bounds');
+
+// The resources every guild has. Combat depends on HP, MP, Armor and Barrier
+// and the database keeps all five in their own columns, so they can't be
+// removed or renamed; /rest and /set behaviour and their bounds are all a GM
+// can change. Armor and Barrier may stack to twice their max, so one /defend
+// on top of full protection still counts.
+const BUILTIN_RESOURCES = [
+    { name: 'HP', emoji: '❤️', max: 0, rest: true, preserve: false, floor: 0, overheal: 0 },
+    { name: 'MP', emoji: '💧', max: 0, rest: true, preserve: false, floor: 0, overheal: 0 },
+    { name: 'IP', emoji: '💰', max: 0, rest: false, preserve: true, floor: 0, overheal: 0 },
+    { name: 'Armor', emoji: '💥', max: 0, rest: true, preserve: false, floor: 0, overheal: 100 },
+    { name: 'Barrier', emoji: '🛡️', max: 0, rest: true, preserve: false, floor: 0, overheal: 100 }
+];
+
+// Resources an NPC stat block tracks
+const NPC_RESOURCES = ['HP', 'MP', 'Armor', 'Barrier'];
+
+const MAX_CUSTOM_RESOURCES = 10;
+const MAX_RESOURCE_VALUE = 100000;
+const MAX_EMOJI_LENGTH = 64; // Room for a custom server emoji (<:name:id>)
+
+// Sheet fields a resource name would clash with
+const RESERVED_NAMES = ['charactername', 'username', 'statuseffects', 'savedactions'];
+
+// The default definitions
+function createResources() {
+    return BUILTIN_RESOURCES.map(resource => ({ ...resource }));
+}
+
+// Rebuild definitions loaded from storage or an import, keeping only valid
+// entries. The built-ins always come first, in their usual order.
+function restoreResources(raw) {
+    const resources = createResources();
+    if (!Array.isArray(raw)) return resources;
+
+    for (const entry of raw) {
+        if (!entry || typeof entry !== 'object') continue;
+        const builtin = isBuiltinResource(entry.name) && resources.find(resource => resource.name === entry.name);
+        if (builtin) {
+            if (typeof entry.rest === 'boolean') builtin.rest = entry.rest;
+            if (typeof entry.preserve === 'boolean') builtin.preserve = entry.preserve;
+            if (floorError(entry.floor) === null) builtin.floor = entry.floor;
+            if (overhealError(entry.overheal) === null) builtin.overheal = entry.overheal;
+            continue;
+        }
+        if (customResources(resources).length >= MAX_CUSTOM_RESOURCES) continue;
+        if (resourceNameError(entry.name, resources) !== null) continue;
+        if (resourceEmojiError(entry.emoji) !== null || resourceMaxError(entry.max) !== null) continue;
+        resources.push({
+            name: entry.name,
+            emoji: entry.emoji,
+            max: entry.max,
+            rest: !!entry.rest,
+            preserve: !!entry.preserve,
+            floor: floorError(entry.floor) === null ? entry.floor : 0,
+            overheal: overhealError(entry.overheal) === null ? entry.overheal : 0
+        });
+    }
+    return resources;
+}
+
+function isBuiltinResource(name) {
+    return BUILTIN_RESOURCES.some(resource => resource.name === name);
+}
+
+// The GM-defined resources (everything but the built-ins)
+function customResources(resources) {
+    return resources.filter(resource => !isBuiltinResource(resource.name));
+}
+
+// Definition for a resource name, matched case-insensitively (or undefined)
+function findResource(resources, name) {
+    const lower = String(name).toLowerCase();
+    return resources.find(resource => resource.name.toLowerCase() === lower);
+}
+
+// Why name can't be used for a new resource, or null if it can.
+// reserved lists other names it mustn't take (e.g. existing commands).
+function resourceNameError(name, resources, reserved = []) {
+    if (typeof name !== 'string' || !/^[A-Za-z][A-Za-z0-9]{0,19}$/.test(name)) {
+        return 'Resource names are 1-20 letters or digits, starting with a letter';
+    }
+    const lower = name.toLowerCase();
+    if (findResource(resources, name)) return `There is already a resource called ${findResource(resources, name).name}`;
+    if (lower.startsWith('max') || RESERVED_NAMES.includes(lower) || reserved.includes(lower)) {
+        return `${name} can't be used as a resource name`;
+    }
+    return null;
+}
+
+function resourceEmojiError(emoji) {
+    if (typeof emoji !== 'string' || !emoji.trim() || emoji.length > MAX_EMOJI_LENGTH || /\s/.test(emoji)) {
+        return 'The emoji must be a single emoji';
+    }
+    return null;
+}
+
+function resourceMaxError(max) {
+    if (!Number.isInteger(max) || max < 0 || max > MAX_RESOURCE_VALUE) return `The max must be a whole number from 0 to ${MAX_RESOURCE_VALUE}`;
+    return null;
+}
+
+// Give a sheet any custom resources it doesn't have yet, full
+function fillResources(data, resources) {
+    for (const resource of customResources(resources)) {
+        if (!Number.isInteger(data[`max${resource.name}`])) data[`max${resource.name}`] = resource.max;
+        if (!Number.isInteger(data[resource.name])) data[resource.name] = data[`max${resource.name}`];
+    }
+}
+
+// A sheet's custom resource values ({ Stamina: 3, maxStamina: 5 }), for the
+// database column that holds them
+function customResourceValues(data, resources) {
+    const values = {};
+    for (const { name } of customResources(resources)) {
+        values[name] = data[name];
+        values[`max${name}`] = data[`max${name}`];
+    }
+    return values;
+}
+
+// "refilled by /rest, kept by /set, range 0 to max": what a definition does,
+// for /resource list
+function resourceBehaviour(resource) {
+    return [
+        resource.rest ? 'refilled by /rest' : 'kept by /rest',
+        resource.preserve ? 'kept by /set' : 'refilled by /set',
+        `range ${boundsText(resource)}`
+    ].join(', ');
+}
+
+module.exports = {
+    BUILTIN_RESOURCES,
+    NPC_RESOURCES,
+    MAX_CUSTOM_RESOURCES,
+    createResources,
+    restoreResources,
+    isBuiltinResource,
+    customResources,
+    findResource,
+    resourceNameError,
+    resourceEmojiError,
+    resourceMaxError,
+    fillResources,
+    customResourceValues,
+    resourceBehaviour
+};
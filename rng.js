@@ -0,0 +1,70 @@
+// Seedable random numbers for every dice roll, one stream per guild.
+//
+// Draw n of a stream is the first 48 bits of HMAC-SHA256(seed, n) divided by
+// 2^48, so a seed always produces the same rolls in the same order. The
+// commitment (SHA-256 of the seed) can be published before a session; once
+// the seed is revealed anyone can check it against the commitment and replay
+// every draw with drawAt. A die of S sides shows floor(draw * S) + 1.
+
+const crypto = require('crypto');
+
+// A fresh unpredictable seed
+function randomSeed() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+// The hash published before the seed is revealed
+function seedCommitment(seed) {
+    return crypto.createHash('sha256').update(seed).digest('hex');
+}
+
+// Draw number index of the stream for seed, in [0, 1) like Math.random
+function drawAt(seed, index) {
+    const digest = crypto.createHmac('sha256', seed).update(String(index)).digest();
+    return digest.readUIntBE(0, 6) / 2 ** 48;
+}
+
+// Start a stream. With no seed a random one is generated (and kept secret
+// until revealed); a chosen seed makes a reproducible playtest.
+// rng.random is the function handed to the dice engine.
+function createRng(seed = null) {
+    return buildRng({
+        seed: seed || randomSeed(),
+        chosen: !!seed,
+        startedAt: new Date().toISOString(),
+        draws: 0
+    });
+}
+
+// Pick a stored stream up where it left off, so a restart never replays a
+// draw. A missing or invalid one starts a fresh random stream.
+function restoreRng(raw) {
+    if (!raw || typeof raw.seed !== 'string' || raw.seed === '' || !Number.isInteger(raw.draws) || raw.draws < 0) {
+        return createRng();
+    }
+    return buildRng({
+        seed: raw.seed,
+        chosen: raw.chosen === true,
+        startedAt: typeof raw.startedAt === 'string' ? raw.startedAt : new Date().toISOString(),
+        draws: raw.draws
+    });
+}
+
+// What is stored of a stream: { seed, chosen, startedAt, draws }
+function snapshotRng({ seed, chosen, startedAt, draws }) {
+    return { seed, chosen, startedAt, draws };
+}
+
+function buildRng(position) {
+    const rng = { ...position, commitment: seedCommitment(position.seed) };
+    rng.random = () => drawAt(rng.seed, rng.draws++);
+    return rng;
+}
+
+module.exports = {
+    createRng,
+    restoreRng,
+    snapshotRng,
+    seedCommitment,
+    drawAt
+};
@@ -0,0 +1,136 @@
+// Per-guild game rules: the numbers behind gates, crits, multi-attack
+// penalties, multi-cast surcharges and going down at low HP. GMs change them
+// with /rules; they are stored with the guild settings (and so with campaign
+// exports).
+
+// Numeric rules: default, allowed range and what they do
+const RULES = {
+    baseGate: { default: 1, min: 0, max: 100, description: 'Gate every roll starts at' },
+    critAbove: { default: 5, min: 0, max: 1000, description: 'Matching dice above this are a critical' },
+    penaltyFrom: { default: 2, min: 1, max: 100, description: 'Attack in a round from which a penalty must be picked' },
+    gatePenalty: { default: 1, min: 0, max: 100, description: 'Gate added by each Gate penalty' },
+    modifierPenalty: { default: 50, min: 0, max: 100, description: '% of the modifier removed by the Reduced Modifier penalty' },
+    blindGate: { default: 3, min: 0, max: 100, description: 'Gate set by the Blind penalty' },
+    castSurcharge2: { default: 10, min: 0, max: 1000, description: 'Extra MP for the 2nd cast in a round' },
+    castSurcharge3: { default: 20, min: 0, max: 1000, description: 'Extra MP for the 3rd and later casts in a round' },
+    defendTimeout: { default: 300, min: 30, max: 3600, description: 'Seconds a hit target has to Defend before taking it undefended' },
+    downedAt: { default: 0, min: -1000, max: 1000, description: 'HP at or below which a character is Downed' },
+    deathSaves: { default: 0, min: 0, max: 10, description: 'Death saves to pass (or fail) when Downed in a clash; 0 = defeated at once' },
+    deathSaveDie: { default: 6, min: 1, max: 100, description: 'Size of both dice rolled for a death save' },
+    deathSaveGate: { default: 2, min: 0, max: 100, description: 'Gate a death save is checked against' }
+};
+
+// Multi-attack penalties a player can pick (the keys are stored in button ids)
+const PENALTY_OPTIONS = ['gate', 'damage50', 'damage100', 'blind'];
+
+// The default ruleset
+function createRules() {
+    const rules = {};
+    for (const [name, rule] of Object.entries(RULES)) rules[name] = rule.default;
+    rules.penalties = [...PENALTY_OPTIONS];
+    return rules;
+}
+
+// Rebuild rules loaded from storage or an import, keeping only valid values
+function restoreRules(raw) {
+    const rules = createRules();
+    if (!raw || typeof raw !== 'object') return rules;
+    for (const name of Object.keys(RULES)) {
+        if (ruleError(name, raw[name]) === null) rules[name] = raw[name];
+    }
+    if (Array.isArray(raw.penalties)) rules.penalties = PENALTY_OPTIONS.filter(option => raw.penalties.includes(option));
+    return rules;
+}
+
+// Why value can't be used for a numeric rule, or null if it can
+function ruleError(name, value) {
+    const rule = RULES[name];
+    if (!rule) return `Unknown rule ${name}`;
+    if (!Number.isInteger(value) || value < rule.min || value > rule.max) return `${name} must be a whole number from ${rule.min} to ${rule.max}`;
+    return null;
+}
+
+// Fresh multi-attack penalty tracking for a player
+function createPenalties() {
+    return { gate: 0, damageReduction: 0, blind: false };
+}
+
+// Rebuild a player's penalties loaded from storage
+function restorePenalties(raw) {
+    const penalties = createPenalties();
+    if (!raw || typeof raw !== 'object') return penalties;
+    if (Number.isInteger(raw.gate) && raw.gate >= 0) penalties.gate = raw.gate;
+    if (Number.isInteger(raw.damageReduction) && raw.damageReduction >= 0) penalties.damageReduction = raw.damageReduction;
+    penalties.blind = raw.blind === true;
+    return penalties;
+}
+
+// Add a picked penalty to a player's cumulative penalties
+function applyPenalty(penalties, option, rules) {
+    if (option === 'gate') penalties.gate += rules.gatePenalty;
+    else if (option === 'damage50') penalties.damageReduction += rules.modifierPenalty;
+    else if (option === 'damage100') penalties.damageReduction += 100;
+    else if (option === 'blind') penalties.blind = true;
+}
+
+// Gate before status effects: Blind overrides, otherwise base gate + Gate penalties
+function penaltyGate(penalties, rules) {
+    return penalties.blind ? rules.blindGate : rules.baseGate + penalties.gate;
+}
+
+// Share of the modifier left after modifier penalties (0 to 1)
+function modifierMultiplier(penalties) {
+    return Math.max(0, 1 - (penalties.damageReduction / 100));
+}
+
+// Button label for a penalty option
+function penaltyLabel(option, rules) {
+    if (option === 'gate') return `Gate +${rules.gatePenalty}`;
+    if (option === 'damage50') return `-${rules.modifierPenalty}% Modifier`;
+    if (option === 'damage100') return 'No Modifier';
+    return `Blind (Gate ${rules.blindGate})`;
+}
+
+// Slash command choice for a penalty option (/gmattack, /npc attack). Commands
+// are registered for every guild at once, so the name refers to the rule
+// rather than this guild's value.
+function penaltyChoice(option) {
+    const names = {
+        gate: 'Gate +gatePenalty',
+        damage50: 'Reduced Modifier (-modifierPenalty%)',
+        damage100: 'No Modifier',
+        blind: 'Blind (Gate = blindGate)'
+    };
+    return { name: names[option], value: option };
+}
+
+// "Blind (Gate 3), Modifier -50%" for a player's current penalties ('' if none)
+function penaltySummary(penalties, rules) {
+    const parts = [];
+    if (penalties.blind) parts.push(`Blind (Gate ${rules.blindGate})`);
+    else if (penalties.gate > 0) parts.push(`Gate +${penalties.gate}`);
+    if (penalties.damageReduction > 0) parts.push(`Modifier -${penalties.damageReduction}%`);
+    return parts.join(', ');
+}
+
+// Extra MP for the castNumber-th cast in a round
+function castSurcharge(castNumber, rules) {
+    return castNumber === 2 ? rules.castSurcharge2 : castNumber >= 3 ? rules.castSurcharge3 : 0;
+}
+
+module.exports = {
+    RULES,
+    PENALTY_OPTIONS,
+    createRules,
+    restoreRules,
+    ruleError,
+    createPenalties,
+    restorePenalties,
+    applyPenalty,
+    penaltyGate,
+    modifierMultiplier,
+    penaltyLabel,
+    penaltyChoice,
+    penaltySummary,
+    castSurcharge
+};
@@ -0,0 +1,100 @@
+// Penalties, gates and verdicts of the action pipeline (actions.js, rules.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { rollDamage, resolveAction } = require('../actions');
+const { createRules, createPenalties, applyPenalty, penaltyGate, modifierMultiplier } = require('../rules');
+const { createRng } = require('../rng');
+
+const NO_STATUS = { gate: 0, modifier: 0, text: '' };
+
+// A random that makes the dice show the given faces, in order
+function showing(sides, faces) {
+    let next = 0;
+    return () => (faces[next++] - 0.5) / sides;
+}
+
+test('two Gate penalties stack', () => {
+    const rules = createRules();
+    const penalties = createPenalties();
+    applyPenalty(penalties, 'gate', rules);
+    applyPenalty(penalties, 'gate', rules);
+    assert.strictEqual(penalties.gate, 2 * rules.gatePenalty);
+    assert.strictEqual(penaltyGate(penalties, rules), rules.baseGate + 2 * rules.gatePenalty);
+});
+
+test('two -50% modifier penalties add up to no modifier', () => {
+    const rules = createRules();
+    const penalties = createPenalties();
+    applyPenalty(penalties, 'damage50', rules);
+    assert.strictEqual(modifierMultiplier(penalties), 0.5);
+    applyPenalty(penalties, 'damage50', rules);
+    assert.strictEqual(penalties.damageReduction, 100);
+    assert.strictEqual(modifierMultiplier(penalties), 0);
+
+    applyPenalty(penalties, 'damage100', rules);
+    assert.strictEqual(modifierMultiplier(penalties), 0, 'the multiplier never goes negative');
+
+    const { modifier, baseModifier } = resolveAction({
+        dice1: 6, dice2: 6, modifier: 4, penalties, statusMods: NO_STATUS, rules, random: createRng('stacked').random
+    });
+    assert.strictEqual(baseModifier, 4);
+    assert.strictEqual(modifier, 0);
+});
+
+test('Blind overrides Gate penalties', () => {
+    const rules = createRules();
+    const penalties = createPenalties();
+    applyPenalty(penalties, 'gate', rules);
+    applyPenalty(penalties, 'gate', rules);
+    applyPenalty(penalties, 'blind', rules);
+    assert.strictEqual(penaltyGate(penalties, rules), rules.blindGate);
+
+    const { gate } = resolveAction({
+        dice1: 6, dice2: 6, penalties, statusMods: NO_STATUS, rules, random: createRng('blind').random
+    });
+    assert.strictEqual(gate, rules.blindGate);
+});
+
+test('status effects never push the gate below 0', () => {
+    const rules = createRules();
+    const { gate } = resolveAction({
+        dice1: 6, dice2: 6, penalties: createPenalties(), statusMods: { gate: -5, modifier: 0, text: '' }, rules, random: createRng('clamp').random
+    });
+    assert.strictEqual(gate, 0);
+});
+
+test('double 1s are a fumble, even over a gate of 0', () => {
+    const result = rollDamage({ dice1: 6, dice2: 6, gate: 0, baseModifier: 2, modifier: 2, random: showing(6, [1, 1]), critAbove: 5 });
+    assert.strictEqual(result.isFumble, true);
+    assert.strictEqual(result.isCrit, false);
+    assert.strictEqual(result.isHit, false);
+});
+
+test('doubles above critAbove are a critical, even under the gate', () => {
+    const crit = rollDamage({ dice1: 6, dice2: 6, gate: 10, baseModifier: 0, modifier: 0, random: showing(6, [6, 6]), critAbove: 5 });
+    assert.strictEqual(crit.isCrit, true);
+    assert.strictEqual(crit.isHit, true);
+
+    const atCritAbove = rollDamage({ dice1: 6, dice2: 6, gate: 10, baseModifier: 0, modifier: 0, random: showing(6, [5, 5]), critAbove: 5 });
+    assert.strictEqual(atCritAbove.isCrit, false);
+    assert.strictEqual(atCritAbove.isHit, false);
+});
+
+test('a die at or under the gate misses, HighRoll + modifier is the damage', () => {
+    const miss = rollDamage({ dice1: 6, dice2: 6, gate: 2, baseModifier: 3, modifier: 3, random: showing(6, [2, 5]), critAbove: 5 });
+    assert.strictEqual(miss.isHit, false);
+    assert.strictEqual(miss.damage, 8);
+
+    const hit = rollDamage({ dice1: 6, dice2: 6, gate: 2, baseModifier: 3, modifier: 3, random: showing(6, [3, 5]), critAbove: 5 });
+    assert.strictEqual(hit.isHit, true);
+    assert.strictEqual(hit.damage, 8);
+});
+
+test('the same seed resolves the same action the same way', () => {
+    const rules = createRules();
+    const roll = () => resolveAction({
+        dice1: 8, dice2: 10, modifier: 3, penalties: createPenalties(), statusMods: NO_STATUS, rules, random: createRng('replay').random
+    });
+    assert.deepStrictEqual(roll(), roll());
+});
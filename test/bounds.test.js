@@ -0,0 +1,21 @@
+// Resource floors and caps (bounds.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { adjustResource, payResource } = require('../bounds');
+
+const MP = { name: 'MP', floor: 0, overheal: 0 };
+
+test('changes stop at the floor and report what was cut off', () => {
+    const data = { MP: 10, maxMP: 10 };
+    const change = adjustResource(data, MP, -15);
+    assert.strictEqual(data.MP, 0);
+    assert.strictEqual(change.clipped, -5);
+});
+
+test('an overdrawn payment goes past the floor', () => {
+    const data = { MP: 10, maxMP: 10 };
+    const change = payResource(data, MP, 15);
+    assert.strictEqual(data.MP, -5);
+    assert.deepStrictEqual(change, { before: 10, after: -5, clipped: 0, floor: 0, cap: 10 });
+});
@@ -0,0 +1,51 @@
+// Going down and getting back up at the downedAt HP rule (updateDowned)
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-downed-'));
+process.env.DATA_FILE = path.join(dir, 'playerData.json');
+delete process.env.DATABASE_URL;
+
+const { getGuildState, createCharacter, snapshotSheet, updateDowned } = require('../bot');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const GUILD = 'guild-1';
+
+// The announcement titles for a change made by change(sheet)
+function announcements(data, change) {
+    const { resources } = getGuildState(GUILD).settings;
+    const before = snapshotSheet(data, resources);
+    change(data);
+    const embeds = updateDowned(GUILD, [{ combatantId: 'user-1', data, before, after: snapshotSheet(data, resources) }]);
+    return embeds.map(embed => embed.data.title);
+}
+
+test('filling in a new sheet announces nothing', () => {
+    const data = createCharacter('Aria');
+    assert.deepStrictEqual(announcements(data, sheet => {
+        sheet.maxHP = 10;
+        sheet.HP = 10;
+    }), []);
+});
+
+test('a sheet without max HP is never Downed', () => {
+    const data = createCharacter('Aria');
+    assert.deepStrictEqual(announcements(data, sheet => {
+        sheet.HP = -3;
+    }), []);
+});
+
+test('dropping to the rule goes down, healing gets back up', () => {
+    const data = { ...createCharacter('Aria'), HP: 10, maxHP: 10 };
+    assert.deepStrictEqual(announcements(data, sheet => {
+        sheet.HP = 0;
+    }), ['💀 Downed!']);
+    assert.deepStrictEqual(announcements(data, sheet => {
+        sheet.HP = 4;
+    }), ['💚 Back on Their Feet!']);
+});
@@ -0,0 +1,34 @@
+// Which commands and options need a GM (permissions.js)
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { requiresGm, gmOptions, playerTargetOption, mentionTargetOption } = require('../permissions');
+
+test('GM commands and subcommands', () => {
+    assert.strictEqual(requiresGm('npc', 'create'), true);
+    assert.strictEqual(requiresGm('clash', 'start'), true);
+    assert.strictEqual(requiresGm('clash', 'roll'), false);
+    assert.strictEqual(requiresGm('attack', null), false);
+});
+
+test('naming an NPC needs a GM everywhere but /history', () => {
+    for (const [commandName, subcommand] of [['status', 'add'], ['status', 'clear'], ['tick', null], ['eot', null], ['damage', null], ['clash', 'add'], ['clash', 'remove'], ['clash', 'setinit'], ['clash', 'trigger']]) {
+        assert.ok(gmOptions(commandName, subcommand).includes('npc'), `${commandName} ${subcommand}`);
+        assert.ok(gmOptions(commandName, subcommand).includes('npcs'), `${commandName} ${subcommand}`);
+    }
+    assert.deepStrictEqual(gmOptions('history', null), []);
+});
+
+test('rerolling initiative needs a GM', () => {
+    assert.ok(gmOptions('clash', 'roll').includes('reroll'));
+    assert.ok(!gmOptions('clash', 'init').includes('reroll'));
+});
+
+test('player and mention options', () => {
+    assert.strictEqual(playerTargetOption('status', 'add'), 'player');
+    assert.strictEqual(playerTargetOption('attack', null), null);
+    assert.strictEqual(mentionTargetOption('damage', null), 'players');
+    assert.strictEqual(mentionTargetOption('clash', 'add'), 'players');
+    assert.strictEqual(mentionTargetOption('clash', 'remove'), 'players');
+    assert.strictEqual(mentionTargetOption('clash', 'list'), null);
+});
@@ -0,0 +1,40 @@
+// Seeded random streams (rng.js) and their place in the JSON storage file
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRng, restoreRng, snapshotRng } = require('../rng');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-rng-'));
+process.env.DATA_FILE = path.join(dir, 'playerData.json');
+delete process.env.DATABASE_URL;
+
+const { getGuildState, writeDataFile, loadData } = require('../bot');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('a restored stream continues with the next draw', () => {
+    const rng = createRng('replay');
+    rng.random();
+    const restored = restoreRng(snapshotRng(rng));
+    assert.strictEqual(restored.random(), rng.random());
+});
+
+test('the random stream picks up where it left off', async () => {
+    const state = getGuildState('guild-1');
+    state.rng.random();
+    state.rng.random();
+    const { seed, draws } = state.rng;
+    const next = state.rng.random();
+
+    writeDataFile();
+    await loadData();
+
+    const { rng } = getGuildState('guild-1');
+    assert.strictEqual(rng.seed, seed);
+    assert.strictEqual(rng.draws, draws + 1);
+    rng.draws = draws;
+    assert.strictEqual(rng.random(), next);
+});
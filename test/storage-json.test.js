@@ -0,0 +1,38 @@
+// Saved actions survive a write to and a reload from the JSON storage file
+
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'bot-storage-'));
+process.env.DATA_FILE = path.join(dir, 'playerData.json');
+delete process.env.DATABASE_URL;
+
+const { getGuildState, writeDataFile, loadData } = require('../bot');
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+const savedActions = {
+    slash: { type: 'attack', dice1: 8, dice2: 6, modifier: 2, mpCost: 0 },
+    fireball: { type: 'cast', dice1: 10, dice2: 10, modifier: 0, mpCost: 15 },
+    smite: { type: 'attack', dice1: 0, dice2: 0, expression: '2d6+STR', modifier: -1, mpCost: 5 }
+};
+
+test('saved actions round-trip through the data file', async () => {
+    const { playerData } = getGuildState('guild-1');
+    playerData.set('user-1', {
+        username: 'Aria',
+        activeCharacter: 'aria',
+        characters: {
+            aria: { characterName: 'Aria', HP: 10, maxHP: 10, statusEffects: [], savedActions: structuredClone(savedActions) }
+        }
+    });
+
+    writeDataFile();
+    await loadData();
+
+    const player = getGuildState('guild-1').playerData.get('user-1');
+    assert.deepStrictEqual(player.characters.aria.savedActions, savedActions);
+});
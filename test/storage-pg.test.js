@@ -0,0 +1,67 @@
+// Saved actions survive an upsert to and a reload from PostgreSQL. pg's Pool
+// is swapped for an in-memory stand-in that keeps the players table; pg stores
+// the JSONB columns as parsed JSON, so the stand-in does too.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const pg = require('pg');
+
+const PLAYER_COLUMNS = [
+    'guild_id', 'user_id', 'character_key', 'active', 'username', 'character_name',
+    'hp', 'mp', 'ip', 'armor', 'barrier',
+    'max_hp', 'max_mp', 'max_ip', 'max_armor', 'max_barrier',
+    'status_effects', 'saved_actions', 'extra_resources'
+];
+const JSONB_COLUMNS = ['status_effects', 'saved_actions', 'extra_resources'];
+
+const players = new Map(); // "guild/user/character" -> row
+
+class StubPool {
+    async query(sql, params = []) {
+        if (/INSERT INTO players/.test(sql)) {
+            const row = Object.fromEntries(PLAYER_COLUMNS.map((column, i) => [
+                column,
+                JSONB_COLUMNS.includes(column) ? JSON.parse(params[i]) : params[i]
+            ]));
+            players.set(`${row.guild_id}/${row.user_id}/${row.character_key}`, row);
+            return { rows: [], rowCount: 1 };
+        }
+        if (/SELECT \* FROM players/.test(sql)) return { rows: [...players.values()] };
+        if (/^\s*SELECT/.test(sql)) return { rows: [] };
+        throw new Error(`Unexpected query: ${sql}`);
+    }
+
+    async connect() {
+        return { query: (sql, params) => this.query(sql, params), release() {} };
+    }
+
+    async end() {}
+}
+
+pg.Pool = StubPool;
+process.env.DATABASE_URL = 'postgres://stub';
+
+const { getGuildState, upsertCharacter, loadData } = require('../bot');
+
+const savedActions = {
+    slash: { type: 'attack', dice1: 8, dice2: 6, modifier: 2, mpCost: 0 },
+    fireball: { type: 'cast', dice1: 10, dice2: 10, modifier: 0, mpCost: 15 },
+    smite: { type: 'attack', dice1: 0, dice2: 0, expression: '2d6+STR', modifier: -1, mpCost: 5 }
+};
+
+test('saved actions round-trip through the players table', async () => {
+    const player = {
+        username: 'Aria',
+        activeCharacter: 'aria',
+        characters: {
+            aria: { characterName: 'Aria', HP: 10, maxHP: 10, statusEffects: [], savedActions: structuredClone(savedActions) }
+        }
+    };
+
+    await upsertCharacter(new StubPool(), 'guild-1', 'user-1', player, 'aria');
+    await loadData();
+
+    const loaded = getGuildState('guild-1').playerData.get('user-1');
+    assert.strictEqual(loaded.activeCharacter, 'aria');
+    assert.deepStrictEqual(loaded.characters.aria.savedActions, savedActions);
+});